@@ -0,0 +1,100 @@
+// Service worker : application utilisable hors ligne à l'accueil (coquille, terrains, réservations du jour).
+
+const SHELL_CACHE = 'gp-shell-v1';
+const API_CACHE = 'gp-api-v2';
+const SHELL_URLS = ['/', '/index.html', '/favicon.svg', '/manifest.webmanifest'];
+
+// Lectures API servies depuis le cache quand le réseau manque
+const CACHED_API_PATHS = [/\/fields$/, /\/reservations$/, /\/reservations\/availability$/, /\/auth\/me$/];
+// Lectures qui n'ont de sens qu'avec une session : jamais mises en cache ni servies sans jeton
+const SESSION_API_PATHS = [/\/reservations$/, /\/auth\/me$/];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_URLS)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => ![SHELL_CACHE, API_CACHE].includes(key)).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Clé de cache d'une lecture API : une requête authentifiée est rangée sous l'empreinte de son jeton,
+ * si bien qu'une autre session (ou un jeton expiré remplacé) ne relit jamais les données d'un autre compte.
+ */
+async function cacheKey(request) {
+  const authorization = request.headers.get('Authorization');
+  if (!authorization) return request.url;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(authorization));
+  const session = Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  const url = new URL(request.url);
+  url.searchParams.set('__session', session);
+  return url.href;
+}
+
+/** Réseau d'abord, copie en cache ; hors ligne, dernière réponse connue pour la même session. */
+async function networkFirst(request, cacheName) {
+  const [cache, key] = await Promise.all([caches.open(cacheName), cacheKey(request)]);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/** Fichiers statiques (JS/CSS fingerprintés par Vite) : cache d'abord. */
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (CACHED_API_PATHS.some((pattern) => pattern.test(url.pathname))) {
+    const needsSession = SESSION_API_PATHS.some((pattern) => pattern.test(url.pathname));
+    if (needsSession && !request.headers.has('Authorization')) return;
+    event.respondWith(networkFirst(request, API_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  // Navigation SPA : toutes les routes renvoient index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          const copy = response.clone();
+          if (response.ok) caches.open(SHELL_CACHE).then((cache) => cache.put('/index.html', copy));
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+  if (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// Déconnexion : les données admin mises en cache ne doivent pas rester sur un poste partagé
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'clear-api-cache') event.waitUntil(caches.delete(API_CACHE));
+});
@@ -1,26 +1,258 @@
-import { useState, useEffect } from 'react';
-import { Routes, Route, Navigate, useNavigate, useLocation, Link } from 'react-router-dom';
+import { useCallback, useEffectEvent, useMemo, useState, useEffect, useRef } from 'react';
+import {
+  Routes,
+  Route,
+  Navigate,
+  useNavigate,
+  useLocation,
+  useParams,
+  useSearchParams,
+  Link,
+  matchPath,
+} from 'react-router-dom';
+import { api, onUnauthorized, tokenExpiry, DEMO_MODE, TOKEN_KEY, TOKEN_EXPIRY_KEY, USER_KEY } from './api.js';
+import { downloadBlob, toCsvBlob, toXlsxBlob } from './export.js';
+import { subscribeReservationEvents } from './live.js';
+import { LANGUAGES, useI18n } from './i18n.js';
+import { clearOfflineCache, enqueue, listQueue, onQueueChange, removeFromQueue, replayQueue, retryEntry } from './offline.js';
 import './App.css';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
-const TOKEN_KEY = 'gp_admin_token';
-const USER_KEY = 'gp_admin_user';
 const TODAY_STR = new Date().toISOString().slice(0, 10);
+// Session admin : déconnexion après inactivité (postes partagés), avec avertissement préalable
+const ADMIN_IDLE_TIMEOUT_MS = (Number(import.meta.env.VITE_ADMIN_IDLE_MINUTES) || 30) * 60 * 1000;
+const ADMIN_IDLE_WARNING_MS = 60 * 1000;
+// Le jeton est renouvelé un peu avant son expiration
+const TOKEN_REFRESH_MARGIN_MS = 2 * 60 * 1000;
+// Durée de blocage d'un créneau quand l'API ne précise pas d'échéance
+const DEFAULT_HOLD_MS = 5 * 60 * 1000;
+// La page de paiement simulée n'existe qu'en développement et en démo, jamais en production
+const MOCK_CHECKOUT_ENABLED = import.meta.env.DEV || DEMO_MODE;
+// Nombre lu dans l'environnement : 0 est une valeur valide, seule une valeur absente ou invalide prend le défaut
+const envNumber = (value, fallback) => {
+  const n = value === undefined || value === '' ? fallback : Number(value);
+  return Number.isNaN(n) ? fallback : n;
+};
+// Délai minimum (en heures) avant le match pour annuler ou demander un report en ligne
+const PUBLIC_CHANGE_WINDOW_HOURS = envNumber(import.meta.env.VITE_PUBLIC_CHANGE_WINDOW_HOURS, 24);
 
-/** Parse une réponse en JSON ; si le serveur renvoie du HTML (SPA fallback), lance une erreur claire. */
-async function parseJsonResponse(res) {
-  const text = await res.text();
-  const trimmed = text.trim();
-  if (trimmed.startsWith('<')) {
-    throw new Error(
-      "Le serveur a renvoyé une"
-    );
-  }
-  try {
-    return trimmed ? JSON.parse(text) : null;
-  } catch (e) {
-    throw new Error("Réponse du serveur invalide.");
-  }
+// Rôles autorisés : tout l'espace admin pour le personnel, certaines sections pour les admins seulement
+const STAFF_ROLES = ['admin', 'gestionnaire'];
+const ADMIN_ROLES = ['admin'];
+
+const hasRole = (user, roles) => Boolean(user) && roles.includes(user.role);
+
+// Sections de l'espace admin, une route chacune sous /admin (l'ordre est celui des onglets)
+const ADMIN_SECTIONS = [
+  { key: 'all', path: '', roles: STAFF_ROLES },
+  { key: 'terrain', path: 'terrains', roles: ADMIN_ROLES },
+  { key: 'users', path: 'utilisateurs', roles: ADMIN_ROLES },
+  { key: 'activity', path: 'activite', roles: ADMIN_ROLES },
+  { key: 'promos', path: 'promos', roles: ADMIN_ROLES },
+  { key: 'notifications', path: 'notifications', roles: ADMIN_ROLES },
+  { key: 'clients', path: 'clients', roles: STAFF_ROLES },
+  { key: 'creneaux', path: 'creneaux', roles: STAFF_ROLES },
+  { key: 'reservations', path: 'reservations', roles: STAFF_ROLES },
+];
+
+const adminSectionPath = (key, id) => {
+  const { path } = ADMIN_SECTIONS.find((section) => section.key === key);
+  return ['/admin', path, id].filter(Boolean).join('/');
+};
+
+// Valeurs de l'API ; libellés traduits via label('status', …) et label('paymentStatus', …)
+const RESERVATION_STATUSES = ['pending', 'confirmed', 'cancelled'];
+const PAYMENT_STATUSES = ['pending', 'partial', 'paid', 'cancelled', 'failed'];
+
+/** Référence courte communiquée au client (fournie par l'API, sinon dérivée de l'identifiant). */
+function reservationReference(r) {
+  if (!r) return '';
+  if (r.reference) return r.reference;
+  return r._id ? String(r._id).slice(-6).toUpperCase() : '';
+}
+
+const PAYMENT_PROVIDER_LABELS = {
+  wave: 'Wave',
+  orange_money: 'Orange Money',
+};
+
+// Paiement en cours : conservé le temps de l'aller-retour chez Wave / Orange Money
+const PENDING_PAYMENT_KEY = 'gp_pending_payment';
+const PAYMENT_POLL_INTERVAL_MS = 3000;
+const PAYMENT_POLL_TIMEOUT_MS = 3 * 60 * 1000;
+
+/**
+ * Crée une intention de paiement chez le fournisseur (Wave / Orange Money) et redirige le client
+ * vers la page de paiement. Renvoie false si l'API ne fournit pas d'URL de paiement.
+ */
+async function startCheckout({ reservationId, provider, phone, reference }, errorMessage) {
+  const data = await api.post(
+    '/payments/checkout',
+    {
+      reservationId,
+      provider,
+      phone,
+      reference,
+      returnUrl: `${window.location.origin}/paiement/retour`,
+    },
+    { auth: false, errorMessage }
+  );
+  if (!data?.checkoutUrl) return false;
+  sessionStorage.setItem(
+    PENDING_PAYMENT_KEY,
+    JSON.stringify({ reservationId, provider, phone, reference, intentId: data.intentId || null })
+  );
+  window.location.assign(data.checkoutUrl);
+  return true;
+}
+
+// Plage horaire affichée dans le planning admin : 09h → 02h (lendemain)
+const PLANNING_START_HOUR = 9;
+const PLANNING_END_HOUR = 26;
+
+/** Date locale au format YYYY-MM-DD (valeur des champs <input type="date">). */
+function toDateInputValue(d) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T12:00:00`);
+  d.setDate(d.getDate() + days);
+  return toDateInputValue(d);
+}
+
+/**
+ * "HH:MM" → minutes depuis minuit du jour d'exploitation. Les heures antérieures à l'ouverture
+ * (`openingTime`, par défaut le début du planning) comptent pour la nuit suivante (+24 h).
+ */
+function timeToPlanningMinutes(time, openingTime = `${PLANNING_START_HOUR}:00`) {
+  const toMinutes = (value) => {
+    const [h, m] = String(value || '0:0').split(':').map(Number);
+    return h * 60 + (m || 0);
+  };
+  const minutes = toMinutes(time);
+  return minutes < toMinutes(openingTime) ? minutes + 24 * 60 : minutes;
+}
+
+/** Heures d'ouverture d'un terrain en minutes, ancrées sur sa propre ouverture : { open, close }. */
+function fieldOpeningMinutes(field) {
+  const openingTime = field?.openingTime || `${PLANNING_START_HOUR}:00`;
+  const open = timeToPlanningMinutes(openingTime, openingTime);
+  const close = timeToPlanningMinutes(field?.closingTime || '02:00', openingTime);
+  // Fermeture à l'heure d'ouverture : terrain ouvert 24 h/24
+  return { open, close: close > open ? close : close + 24 * 60 };
+}
+
+const PAYMENT_METHODS = ['wave', 'orange_money', 'cash', 'admin'];
+
+/** Liste des champs modifiés d'une entrée d'audit : [{ key, label, before, after }], libellés de useI18n(). */
+function auditChanges(entry, { label, formatDate }) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  return Object.keys(after)
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map((key) => {
+      const format = (value) => {
+        if (value === null || value === undefined || value === '') return '—';
+        if (key === 'date') return formatDate(value);
+        if (key === 'field') return value?.name || String(value);
+        if (key === 'status') return label('status', value);
+        if (key === 'paymentStatus') return label('paymentStatus', value);
+        if (key === 'paymentMethod') return label('paymentMethod', value);
+        return String(value);
+      };
+      return { key, label: label('audit.field', key), before: format(before[key]), after: format(after[key]) };
+    });
+}
+
+// Liste admin des réservations : filtres portés par l'URL (partageables), pagination côté API
+const RESERVATION_FILTER_KEYS = ['q', 'status', 'paymentStatus', 'paymentMethod', 'field', 'type', 'from', 'to'];
+const RESERVATION_PAGE_SIZE = 30;
+// Plafond d'un export : on exporte tous les résultats filtrés, pas seulement la page chargée
+const RESERVATION_EXPORT_LIMIT = 5000;
+
+/** Durée d'un créneau en heures (gère les créneaux qui finissent après minuit). */
+function slotDurationHours(startTime, endTime) {
+  return (timeToPlanningMinutes(endTime, startTime) - timeToPlanningMinutes(startTime, startTime)) / 60;
+}
+
+/** Prix d'un créneau de disponibilité : prix calculé par l'API (règles tarifaires), sinon tarif horaire × durée. */
+function slotPrice(slot) {
+  if (slot.price !== undefined && slot.price !== null) return slot.price;
+  return Math.round(slot.pricePerHour * slotDurationHours(slot.startTime, slot.endTime));
+}
+
+// Durées réservables en ligne (minutes) par format ; la première est proposée par défaut
+const BOOKING_DURATIONS_BY_TYPE = {
+  5: [60, 90, 120, 180],
+  7: [60, 90, 120, 180],
+  11: [120, 180],
+};
+
+const formatDuration = (minutes) => {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return m ? `${h}h${String(m).padStart(2, '0')}` : `${h}h`;
+};
+
+// Équipements proposés sur la fiche d'un terrain (libellés traduits : amenity.<clé>)
+const FIELD_AMENITIES = ['lighting', 'changing_rooms', 'showers', 'parking', 'covered', 'refreshments'];
+
+// Photo de terrain : URL simple ou objet { url } selon l'API
+const photoUrl = (photo) => (typeof photo === 'string' ? photo : photo?.url);
+
+// Tarifs : jours affichés du lundi au dimanche (valeurs de Date.getDay())
+const PRICING_DAYS = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Tarif horaire d'un terrain à un moment donné. Règle : { days, holiday, startTime, endTime, pricePerHour } ;
+ * la première règle qui correspond s'applique, sinon le tarif de base. Même logique que l'API.
+ * `minutes` est ancré sur l'ouverture du terrain (voir fieldOpeningMinutes).
+ */
+function fieldRateAt(field, rules, { day, minutes, holiday = false }) {
+  const openingTime = field.openingTime || `${PLANNING_START_HOUR}:00`;
+  const rule = (rules || []).find((r) => {
+    const matchesDay = holiday ? r.holiday : (r.days || []).map(Number).includes(day);
+    if (!matchesDay) return false;
+    const start = r.startTime ? timeToPlanningMinutes(r.startTime, openingTime) : 0;
+    const end = r.endTime ? timeToPlanningMinutes(r.endTime, openingTime) : Infinity;
+    return minutes >= start && minutes < end;
+  });
+  return rule ? Number(rule.pricePerHour) || 0 : Number(field.pricePerHour) || 0;
+}
+
+// Fidélité : les règles (remise sur la N-ième réservation, ou au-delà de X heures) vivent côté API,
+// qui applique la remise à l'enregistrement. Le front n'en affiche que le résultat.
+
+/** Clé client : les 9 derniers chiffres du téléphone (avec ou sans +221). */
+function customerKey(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-9);
+}
+
+function applyDiscount(amount, discount) {
+  return discount ? Math.round((amount * (100 - discount.percent)) / 100) : amount;
+}
+
+/** Réduction (FCFA) d'un code promo validé : pourcentage ou montant fixe, jamais plus que le montant. */
+function promoDiscountAmount(amount, promo) {
+  if (!promo) return 0;
+  const value = Number(promo.value) || 0;
+  const reduction = promo.discountType === 'fixed' ? value : Math.round((amount * value) / 100);
+  return Math.min(amount, Math.max(0, reduction));
+}
+
+const promoValueLabel = (promo, formatAmount) =>
+  promo.discountType === 'fixed' ? formatAmount(promo.value) : `${promo.value} %`;
+
+/** Date et heure de début d'une réservation (r.date + r.startTime). */
+function reservationStart(r) {
+  const day = new Date(r.date).toISOString().slice(0, 10);
+  return new Date(`${day}T${r.startTime || '00:00'}:00`);
+}
+
+/** Seules les réservations en attente ou validées, et pas encore commencées, peuvent être déplacées. */
+function canMoveReservation(r) {
+  return ['pending', 'confirmed'].includes(r.status) && reservationStart(r).getTime() > Date.now();
 }
 
 function App() {
@@ -36,73 +268,158 @@ function App() {
   const [fields, setFields] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Passe à true après la première réponse (ou erreur) de /fields : évite un « chargement » sans fin
+  const [fieldsLoaded, setFieldsLoaded] = useState(false);
+  const [idleSecondsLeft, setIdleSecondsLeft] = useState(null);
   const navigate = useNavigate();
   const location = useLocation();
+  const locationRef = useRef(location);
+  const lastActivityRef = useRef(0);
+  const { t, lang, setLanguage } = useI18n();
+
+  useEffect(() => {
+    locationRef.current = location;
+  }, [location]);
+
+  const storeToken = (t, expiresAt) => {
+    setToken(t);
+    localStorage.setItem(TOKEN_KEY, t);
+    if (expiresAt) localStorage.setItem(TOKEN_EXPIRY_KEY, String(new Date(expiresAt).getTime()));
+    else localStorage.removeItem(TOKEN_EXPIRY_KEY);
+  };
+
+  const clearSession = useCallback(() => {
+    setToken(null);
+    setUser(null);
+    setIdleSecondsLeft(null);
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(TOKEN_EXPIRY_KEY);
+    localStorage.removeItem(USER_KEY);
+    return clearOfflineCache();
+  }, []);
+
+  // Déconnexion forcée : on mémorise la vue admin courante pour y revenir après reconnexion
+  const endSession = useCallback(
+    (reason) => {
+      const { pathname, search } = locationRef.current;
+      clearSession();
+      navigate('/login', {
+        replace: true,
+        state: { from: pathname.startsWith('/admin') ? `${pathname}${search}` : '/admin', reason },
+      });
+    },
+    [clearSession, navigate]
+  );
+
+  // Toute requête authentifiée qui reçoit un 401 déconnecte l'utilisateur
+  useEffect(() => onUnauthorized(() => endSession('expired')), [endSession]);
+
+  // Renouvellement silencieux du jeton avant son expiration
+  useEffect(() => {
+    const expiry = tokenExpiry(token);
+    if (!expiry) return undefined;
+    // setTimeout ne gère pas les délais au-delà de ~24 jours
+    const delay = Math.min(Math.max(0, expiry - Date.now() - TOKEN_REFRESH_MARGIN_MS), 2 ** 31 - 1);
+    const timer = setTimeout(async () => {
+      try {
+        const data = await api.post('/auth/refresh', undefined, {
+          errorMessage: 'Impossible de renouveler la session.',
+        });
+        if (data?.token) storeToken(data.token, data.expiresAt);
+      } catch (err) {
+        // Un 401 déclenche déjà la déconnexion via onUnauthorized
+        console.error(err);
+      }
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [token]);
+
+  const inAdmin = location.pathname.startsWith('/admin');
+
+  // Déconnexion après inactivité dans l'espace admin, avec un compte à rebours la dernière minute
+  useEffect(() => {
+    if (!token || !inAdmin) return undefined;
+    lastActivityRef.current = Date.now();
+    const onActivity = () => {
+      lastActivityRef.current = Date.now();
+    };
+    const events = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
+    events.forEach((evt) => window.addEventListener(evt, onActivity, { passive: true }));
+    const interval = setInterval(() => {
+      const remaining = ADMIN_IDLE_TIMEOUT_MS - (Date.now() - lastActivityRef.current);
+      if (remaining <= 0) endSession('idle');
+      else if (remaining <= ADMIN_IDLE_WARNING_MS) setIdleSecondsLeft(Math.ceil(remaining / 1000));
+      else setIdleSecondsLeft(null);
+    }, 1000);
+    return () => {
+      events.forEach((evt) => window.removeEventListener(evt, onActivity));
+      clearInterval(interval);
+    };
+  }, [token, inAdmin, endSession]);
 
   useEffect(() => {
     if (!token) return;
-    fetch(`${API_BASE_URL}/auth/me`, { headers: { Authorization: `Bearer ${token}` } })
-      .then(async (res) => {
-        const data = await parseJsonResponse(res);
-        if (!res.ok) throw new Error(data?.message || 'Erreur');
-        return data;
-      })
+    api
+      .get('/auth/me')
       .then((data) => {
         const u = data?.user;
-        if (u && (u.role === 'admin' || u.role === 'gestionnaire')) {
+        if (hasRole(u, STAFF_ROLES)) {
           setUser(u);
           localStorage.setItem(USER_KEY, JSON.stringify(u));
         } else {
-          setToken(null);
-          setUser(null);
-          localStorage.removeItem(TOKEN_KEY);
-          localStorage.removeItem(USER_KEY);
+          clearSession();
         }
       })
-      .catch(() => {
-        setToken(null);
-        setUser(null);
-        localStorage.removeItem(TOKEN_KEY);
-        localStorage.removeItem(USER_KEY);
+      .catch((err) => {
+        // Serveur injoignable : on garde la session, le 401 est géré par onUnauthorized
+        console.error(err);
       });
-  }, [token]);
+  }, [token, clearSession]);
 
-  const fetchFields = async (type) => {
-    try {
-      setLoading(true);
-      setError('');
-      const params = new URLSearchParams();
-      if (type && type !== 'all') params.set('type', type);
-      const url = params.toString() ? `${API_BASE_URL}/fields?${params}` : `${API_BASE_URL}/fields`;
-      const res = await fetch(url);
-      const data = await res.json();
-      setFields(data);
-    } catch (e) {
-      console.error(e);
-      setError('Impossible de charger les terrains.');
-    } finally {
-      setLoading(false);
-    }
-  };
+  const fetchFields = useCallback(
+    async (type) => {
+      try {
+        setLoading(true);
+        setError('');
+        const data = await api.get('/fields', {
+          query: { type: type && type !== 'all' ? type : undefined },
+          auth: false,
+        });
+        setFields(Array.isArray(data) ? data : []);
+      } catch (e) {
+        console.error(e);
+        setError(e.message || t('catalogue.loadError'));
+      } finally {
+        setLoading(false);
+        setFieldsLoaded(true);
+      }
+    },
+    [t]
+  );
 
-  const handleAuthSuccess = ({ token: t, user: u }) => {
-    if (u?.role !== 'admin' && u?.role !== 'gestionnaire') return;
-    setToken(t);
+  const handleAuthSuccess = ({ token: t, user: u, expiresAt }) => {
+    if (!hasRole(u, STAFF_ROLES)) return;
+    storeToken(t, expiresAt);
     setUser(u);
-    localStorage.setItem(TOKEN_KEY, t);
     localStorage.setItem(USER_KEY, JSON.stringify(u));
-    navigate('/admin', { replace: true });
+    const from = location.state?.from;
+    navigate(from && from.startsWith('/admin') ? from : '/admin', { replace: true });
   };
 
-  const logout = () => {
-    setToken(null);
-    setUser(null);
-    localStorage.removeItem(TOKEN_KEY);
-    localStorage.removeItem(USER_KEY);
+  const logout = async () => {
+    await clearSession();
     navigate('/');
   };
 
-  const isAdminOrManager = user?.role === 'admin' || user?.role === 'gestionnaire';
+  const isAdminOrManager = hasRole(user, STAFF_ROLES);
+
+  const resetDemo = async () => {
+    if (!confirm(t('shell.demoReset'))) return;
+    const { resetDemoData } = await import('./mock.js');
+    resetDemoData();
+    await clearSession();
+    window.location.assign('/');
+  };
 
   return (
     <div className="app-shell">
@@ -112,19 +429,48 @@ function App() {
             <div className="brand-mark">ST</div>
             <div className="brand-text">
               <span className="brand-title">SAMA TERRAIN</span>
-              <span className="brand-subtitle">Réservez votre terrain synthétique</span>
+              <span className="brand-subtitle">{t('shell.subtitle')}</span>
             </div>
           </Link>
         </div>
         <div className="nav-actions">
+          <select
+            className="language-switcher"
+            value={lang}
+            onChange={(e) => setLanguage(e.target.value)}
+            aria-label={t('shell.language')}
+          >
+            {LANGUAGES.map((l) => (
+              <option key={l.value} value={l.value}>
+                {l.short} · {l.label}
+              </option>
+            ))}
+          </select>
+          {DEMO_MODE && (
+            <button type="button" className="demo-badge" onClick={resetDemo} title={t('shell.demoReset')}>
+              {t('shell.demo')}
+            </button>
+          )}
+          {!location.pathname.startsWith('/admin') && !location.pathname.startsWith('/terrains') && (
+            <Link to="/terrains" className="ghost-button">
+              {t('shell.fields')}
+            </Link>
+          )}
+          {!location.pathname.startsWith('/admin') && location.pathname !== '/ma-reservation' && (
+            <Link to="/ma-reservation" className="ghost-button">
+              {t('shell.myReservation')}
+            </Link>
+          )}
           {isAdminOrManager && location.pathname.startsWith('/admin') && (
             <>
-              <span className="user-pill">{user?.name} · {user?.role === 'admin' ? 'Admin' : 'Gestionnaire'}</span>
+              <span className="user-pill">
+                {user?.name} · {t(user?.role === 'admin' ? 'role.admin' : 'role.gestionnaire')}
+              </span>
               <button type="button" className="ghost-button" onClick={logout}>
-                Déconnexion
+                {t('shell.logout')}
               </button>
               <Link to="/" className="ghost-button">
-                Voir le site
+                {t('shell.viewSite')}
               </Link>
             </>
           )}
@@ -135,34 +481,42 @@ function App() {
         <Routes>
           <Route
             path="/"
+            element={<PublicHome loading={loading} error={error} onReservationCreated={() => {}} />}
+          />
+          <Route
+            path="/terrains"
+            element={<FieldCatalogue fields={fields} fetchFields={fetchFields} loading={loading} error={error} />}
+          />
+          <Route
+            path="/terrains/:id"
             element={
-              <PublicHome
+              <FieldDetail
                 fields={fields}
                 fetchFields={fetchFields}
-                loading={loading}
+                loading={loading || !fieldsLoaded}
                 error={error}
-                onReservationCreated={() => {}}
               />
             }
           />
+          <Route path="/ma-reservation" element={<MyReservation />} />
+          <Route path="/paiement/retour" element={<PaymentReturn />} />
+          {MOCK_CHECKOUT_ENABLED && <Route path="/paiement/mock" element={<MockCheckout />} />}
           <Route
             path="/login"
             element={
               isAdminOrManager ? (
                 <Navigate to="/admin" replace />
               ) : (
-                <AuthPanel apiBase={API_BASE_URL} onAuthSuccess={handleAuthSuccess} />
+                <AuthPanel onAuthSuccess={handleAuthSuccess} />
               )
             }
           />
           <Route
-            path="/admin"
+            path="/admin/*"
             element={
-              isAdminOrManager ? (
-                <AdminDashboard apiBase={API_BASE_URL} token={token} onLogout={logout} user={user} />
-              ) : (
-                <Navigate to="/login" replace state={{ from: '/admin' }} />
-              )
+              <RequireRole user={user} roles={STAFF_ROLES}>
+                <AdminDashboard user={user} token={token} />
+              </RequireRole>
             }
           />
           <Route path="*" element={<Navigate to="/" replace />} />
@@ -170,17 +524,50 @@ function App() {
       </main>
 
       {error && <div className="toast toast-error">{error}</div>}
+
+      {idleSecondsLeft !== null && (
+        <div className="modal-backdrop">
+          <div className="modal-card">
+            <h3>{t('idle.title')}</h3>
+            <p className="hint">{t('idle.body', { seconds: idleSecondsLeft })}</p>
+            <div className="modal-actions">
+              <button type="button" className="ghost-button small" onClick={logout}>
+                {t('idle.logout')}
+              </button>
+              <button
+                type="button"
+                className="primary-button"
+                onClick={() => {
+                  lastActivityRef.current = Date.now();
+                  setIdleSecondsLeft(null);
+                }}
+              >
+                {t('idle.stay')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-function PublicHome({ fields, fetchFields, loading, error, token, onReservationCreated }) {
+function PublicHome({ loading, error, onReservationCreated }) {
+  // Pré-remplissage depuis la fiche d'un terrain : /?type=&date=&duration=&field=&start=
+  const [searchParams, setSearchParams] = useSearchParams();
   const [selectedField, setSelectedField] = useState(null);
-  const [fieldType, setFieldType] = useState('all');
-  const [date, setDate] = useState('');
+  const [fieldType, setFieldType] = useState(() => searchParams.get('type') || 'all');
+  const [date, setDate] = useState(() => searchParams.get('date') || '');
+  // Minutes ; null = durée par défaut du format
+  const [duration, setDuration] = useState(() => Number(searchParams.get('duration')) || null);
+  // Créneau à présélectionner au premier chargement des disponibilités, puis oublié
+  const preselectRef = useRef(
+    searchParams.get('field') ? { fieldId: searchParams.get('field'), startTime: searchParams.get('start') } : null
+  );
   const [submitting, setSubmitting] = useState(false);
   const [availableSlots, setAvailableSlots] = useState([]);
   const [loadingSlots, setLoadingSlots] = useState(false);
+  const [slotsError, setSlotsError] = useState('');
   const [selectedSlot, setSelectedSlot] = useState(null);
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
@@ -188,9 +575,26 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
   const [phoneError, setPhoneError] = useState('');
   const [address, setAddress] = useState('');
   const [step, setStep] = useState('slots'); // 'slots' | 'info'
-  const [showReservationSuccess, setShowReservationSuccess] = useState(false);
+  const [createdReservation, setCreatedReservation] = useState(null);
+  // Blocage temporaire du créneau pendant la saisie et le paiement : { id, expiresAt (ms) }
+  const [hold, setHold] = useState(null);
+  const [holding, setHolding] = useState(false);
+  const [holdNotice, setHoldNotice] = useState('');
+  const [now, setNow] = useState(() => Date.now());
+  const holdRef = useRef(null);
+  const [loyaltyProgram, setLoyaltyProgram] = useState(null); // { discountPercent } affiché dans le bandeau
+  const [promoInput, setPromoInput] = useState('');
+  const [promo, setPromo] = useState(null); // code validé par l'API : { code, discountType, value, label }
+  const [promoError, setPromoError] = useState('');
+  const [checkingPromo, setCheckingPromo] = useState(false);
+  // Devis de l'API pour le créneau bloqué : { holdId, phone, promoCode, basePrice, loyaltyDiscountPercent,
+  // loyaltyDiscount, promoDiscount, totalPrice }
+  const [quote, setQuote] = useState(null);
+  const { t, formatDate, formatAmount } = useI18n();
 
   const canLoadSlots = date && fieldType && fieldType !== 'all';
+  const durationOptions = BOOKING_DURATIONS_BY_TYPE[fieldType] || [];
+  const bookingDuration = durationOptions.includes(duration) ? duration : durationOptions[0];
 
   // Numéro Sénégal : 9 chiffres, commençant par 7 ou 3 (ex. 77 123 45 67)
   const PHONE_PREFIX = '+221';
@@ -208,45 +612,102 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
       return false;
     }
     if (!isValidPhone(phone)) {
-      setPhoneError('Numéro invalide. 9 chiffres attendus (ex. 77 123 45 67).');
+      setPhoneError(t('info.phoneInvalid'));
       return false;
     }
     setPhoneError('');
     return true;
   };
 
-  const fetchAvailability = async () => {
+  const selectSlot = useCallback((slot) => {
+    setSelectedSlot(slot);
+    setSelectedField({
+      _id: slot.fieldId,
+      name: slot.fieldName,
+      type: slot.type,
+      pricePerHour: slot.pricePerHour,
+    });
+  }, []);
+
+  // Les paramètres de pré-remplissage ne servent qu'une fois : l'adresse redevient « / »
+  useEffect(() => {
+    if (searchParams.toString()) setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const fetchAvailability = useCallback(async () => {
     if (!canLoadSlots) return;
     try {
       setLoadingSlots(true);
-      const params = new URLSearchParams({
-        date,
-        type: fieldType,
+      setSlotsError('');
+      // L'API ne renvoie que des créneaux contigus couvrant toute la durée demandée
+      const data = await api.get('/reservations/availability', {
+        query: { date, type: fieldType, duration: bookingDuration },
+        auth: false,
       });
-      const res = await fetch(
-        `${API_BASE_URL}/reservations/availability?${params.toString()}`
-      );
-      let data;
-      try {
-        data = await res.json();
-      } catch {
-        throw new Error('Réponse du serveur invalide. Vérifiez que l’API tourne sur ' + (API_BASE_URL.replace(/\/api$/, '')));
-      }
-      if (!res.ok) {
-        throw new Error(data.message || `Erreur ${res.status}`);
-      }
-      setAvailableSlots(Array.isArray(data) ? data : []);
+      const slots = Array.isArray(data) ? data : [];
+      setAvailableSlots(slots);
       setSelectedSlot(null);
       setSelectedField(null);
+      const preselect = preselectRef.current;
+      if (preselect) {
+        const wanted = slots.find(
+          (slot) => !slot.held && slot.fieldId === preselect.fieldId && slot.startTime === preselect.startTime
+        );
+        if (wanted) selectSlot(wanted);
+        else setHoldNotice(t('booking.slotGone'));
+        preselectRef.current = null;
+      }
     } catch (e) {
       console.error(e);
-      alert(e.message || 'Impossible de charger les créneaux disponibles. Vérifiez que le backend tourne sur le port 5000.');
+      setAvailableSlots([]);
+      setSlotsError(e.message || t('booking.slotsError'));
     } finally {
       setLoadingSlots(false);
     }
+  }, [canLoadSlots, date, fieldType, bookingDuration, selectSlot, t]);
+
+  // Rechargement silencieux (événement en direct) : la sélection est conservée si le créneau reste libre
+  const refreshAvailability = async () => {
+    if (!canLoadSlots) return;
+    try {
+      const data = await api.get('/reservations/availability', {
+        query: { date, type: fieldType, duration: bookingDuration },
+        auth: false,
+      });
+      const slots = Array.isArray(data) ? data : [];
+      setAvailableSlots(slots);
+      if (
+        step === 'slots' &&
+        selectedSlot &&
+        !slots.some(
+          (slot) =>
+            !slot.held &&
+            slot.fieldId === selectedSlot.fieldId &&
+            slot.startTime === selectedSlot.startTime &&
+            slot.endTime === selectedSlot.endTime
+        )
+      ) {
+        setSelectedSlot(null);
+        setSelectedField(null);
+        setHoldNotice(t('booking.slotGone'));
+      }
+    } catch (e) {
+      console.error(e);
+    }
   };
 
+  const liveHandlerRef = useRef(null);
   useEffect(() => {
+    liveHandlerRef.current = (event) => {
+      const eventDate = event.slot?.date ? String(event.slot.date).slice(0, 10) : null;
+      if (event.type === 'poll' || !eventDate || eventDate === date) refreshAvailability();
+    };
+  });
+
+  useEffect(() => subscribeReservationEvents((event) => liveHandlerRef.current?.(event)), []);
+
+  // Nouvelle recherche (date, format, durée) : retour à la liste ; un changement de langue ne la relance pas
+  const onSlotQueryChange = useEffectEvent(() => {
     if (canLoadSlots) {
       fetchAvailability();
     } else {
@@ -255,13 +716,164 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
       setSelectedField(null);
     }
     setStep('slots');
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [date, fieldType]);
+  });
+  useEffect(() => onSlotQueryChange(), [date, fieldType, bookingDuration]);
+
+  useEffect(() => {
+    holdRef.current = hold;
+  }, [hold]);
+
+  const releaseHold = () => {
+    if (!hold) return;
+    api.delete(`/reservations/holds/${hold.id}`, { auth: false }).catch((err) => console.error(err));
+    setHold(null);
+  };
+
+  const handleContinue = async () => {
+    if (!selectedSlot) return;
+    setHolding(true);
+    setHoldNotice('');
+    try {
+      const data = await api.post(
+        '/reservations/holds',
+        {
+          fieldId: selectedSlot.fieldId,
+          date,
+          startTime: selectedSlot.startTime,
+          endTime: selectedSlot.endTime,
+        },
+        { auth: false, errorMessage: t('booking.holdError') }
+      );
+      // Sans échéance exploitable renvoyée par l'API, on applique la durée de blocage par défaut
+      const expiresAt = new Date(data?.expiresAt).getTime();
+      setHold({
+        id: data?._id || data?.id,
+        expiresAt: Number.isNaN(expiresAt) ? Date.now() + DEFAULT_HOLD_MS : expiresAt,
+      });
+      setNow(Date.now());
+      setStep('info');
+    } catch (err) {
+      console.error(err);
+      if (err.status === 409) {
+        setHoldNotice(t('booking.holdTaken'));
+        fetchAvailability();
+      } else {
+        setHoldNotice(err.message);
+      }
+    } finally {
+      setHolding(false);
+    }
+  };
+
+  // Compte à rebours du blocage : à l'expiration, le créneau est libéré et la liste rechargée
+  const onHoldExpired = useEffectEvent(() => {
+    releaseHold();
+    setStep('slots');
+    setHoldNotice(t('booking.holdExpired'));
+    fetchAvailability();
+  });
+  useEffect(() => {
+    if (!hold) return undefined;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= hold.expiresAt) onHoldExpired();
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [hold]);
+
+  // Quitter la page libère le créneau pour les autres
+  useEffect(
+    () => () => {
+      if (holdRef.current) {
+        api.delete(`/reservations/holds/${holdRef.current.id}`, { auth: false }).catch(() => {});
+      }
+    },
+    []
+  );
+
+  const holdRemaining = hold ? Math.max(0, Math.ceil((hold.expiresAt - now) / 1000)) : 0;
+
+  // Taux de la remise fidélité pour le bandeau ; l'éligibilité d'un numéro n'est jamais exposée publiquement
+  useEffect(() => {
+    api
+      .get('/loyalty/program', { auth: false })
+      .then(setLoyaltyProgram)
+      .catch((err) => console.error(err));
+  }, []);
+
+  // Montant définitif chiffré par l'API pour le créneau bloqué et le numéro saisi (remise fidélité et code
+  // promo compris) ; l'éligibilité n'est calculée que pour un blocage en cours, jamais sur simple numéro
+  const quotePhone = isValidPhone(phone) ? `${PHONE_PREFIX}${phone}` : '';
+  useEffect(() => {
+    if (!hold?.id || !quotePhone) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await api.post(
+          `/reservations/holds/${hold.id}/quote`,
+          { phone: quotePhone, promoCode: promo?.code },
+          { auth: false }
+        );
+        if (!cancelled) setQuote({ ...data, holdId: hold.id, phone: quotePhone, promoCode: promo?.code || '' });
+      } catch (err) {
+        console.error(err);
+      }
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [hold?.id, quotePhone, promo?.code]);
+  // Un devis ne vaut que pour le blocage, le numéro et le code avec lesquels il a été demandé
+  const currentQuote =
+    quote && quote.holdId === hold?.id && quote.phone === quotePhone && quote.promoCode === (promo?.code || '')
+      ? quote
+      : null;
+
+  // Sans devis (numéro pas encore saisi), estimation hors fidélité
+  const basePrice = selectedSlot ? slotPrice(selectedSlot) : 0;
+  const promoReduction = currentQuote ? Number(currentQuote.promoDiscount) || 0 : promoDiscountAmount(basePrice, promo);
+  const loyaltyReduction = currentQuote ? Number(currentQuote.loyaltyDiscount) || 0 : 0;
+  const finalPrice = currentQuote ? currentQuote.totalPrice : basePrice - promoReduction;
+
+  // Un code validé ne vaut que pour le créneau et le numéro avec lesquels il a été vérifié
+  useEffect(() => {
+    setPromo(null);
+    setPromoError('');
+  }, [selectedSlot, phone]);
+
+  const handleApplyPromo = async () => {
+    const code = promoInput.trim().toUpperCase();
+    if (!code || !selectedSlot) return;
+    setCheckingPromo(true);
+    setPromoError('');
+    try {
+      const data = await api.post(
+        '/promo-codes/validate',
+        {
+          code,
+          fieldId: selectedSlot.fieldId,
+          type: selectedSlot.type,
+          date,
+          startTime: selectedSlot.startTime,
+          endTime: selectedSlot.endTime,
+          phone: isValidPhone(phone) ? `${PHONE_PREFIX}${phone}` : undefined,
+        },
+        { auth: false, errorMessage: t('info.promoInvalid') }
+      );
+      setPromo({ ...data, code: data?.code || code });
+    } catch (err) {
+      setPromo(null);
+      setPromoError(err.message);
+    } finally {
+      setCheckingPromo(false);
+    }
+  };
 
   const handlePay = async (paymentMethod) => {
     if (!selectedSlot) return;
     if (!name || !phone) {
-      alert('Veuillez renseigner votre nom et votre numéro de téléphone.');
+      alert(t('info.required'));
       return;
     }
     if (!validatePhone()) return;
@@ -269,10 +881,9 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
     const fullPhone = `${PHONE_PREFIX}${phone}`;
     try {
       setSubmitting(true);
-      const res = await fetch(`${API_BASE_URL}/reservations/public`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      const data = await api.post(
+        '/reservations/public',
+        {
           fieldId: selectedSlot.fieldId,
           date,
           startTime: selectedSlot.startTime,
@@ -282,12 +893,35 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
           phone: fullPhone,
           address,
           paymentMethod,
-        }),
-      });
-
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || 'Erreur de réservation');
+          durationMinutes: bookingDuration,
+          totalPrice: finalPrice,
+          holdId: hold?.id,
+          promoCode: promo?.code,
+        },
+        { auth: false, errorMessage: t('info.bookingError') }
+      );
 
+      const created = data?.reservation || data;
+      const reference = reservationReference(created);
+      // Le blocage est consommé par la réservation : rien à libérer
+      setHold(null);
+      try {
+        const redirected = await startCheckout(
+          { reservationId: created._id, provider: paymentMethod, phone: fullPhone, reference },
+          t('payment.checkoutError')
+        );
+        if (redirected) return;
+      } catch (checkoutErr) {
+        // La réservation est enregistrée : le paiement sera finalisé avec un gestionnaire.
+        console.error(checkoutErr);
+      }
+      setCreatedReservation({
+        reference,
+        phone: fullPhone,
+        email,
+        loyaltyDiscountPercent: Number(created?.loyaltyDiscountPercent) || 0,
+        totalPrice: created?.totalPrice,
+      });
       setDate('');
       setAvailableSlots([]);
       setSelectedSlot(null);
@@ -296,9 +930,9 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
       setEmail('');
       setPhone('');
       setAddress('');
+      setPromoInput('');
       setStep('slots');
       onReservationCreated();
-      setShowReservationSuccess(true);
     } catch (err) {
       console.error(err);
       alert(err.message);
@@ -312,15 +946,12 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
       <section className="panel reservation-panel">
         {step === 'slots' && (
           <>
-            <h2>Réserver un créneau</h2>
-            <p className="panel-subtitle">
-              Sélectionnez une date et un format de terrain. Tous les créneaux disponibles vont
-              s&apos;afficher automatiquement.
-            </p>
+            <h2>{t('booking.title')}</h2>
+            <p className="panel-subtitle">{t('booking.subtitle')}</p>
 
             <div className="form-grid">
               <label className="form-field">
-                <span>Format du terrain</span>
+                <span>{t('booking.fieldType')}</span>
                 <select
                   value={fieldType}
                   onChange={(e) => {
@@ -329,13 +960,14 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
                     setSelectedField(null);
                   }}
                 >
-                  <option value="all">Choisir un format</option>
-                  <option value="5">Terrain à 5</option>
-                  <option value="11">Terrain à 11</option>
+                  <option value="all">{t('type.choose')}</option>
+                  <option value="5">{t('type.label', { type: 5 })}</option>
+                  <option value="7">{t('type.label', { type: 7 })}</option>
+                  <option value="11">{t('type.label', { type: 11 })}</option>
                 </select>
               </label>
               <label className="form-field">
-                <span>Date</span>
+                <span>{t('booking.date')}</span>
                 <input
                   type="date"
                   value={date}
@@ -346,45 +978,67 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
               </label>
             </div>
 
+            {durationOptions.length > 0 && (
+              <div className="form-field">
+                <span>{t('booking.duration')}</span>
+                <div className="duration-options">
+                  {durationOptions.map((minutes) => (
+                    <button
+                      key={minutes}
+                      type="button"
+                      className={minutes === bookingDuration ? 'duration-option active' : 'duration-option'}
+                      onClick={() => setDuration(minutes)}
+                    >
+                      {formatDuration(minutes)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {error && <p className="panel-error">{error}</p>}
+            {slotsError && <p className="panel-error">{slotsError}</p>}
+            {holdNotice && <p className="panel-error">{holdNotice}</p>}
 
             <div className="field-list">
               {loading || loadingSlots ? (
-                <p className="empty-state">Chargement des créneaux disponibles...</p>
-              ) : canLoadSlots && !availableSlots.length ? (
-                <p className="empty-state">
-                  Aucun créneau disponible pour cette date et ce format pour le moment.
-                </p>
+                <p className="empty-state">{t('booking.loadingSlots')}</p>
+              ) : canLoadSlots && !availableSlots.length && !slotsError ? (
+                <p className="empty-state">{t('booking.noSlots')}</p>
               ) : (
                 availableSlots.map((slot) => (
                   <button
                     key={`${slot.fieldId}-${slot.startTime}-${slot.endTime}`}
                     type="button"
                     className={
-                      selectedSlot &&
-                      selectedSlot.fieldId === slot.fieldId &&
-                      selectedSlot.startTime === slot.startTime &&
-                      selectedSlot.endTime === slot.endTime
+                      slot.held
+                        ? 'field-card field-card-held'
+                        : selectedSlot &&
+                          selectedSlot.fieldId === slot.fieldId &&
+                          selectedSlot.startTime === slot.startTime &&
+                          selectedSlot.endTime === slot.endTime
                         ? 'field-card selected'
                         : 'field-card'
                     }
-                    onClick={() => {
-                      setSelectedSlot(slot);
-                      setSelectedField({
-                        _id: slot.fieldId,
-                        name: slot.fieldName,
-                        type: slot.type,
-                        pricePerHour: slot.pricePerHour,
-                      });
-                    }}
+                    disabled={slot.held}
+                    onClick={() => selectSlot(slot)}
                   >
                     <div className="field-type">
                       {slot.startTime} – {slot.endTime}
                     </div>
                     <div className="field-name">{slot.fieldName}</div>
                     <div className="field-meta">
-                      <span>Terrain à {slot.type}</span>
-                      <span>{slot.pricePerHour} FCFA / heure</span>
+                      <span>{t('type.label', { type: slot.type })}</span>
+                      {slot.held ? (
+                        <span>{t('booking.held')}</span>
+                      ) : (
+                        <span>
+                          {t('booking.slotPrice', {
+                            price: formatAmount(slotPrice(slot)),
+                            rate: formatAmount(slot.pricePerHour),
+                          })}
+                        </span>
+                      )}
                     </div>
                   </button>
                 ))
@@ -396,9 +1050,10 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
                 <button
                   type="button"
                   className="primary-button"
-                  onClick={() => setStep('info')}
+                  onClick={handleContinue}
+                  disabled={holding}
                 >
-                  Continuer avec ce créneau
+                  {holding ? t('booking.holding') : t('booking.continue')}
                 </button>
               </div>
             )}
@@ -408,11 +1063,11 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
         {step === 'info' && selectedSlot && (
           <>
             <div className="slot-recap">
-              <h3 className="slot-recap-title">Créneau sélectionné</h3>
+              <h3 className="slot-recap-title">{t('recap.title')}</h3>
               <div className="slot-recap-row">
-                <span className="slot-recap-label">Date</span>
+                <span className="slot-recap-label">{t('recap.date')}</span>
                 <span className="slot-recap-value">
-                  {new Date(date + 'T12:00:00').toLocaleDateString('fr-FR', {
+                  {formatDate(date + 'T12:00:00', {
                     weekday: 'long',
                     day: 'numeric',
                     month: 'long',
@@ -421,47 +1076,85 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
                 </span>
               </div>
               <div className="slot-recap-row">
-                <span className="slot-recap-label">Horaire</span>
+                <span className="slot-recap-label">{t('recap.time')}</span>
+                <span className="slot-recap-value">
+                  {selectedSlot.startTime} – {selectedSlot.endTime} ·{' '}
+                  {formatDuration(Math.round(slotDurationHours(selectedSlot.startTime, selectedSlot.endTime) * 60))}
+                </span>
+              </div>
+              <div className="slot-recap-row">
+                <span className="slot-recap-label">{t('recap.field')}</span>
                 <span className="slot-recap-value">
-                  {selectedSlot.startTime} – {selectedSlot.endTime}
+                  {t('recap.fieldValue', {
+                    name: selectedField?.name || selectedSlot.fieldName,
+                    type: selectedSlot.type,
+                  })}
                 </span>
               </div>
               <div className="slot-recap-row">
-                <span className="slot-recap-label">Terrain</span>
+                <span className="slot-recap-label">{t('recap.rate')}</span>
                 <span className="slot-recap-value">
-                  {selectedField?.name || selectedSlot.fieldName} (terrain à {selectedSlot.type})
+                  {t('recap.rateValue', { rate: formatAmount(selectedSlot.pricePerHour) })}
                 </span>
               </div>
+              {promo && (
+                <div className="slot-recap-row">
+                  <span className="slot-recap-label">{t('recap.promo', { code: promo.code })}</span>
+                  <span className="slot-recap-value">
+                    −{formatAmount(promoReduction)}
+                    {promo.label ? ` (${promo.label})` : ''}
+                  </span>
+                </div>
+              )}
+              {loyaltyReduction > 0 && (
+                <div className="slot-recap-row">
+                  <span className="slot-recap-label">
+                    {t('recap.loyalty', { percent: currentQuote.loyaltyDiscountPercent })}
+                  </span>
+                  <span className="slot-recap-value">−{formatAmount(loyaltyReduction)}</span>
+                </div>
+              )}
               <div className="slot-recap-row slot-recap-price">
-                <span className="slot-recap-label">Montant</span>
-                <span className="slot-recap-value">{selectedSlot.pricePerHour} FCFA</span>
+                <span className="slot-recap-label">{t('recap.amount')}</span>
+                <span className="slot-recap-value">
+                  {finalPrice !== basePrice && <s className="price-before-discount">{formatAmount(basePrice)}</s>}{' '}
+                  {formatAmount(finalPrice)}
+                </span>
               </div>
+              {!currentQuote && <p className="hint">{t('recap.loyaltyAuto')}</p>}
+              {hold && (
+                <p className={holdRemaining <= 60 ? 'hold-countdown hold-countdown-urgent' : 'hold-countdown'}>
+                  {t('recap.holdCountdown', {
+                    time: `${Math.floor(holdRemaining / 60)}:${String(holdRemaining % 60).padStart(2, '0')}`,
+                  })}
+                </p>
+              )}
               <button
                 type="button"
                 className="ghost-button small"
-                onClick={() => setStep('slots')}
+                onClick={() => {
+                  releaseHold();
+                  setStep('slots');
+                }}
               >
-                Changer de créneau
+                {t('recap.change')}
               </button>
             </div>
 
-            <h2 className="form-section-title">Vos informations</h2>
-            <p className="panel-subtitle">
-              Renseignez vos coordonnées, puis choisissez votre moyen de paiement (Wave ou Orange
-              Money). Votre réservation sera enregistrée et prise en compte.
-            </p>
+            <h2 className="form-section-title">{t('info.title')}</h2>
+            <p className="panel-subtitle">{t('info.subtitle')}</p>
 
             <div className="reservation-form">
               <label className="form-field">
-                <span>Nom complet</span>
+                <span>{t('info.name')}</span>
                 <input
                   value={name}
                   onChange={(e) => setName(e.target.value)}
-                  placeholder="Nom et prénom"
+                  placeholder={t('info.namePlaceholder')}
                 />
               </label>
               <label className="form-field">
-                <span>Numéro de téléphone</span>
+                <span>{t('info.phone')}</span>
                 <div className={`phone-input-wrap ${phoneError ? 'input-error' : ''}`}>
                   <span className="phone-prefix">{PHONE_PREFIX}</span>
                   <input
@@ -478,7 +1171,7 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
                 {phoneError && <p className="field-error">{phoneError}</p>}
               </label>
               <label className="form-field">
-                <span>Email (optionnel)</span>
+                <span>{t('info.email')}</span>
                 <input
                   type="email"
                   value={email}
@@ -487,17 +1180,58 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
                 />
               </label>
               <label className="form-field">
-                <span>Adresse (optionnel)</span>
+                <span>{t('info.address')}</span>
                 <input
                   value={address}
                   onChange={(e) => setAddress(e.target.value)}
-                  placeholder="Quartier, ville"
+                  placeholder={t('info.addressPlaceholder')}
                 />
               </label>
+              <div className="form-field">
+                <span>{t('info.promo')}</span>
+                <div className="promo-input-row">
+                  <input
+                    value={promoInput}
+                    onChange={(e) => {
+                      setPromoInput(e.target.value);
+                      setPromoError('');
+                    }}
+                    placeholder={t('info.promoPlaceholder')}
+                    autoCapitalize="characters"
+                  />
+                  {promo ? (
+                    <button
+                      type="button"
+                      className="ghost-button small"
+                      onClick={() => {
+                        setPromo(null);
+                        setPromoInput('');
+                      }}
+                    >
+                      {t('info.promoRemove')}
+                    </button>
+                  ) : (
+                    <button
+                      type="button"
+                      className="ghost-button small"
+                      onClick={handleApplyPromo}
+                      disabled={!promoInput.trim() || checkingPromo}
+                    >
+                      {checkingPromo ? t('info.promoChecking') : t('info.promoApply')}
+                    </button>
+                  )}
+                </div>
+                {promoError && <p className="field-error">{promoError}</p>}
+                {promo && (
+                  <p className="hint">
+                    {t('info.promoApplied', { code: promo.code, value: promoValueLabel(promo, formatAmount) })}
+                  </p>
+                )}
+              </div>
 
               {name.trim() && isValidPhone(phone) ? (
                 <>
-                  <p className="payment-choice-label">Choisir le moyen de paiement</p>
+                  <p className="payment-choice-label">{t('info.choosePayment')}</p>
                   <div className="payment-buttons">
                     <button
                       type="button"
@@ -505,7 +1239,7 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
                       disabled={submitting}
                       onClick={() => handlePay('wave')}
                     >
-                      {submitting ? 'Envoi...' : 'Payer avec Wave'}
+                      {submitting ? t('info.sending') : t('info.payWave')}
                     </button>
                     <button
                       type="button"
@@ -513,19 +1247,13 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
                       disabled={submitting}
                       onClick={() => handlePay('orange_money')}
                     >
-                      {submitting ? 'Envoi...' : 'Payer avec Orange Money'}
+                      {submitting ? t('info.sending') : t('info.payOrange')}
                     </button>
                   </div>
-                  <p className="hint">
-                    En cliquant sur Wave ou Orange Money, votre réservation est enregistrée. Vous
-                    serez contacté pour finaliser le paiement.
-                  </p>
+                  <p className="hint">{t('info.paymentHint')}</p>
                 </>
               ) : (
-                <p className="hint">
-                  Renseignez au moins votre <strong>nom</strong> et votre <strong>numéro de
-                  téléphone</strong> pour afficher les options de paiement.
-                </p>
+                <p className="hint">{t('info.fillToPay')}</p>
               )}
             </div>
           </>
@@ -534,48 +1262,65 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
 
       <section className="hero hero-section">
         <p className="eyebrow">Bargny · Dakar</p>
-        <h1>Réservez votre terrain synthétique en quelques clics.</h1>
-        <p className="hero-subtitle">
-          Choisissez votre créneau, votre type de terrain (5 / 7 / 11) et profitez d&apos;une pelouse
-          de qualité pour vos matchs entre amis, tournois ou entraînements.
-        </p>
+        <h1>{t('hero.title')}</h1>
+        <p className="hero-subtitle">{t('hero.subtitle')}</p>
         <div className="hero-actions">
-          <button className="primary-button" onClick={() => fetchFields(fieldType)}>
-            Voir les terrains
-          </button>
-          <button className="ghost-button">Découvrir les services</button>
+          <Link to="/terrains" className="primary-button">
+            {t('hero.fields')}
+          </Link>
+          <button className="ghost-button">{t('hero.services')}</button>
         </div>
         <div className="hero-highlights">
           <div>
             <span className="highlight-number">09h - 02h</span>
-            <span className="highlight-label">Ouvert tous les jours</span>
+            <span className="highlight-label">{t('hero.open')}</span>
           </div>
           <div>
             <span className="highlight-number">+10k</span>
-            <span className="highlight-label">Heures de jeu par an</span>
-          </div>
-          <div>
-            <span className="highlight-number">10%</span>
-            <span className="highlight-label">Réduction fidélité</span>
+            <span className="highlight-label">{t('hero.hours')}</span>
           </div>
+          {loyaltyProgram?.discountPercent > 0 && (
+            <div>
+              <span className="highlight-number">{loyaltyProgram.discountPercent}%</span>
+              <span className="highlight-label">{t('hero.loyalty')}</span>
+            </div>
+          )}
         </div>
       </section>
 
-      {showReservationSuccess && (
-        <div className="modal-backdrop" onClick={() => setShowReservationSuccess(false)}>
+      {createdReservation && (
+        <div className="modal-backdrop" onClick={() => setCreatedReservation(null)}>
           <div className="modal-card" onClick={(e) => e.stopPropagation()}>
-            <h3>Réservation prise en compte</h3>
-            <p className="hint">
-              Votre réservation a bien été enregistrée. Vous serez contacté pour finaliser le
-              paiement (Wave ou Orange Money).
-            </p>
+            <h3>{t('created.title')}</h3>
+            <p className="hint">{t(createdReservation.email ? 'created.bodyEmail' : 'created.body')}</p>
+            {createdReservation.loyaltyDiscountPercent > 0 && (
+              <p className="reservation-reference">
+                {t('created.loyalty', {
+                  percent: createdReservation.loyaltyDiscountPercent,
+                  amount: formatAmount(createdReservation.totalPrice),
+                })}
+              </p>
+            )}
+            {createdReservation.reference && (
+              <p className="reservation-reference">
+                {t('created.reference')} <strong>{createdReservation.reference}</strong>
+              </p>
+            )}
+            <p className="hint">{t('created.keep')}</p>
             <div className="modal-actions">
+              <Link
+                to="/ma-reservation"
+                state={createdReservation}
+                className="ghost-button small"
+              >
+                {t('created.track')}
+              </Link>
               <button
                 type="button"
                 className="primary-button"
-                onClick={() => setShowReservationSuccess(false)}
+                onClick={() => setCreatedReservation(null)}
               >
-                OK
+                {t('common.ok')}
               </button>
             </div>
           </div>
@@ -585,919 +1330,5204 @@ function PublicHome({ fields, fetchFields, loading, error, token, onReservationC
   );
 }
 
-function AuthPanel({ apiBase, onAuthSuccess }) {
-  const [form, setForm] = useState({ email: '', password: '' });
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+/** Erreur de chargement des terrains avec un bouton pour relancer la requête. */
+function FieldsError({ error, onRetry }) {
+  const { t } = useI18n();
+  return (
+    <div className="panel-error">
+      <p>{error}</p>
+      <button type="button" className="ghost-button small" onClick={() => onRetry()}>
+        {t('catalogue.retry')}
+      </button>
+    </div>
+  );
+}
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setLoading(true);
-    setError('');
-    try {
-      const res = await fetch(`${apiBase}/auth/login`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ email: form.email, password: form.password }),
-      });
-      const data = await parseJsonResponse(res);
-      if (!res.ok) throw new Error(data?.message || 'Erreur de connexion');
-      onAuthSuccess(data);
-    } catch (err) {
-      console.error(err);
-      setError(err.message || "Impossible de joindre le serveur. Vérifiez l'URL de l'API.");
-    } finally {
-      setLoading(false);
-    }
-  };
+function FieldCatalogue({ fields, fetchFields, loading, error }) {
+  const [typeFilter, setTypeFilter] = useState('all');
+  const { t, formatAmount } = useI18n();
 
-  return (
-    <div className="auth-layout">
-      <div className="auth-card">
-        <h2>Espace gestionnaire</h2>
-        <p className="auth-subtitle">
-          Connectez-vous avec votre compte administrateur pour gérer les terrains et les
-          réservations.
-        </p>
+  useEffect(() => {
+    fetchFields();
+  }, [fetchFields]);
 
-        {error && <p className="panel-error">{error}</p>}
+  const publicFields = fields.filter((f) => f.isActive !== false);
+  const types = [...new Set(publicFields.map((f) => String(f.type)))].sort((a, b) => Number(a) - Number(b));
+  const visible = publicFields.filter((f) => typeFilter === 'all' || String(f.type) === typeFilter);
 
-        <form className="auth-form" onSubmit={handleSubmit}>
-          <label className="form-field">
-            <span>Email</span>
-            <input
-              type="email"
-              name="email"
-              value={form.email}
-              onChange={(e) => setForm({ ...form, email: e.target.value })}
-              required
-            />
-          </label>
-          <label className="form-field">
-            <span>Mot de passe</span>
-            <input
-              type="password"
-              name="password"
-              value={form.password}
-              onChange={(e) => setForm({ ...form, password: e.target.value })}
-              required
-            />
-          </label>
-          <button className="primary-button" type="submit" disabled={loading}>
-            {loading ? 'Connexion...' : 'Se connecter'}
-          </button>
-        </form>
+  return (
+    <section className="panel field-catalogue-panel">
+      <h2>{t('catalogue.title')}</h2>
+      <p className="panel-subtitle">{t('catalogue.subtitle')}</p>
 
-        <p className="hint">
-          Utilisez le compte admin fourni (après avoir lancé <code>npm run seed</code> dans le
-          backend : admin@samaterrain.sn / admin123).
-        </p>
-      </div>
-    </div>
+      {types.length > 1 && (
+        <div className="duration-options">
+          {['all', ...types].map((type) => (
+            <button
+              key={type}
+              type="button"
+              className={typeFilter === type ? 'duration-option active' : 'duration-option'}
+              onClick={() => setTypeFilter(type)}
+            >
+              {type === 'all' ? t('catalogue.allTypes') : t('type.label', { type })}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && !loading ? (
+        <FieldsError error={error} onRetry={fetchFields} />
+      ) : loading && !fields.length ? (
+        <p className="empty-state">{t('catalogue.loading')}</p>
+      ) : !visible.length ? (
+        <p className="empty-state">{t('catalogue.empty')}</p>
+      ) : (
+        <div className="field-catalogue">
+          {visible.map((field) => (
+            <article key={field._id} className="field-catalogue-card">
+              <Link to={`/terrains/${field._id}`} className="field-photo">
+                {field.photos?.length ? (
+                  <img src={photoUrl(field.photos[0])} alt={field.name} />
+                ) : (
+                  <span>{t('catalogue.noPhoto')}</span>
+                )}
+              </Link>
+              <div className="field-catalogue-body">
+                <div className="field-meta">
+                  <span className="badge">{t('type.label', { type: field.type })}</span>
+                  <strong>{t('catalogue.perHour', { amount: formatAmount(field.pricePerHour) })}</strong>
+                </div>
+                <h3>{field.name}</h3>
+                {field.description && <p className="hint">{field.description}</p>}
+                <AmenityList amenities={field.amenities} />
+                <div className="modal-actions">
+                  <Link to={`/terrains/${field._id}`} className="ghost-button small">
+                    {t('catalogue.details')}
+                  </Link>
+                  <Link to={`/?type=${field.type}`} className="primary-button">
+                    {t('catalogue.book')}
+                  </Link>
+                </div>
+              </div>
+            </article>
+          ))}
+        </div>
+      )}
+    </section>
   );
 }
 
-function AdminDashboard({ apiBase, token, onLogout, user }) {
-  const [fields, setFields] = useState([]);
-  const [reservations, setReservations] = useState([]);
-  const [loadingFields, setLoadingFields] = useState(true);
-  const [loadingReservations, setLoadingReservations] = useState(true);
-  const [form, setForm] = useState({
-    name: '',
-    description: '',
-    type: '5',
-    pricePerHour: 30000,
-  });
-  const [saving, setSaving] = useState(false);
+function AmenityList({ amenities }) {
+  const { t } = useI18n();
+  if (!amenities?.length) return null;
+  return (
+    <ul className="amenity-list">
+      {amenities.map((key) => (
+        <li key={key}>{t(`amenity.${key}`)}</li>
+      ))}
+    </ul>
+  );
+}
 
-  // Réservation pour un client (par téléphone)
-  const [adminType, setAdminType] = useState('11');
-  const [adminDate, setAdminDate] = useState('');
-  const [adminSlots, setAdminSlots] = useState([]);
-  const [adminLoadingSlots, setAdminLoadingSlots] = useState(false);
-  const [adminSelectedSlot, setAdminSelectedSlot] = useState(null);
-  const [adminName, setAdminName] = useState('');
-  const [adminPhone, setAdminPhone] = useState('');
-  const [adminEmail, setAdminEmail] = useState('');
-  const [adminAddress, setAdminAddress] = useState('');
-  const [adminSaving, setAdminSaving] = useState(false);
-  // 'all' = vue globale, sinon onglet spécifique
-  const [adminTab, setAdminTab] = useState('all'); // 'all' | 'terrain' | 'users' | 'creneaux' | 'reservations'
-  const [paymentModal, setPaymentModal] = useState(null); // { id, totalPrice, label }
-  const [paymentModalMethod, setPaymentModalMethod] = useState('wave');
-  const [paymentModalMode, setPaymentModalMode] = useState('full'); // 'full' | 'half'
-  // Filtres de recherche pour les réservations
-  const [reservationFilterType, setReservationFilterType] = useState('all');
-  const [reservationFilterDate, setReservationFilterDate] = useState('');
+function FieldDetail({ fields, fetchFields, loading, error }) {
+  const { id } = useParams();
+  const { t, formatAmount } = useI18n();
 
-  // Gestion des utilisateurs (gestionnaires)
-  const [users, setUsers] = useState([]);
-  const [loadingUsers, setLoadingUsers] = useState(false);
-  const [gestionnaireForm, setGestionnaireForm] = useState({ name: '', email: '', phone: '', password: '' });
-  const [savingGestionnaire, setSavingGestionnaire] = useState(false);
-  const [userMessage, setUserMessage] = useState({ type: '', text: '' });
+  useEffect(() => {
+    if (!fields.length) fetchFields();
+  }, [fields.length, fetchFields]);
 
-  const authHeaders = () => ({
-    'Content-Type': 'application/json',
-    Authorization: `Bearer ${token}`,
-  });
+  const field = fields.find((f) => f._id === id && f.isActive !== false);
 
-  const fetchFields = async () => {
-    setLoadingFields(true);
-    try {
-      const res = await fetch(`${apiBase}/fields`, { headers: authHeaders() });
-      const data = res.ok ? await res.json() : [];
-      setFields(Array.isArray(data) ? data : []);
-    } catch {
-      setFields([]);
-    } finally {
-      setLoadingFields(false);
-    }
-  };
+  if (!field) {
+    return (
+      <section className="panel field-catalogue-panel">
+        <Link to="/terrains" className="link-button">
+          {t('catalogue.back')}
+        </Link>
+        {error && !loading ? (
+          <FieldsError error={error} onRetry={fetchFields} />
+        ) : (
+          <p className="empty-state">{loading ? t('catalogue.loading') : t('catalogue.notFound')}</p>
+        )}
+      </section>
+    );
+  }
 
-  const fetchReservations = async () => {
-    setLoadingReservations(true);
-    try {
-      const res = await fetch(`${apiBase}/reservations`, { headers: authHeaders() });
-      const data = res.ok ? await res.json() : [];
-      setReservations(Array.isArray(data) ? data : []);
-    } catch {
-      setReservations([]);
-    } finally {
-      setLoadingReservations(false);
-    }
-  };
+  return (
+    <section className="panel field-catalogue-panel">
+      <Link to="/terrains" className="link-button">
+        {t('catalogue.back')}
+      </Link>
+      <div className="field-detail">
+        <div>
+          {field.photos?.length ? (
+            <div className="field-detail-gallery">
+              {field.photos.map((photo) => (
+                <img key={photoUrl(photo)} src={photoUrl(photo)} alt={field.name} />
+              ))}
+            </div>
+          ) : (
+            <div className="field-photo">
+              <span>{t('catalogue.noPhoto')}</span>
+            </div>
+          )}
+        </div>
+        <div className="field-catalogue-body">
+          <div className="field-meta">
+            <span className="badge">{t('type.label', { type: field.type })}</span>
+            <strong>{t('catalogue.perHour', { amount: formatAmount(field.pricePerHour) })}</strong>
+          </div>
+          <h2>{field.name}</h2>
+          <p className="hint">
+            {t('catalogue.hours', { open: field.openingTime || '09:00', close: field.closingTime || '02:00' })}
+          </p>
+          {field.description && <p>{field.description}</p>}
+          {field.amenities?.length > 0 && (
+            <>
+              <h3>{t('catalogue.amenities')}</h3>
+              <AmenityList amenities={field.amenities} />
+            </>
+          )}
+        </div>
+      </div>
 
-  const filteredReservations = reservations.filter((r) => {
-    // Filtre par type de terrain
-    if (reservationFilterType !== 'all') {
-      const fieldType = r.field?.type ? String(r.field.type) : '';
-      if (fieldType !== reservationFilterType) return false;
-    }
-    // Filtre par date (jour)
-    if (reservationFilterDate) {
-      const reservationDateStr = new Date(r.date).toISOString().slice(0, 10);
-      if (reservationDateStr !== reservationFilterDate) return false;
-    }
-    return true;
-  });
+      <FieldAvailabilityCalendar field={field} />
+    </section>
+  );
+}
 
-  const fetchUsers = async () => {
-    setLoadingUsers(true);
-    try {
-      const res = await fetch(`${apiBase}/auth/users`, { headers: authHeaders() });
-      const data = res.ok ? await res.json() : [];
-      setUsers(Array.isArray(data) ? data : []);
-    } catch {
-      setUsers([]);
-    } finally {
-      setLoadingUsers(false);
-    }
-  };
+// Nombre de jours proposés dans le mini-calendrier d'une fiche terrain
+const FIELD_CALENDAR_DAYS = 7;
 
-  useEffect(() => {
-    fetchFields();
-    fetchReservations();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [apiBase, token]);
+/** Créneaux libres du terrain sur les prochains jours ; un clic ouvre la réservation pré-remplie. */
+function FieldAvailabilityCalendar({ field }) {
+  const navigate = useNavigate();
+  const { t, formatDate } = useI18n();
+  const [day, setDay] = useState(TODAY_STR);
+  const [slots, setSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [error, setError] = useState('');
+  const days = Array.from({ length: FIELD_CALENDAR_DAYS }, (_, i) => addDays(TODAY_STR, i));
+  const duration = (BOOKING_DURATIONS_BY_TYPE[field.type] || [60])[0];
 
   useEffect(() => {
-    if ((adminTab === 'users' || adminTab === 'all') && user?.role === 'admin') fetchUsers();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [adminTab, user?.role]);
+    let cancelled = false;
+    const load = async () => {
+      setLoadingSlots(true);
+      setError('');
+      try {
+        const data = await api.get('/reservations/availability', {
+          query: { date: day, type: field.type, duration },
+          auth: false,
+        });
+        if (!cancelled) setSlots((Array.isArray(data) ? data : []).filter((slot) => slot.fieldId === field._id));
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) {
+          setSlots([]);
+          setError(err.message || t('booking.slotsError'));
+        }
+      } finally {
+        if (!cancelled) setLoadingSlots(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [day, field._id, field.type, duration, t]);
 
-  const handleChange = (e) => {
-    setForm({ ...form, [e.target.name]: e.target.value });
+  const book = (slot) => {
+    const params = new URLSearchParams({
+      type: String(field.type),
+      date: day,
+      duration: String(duration),
+      field: field._id,
+      start: slot.startTime,
+    });
+    navigate(`/?${params}`);
   };
 
-  const handleCreateField = async (e) => {
-    e.preventDefault();
-    try {
-      setSaving(true);
-      const res = await fetch(`${apiBase}/fields`, {
-        method: 'POST',
-        headers: authHeaders(),
-        body: JSON.stringify({ ...form, pricePerHour: Number(form.pricePerHour) }),
-      });
-      if (!res.ok) {
-        const data = await res.json();
-        throw new Error(data.message || 'Erreur création terrain');
-      }
-      setForm({ name: '', description: '', type: '5', pricePerHour: 30000 });
-      fetchFields();
-    } catch (err) {
-      alert(err.message);
-    } finally {
-      setSaving(false);
-    }
-  };
+  return (
+    <div className="field-calendar">
+      <h3>{t('catalogue.availability')}</h3>
+      <p className="hint">{t('catalogue.availabilityHint', { duration: formatDuration(duration) })}</p>
+      <div className="field-calendar-days">
+        {days.map((d) => (
+          <button
+            key={d}
+            type="button"
+            className={d === day ? 'field-calendar-day active' : 'field-calendar-day'}
+            onClick={() => setDay(d)}
+          >
+            <span>{formatDate(`${d}T12:00:00`, { weekday: 'short' })}</span>
+            <strong>{formatDate(`${d}T12:00:00`, { day: 'numeric', month: 'short' })}</strong>
+          </button>
+        ))}
+      </div>
+      {error && <p className="panel-error">{error}</p>}
+      {loadingSlots ? (
+        <p className="empty-state">{t('booking.loadingSlots')}</p>
+      ) : !slots.length && !error ? (
+        <p className="empty-state">{t('catalogue.noSlots')}</p>
+      ) : (
+        <div className="field-calendar-slots">
+          {slots.map((slot) => (
+            <button
+              key={`${slot.startTime}-${slot.endTime}`}
+              type="button"
+              className="duration-option"
+              disabled={slot.held}
+              title={slot.held ? t('booking.held') : undefined}
+              onClick={() => book(slot)}
+            >
+              {slot.startTime}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
 
-  const handleCreateGestionnaire = async (e) => {
-    e.preventDefault();
-    const { name, email, phone, password } = gestionnaireForm;
-    if (!name?.trim() || !email?.trim() || !password) {
-      setUserMessage({ type: 'error', text: 'Nom, email et mot de passe sont requis.' });
+function MyReservation() {
+  const location = useLocation();
+  const initialPhone = location.state?.phone ? location.state.phone.replace(/^\+221/, '') : '';
+  const [phone, setPhone] = useState(initialPhone);
+  const [reference, setReference] = useState(location.state?.reference || '');
+  const [reservation, setReservation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [acting, setActing] = useState(false);
+  const [showRescheduleForm, setShowRescheduleForm] = useState(false);
+  const [rescheduleNote, setRescheduleNote] = useState('');
+  const { t, label, formatDate, formatAmount } = useI18n();
+
+  const PHONE_PREFIX = '+221';
+  const isValidPhone = (digits) => /^[37]\d{8}$/.test(digits);
+  const credentials = () => ({ phone: `${PHONE_PREFIX}${phone}`, reference: reference.trim().toUpperCase() });
+
+  const handleLookup = async (e) => {
+    e?.preventDefault();
+    if (!isValidPhone(phone) || !reference.trim()) {
+      setError(t('my.required'));
       return;
     }
-    setUserMessage({ type: '', text: '' });
-    setSavingGestionnaire(true);
+    setLoading(true);
+    setError('');
+    setMessage('');
+    setShowRescheduleForm(false);
     try {
-      const res = await fetch(`${apiBase}/auth/create-gestionnaire`, {
-        method: 'POST',
-        headers: authHeaders(),
-        body: JSON.stringify({ name: name.trim(), email: email.trim(), phone: phone?.trim() || undefined, password }),
+      const data = await api.get('/reservations/public/lookup', {
+        query: credentials(),
+        auth: false,
+        errorMessage: t('my.notFound'),
       });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || 'Erreur lors de la création');
-      setGestionnaireForm({ name: '', email: '', phone: '', password: '' });
-      setUserMessage({ type: 'success', text: 'Gestionnaire créé avec succès.' });
-      fetchUsers();
+      setReservation(data?.reservation || data);
     } catch (err) {
-      setUserMessage({ type: 'error', text: err.message || 'Erreur lors de la création du gestionnaire.' });
+      console.error(err);
+      setReservation(null);
+      setError(err.message || t('my.lookupError'));
     } finally {
-      setSavingGestionnaire(false);
+      setLoading(false);
     }
   };
 
-  const handleDeleteField = async (fieldId) => {
-    if (!confirm('Supprimer ce terrain ? Les réservations associées resteront en base.')) return;
-    try {
-      const res = await fetch(`${apiBase}/fields/${fieldId}`, {
-        method: 'DELETE',
-        headers: authHeaders(),
-      });
-      if (res.ok) fetchFields();
-      else {
-        const data = await res.json();
-        alert(data.message || 'Impossible de supprimer');
-      }
-    } catch (err) {
-      alert(err.message);
-    }
-  };
+  const canChange =
+    reservation &&
+    reservation.status !== 'cancelled' &&
+    reservationStart(reservation).getTime() - Date.now() >= PUBLIC_CHANGE_WINDOW_HOURS * 3600 * 1000;
+  const canCancel =
+    canChange && reservation.paymentStatus !== 'paid' && reservation.paymentStatus !== 'partial';
 
-  const updateReservation = async (id, patch) => {
+  const handleCancel = async () => {
+    if (!confirm(t('my.cancelConfirm'))) return;
+    setActing(true);
+    setError('');
     try {
-      const res = await fetch(`${apiBase}/reservations/${id}`, {
-        method: 'PATCH',
-        headers: authHeaders(),
-        body: JSON.stringify(patch),
+      const data = await api.post(`/reservations/public/${reservation._id}/cancel`, credentials(), {
+        auth: false,
+        errorMessage: t('my.cancelError'),
       });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || 'Erreur mise à jour réservation');
-      fetchReservations();
+      setReservation(data?.reservation || { ...reservation, status: 'cancelled', paymentStatus: 'cancelled' });
+      setMessage(t('my.cancelled'));
     } catch (err) {
       console.error(err);
-      alert(err.message);
+      setError(err.message);
+    } finally {
+      setActing(false);
     }
   };
 
-  const fetchAdminSlots = async () => {
-    if (!adminDate || !adminType) return;
-    setAdminLoadingSlots(true);
+  const handleRescheduleRequest = async (e) => {
+    e.preventDefault();
+    setActing(true);
+    setError('');
     try {
-      const params = new URLSearchParams({ date: adminDate, type: adminType });
-      const res = await fetch(`${apiBase}/reservations/availability?${params.toString()}`);
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || 'Erreur chargement créneaux');
-      setAdminSlots(Array.isArray(data) ? data : []);
-      setAdminSelectedSlot(null);
+      await api.post(
+        `/reservations/public/${reservation._id}/reschedule-request`,
+        { ...credentials(), message: rescheduleNote.trim() },
+        { auth: false, errorMessage: t('my.rescheduleError') }
+      );
+      setShowRescheduleForm(false);
+      setRescheduleNote('');
+      setMessage(t('my.rescheduleSent'));
     } catch (err) {
       console.error(err);
-      alert(err.message);
-      setAdminSlots([]);
-      setAdminSelectedSlot(null);
+      setError(err.message);
     } finally {
-      setAdminLoadingSlots(false);
+      setActing(false);
     }
   };
 
-  const handleAdminCreate = async (e) => {
-    e.preventDefault();
-    if (!adminSelectedSlot) {
-      alert('Choisissez un créneau.');
-      return;
-    }
-    if (!adminName || !adminPhone) {
-      alert('Renseignez au minimum le nom et le téléphone du client.');
-      return;
-    }
-    try {
-      setAdminSaving(true);
-      const res = await fetch(`${apiBase}/reservations/admin-create`, {
-        method: 'POST',
-        headers: authHeaders(),
-        body: JSON.stringify({
-          fieldId: adminSelectedSlot.fieldId,
-          date: adminDate,
-          startTime: adminSelectedSlot.startTime,
-          endTime: adminSelectedSlot.endTime,
-          name: adminName,
-          email: adminEmail,
-          phone: adminPhone,
-          address: adminAddress,
-        }),
-      });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.message || 'Erreur lors de la création de la réservation');
+  return (
+    <div className="auth-layout">
+      <div className="auth-card my-reservation-card">
+        <h2>{t('shell.myReservation')}</h2>
+        <p className="auth-subtitle">{t('my.subtitle')}</p>
 
-      setAdminName('');
-      setAdminPhone('');
-      setAdminEmail('');
-      setAdminAddress('');
-      setAdminSelectedSlot(null);
-      fetchReservations();
-      fetchAdminSlots();
-      alert('Réservation créée pour le client.');
-    } catch (err) {
-      console.error(err);
-      alert(err.message);
-    } finally {
-      setAdminSaving(false);
-    }
-  };
-
-  return (
-    <div className="admin-layout">
-      <div className="admin-nav">
-        <button
-          type="button"
-          className={adminTab === 'all' ? 'admin-tab active' : 'admin-tab'}
-          onClick={() => setAdminTab('all')}
-        >
-          Vue globale
-        </button>
-        {user?.role === 'admin' && (
-          <>
-            <button
-              type="button"
-              className={adminTab === 'terrain' ? 'admin-tab active' : 'admin-tab'}
-              onClick={() => setAdminTab('terrain')}
-            >
-              Gestion terrains
-            </button>
-            <button
-              type="button"
-              className={adminTab === 'users' ? 'admin-tab active' : 'admin-tab'}
-              onClick={() => setAdminTab('users')}
-            >
-              Gestion utilisateurs
-            </button>
-          </>
-        )}
-        <button
-          type="button"
-          className={adminTab === 'creneaux' ? 'admin-tab active' : 'admin-tab'}
-          onClick={() => setAdminTab('creneaux')}
-        >
-          Gestion créneaux
-        </button>
-        <button
-          type="button"
-          className={adminTab === 'reservations' ? 'admin-tab active' : 'admin-tab'}
-          onClick={() => setAdminTab('reservations')}
-        >
-          Réservations
-        </button>
-      </div>
-
-      
-
-      {(adminTab === 'reservations' || adminTab === 'all') && (
-      <section className="panel">
-        <div className="panel-header-row">
-          <h2>Toutes les réservations</h2>
-          <button type="button" className="ghost-button small" onClick={fetchReservations}>
-            Actualiser
-          </button>
-        </div>
-        <p className="panel-subtitle">
-          Liste de toutes les réservations (clients et créneaux). Utilisez les filtres pour affiner.
-        </p>
+        {error && <p className="panel-error">{error}</p>}
 
-        <div className="form-grid" style={{ marginBottom: '0.75rem', gridTemplateColumns: 'repeat(3, minmax(0, 1fr))' }}>
+        <form className="auth-form" onSubmit={handleLookup}>
           <label className="form-field">
-            <span>Type de terrain</span>
-            <select
-              value={reservationFilterType}
-              onChange={(e) => setReservationFilterType(e.target.value)}
-            >
-              <option value="all">Tous les formats</option>
-              <option value="5">Terrain à 5</option>
-              <option value="7">Terrain à 7</option>
-              <option value="11">Terrain à 11</option>
-            </select>
+            <span>{t('info.phone')}</span>
+            <div className="phone-input-wrap">
+              <span className="phone-prefix">{PHONE_PREFIX}</span>
+              <input
+                type="tel"
+                inputMode="numeric"
+                autoComplete="tel-national"
+                value={phone}
+                onChange={(e) => setPhone(e.target.value.replace(/\D/g, '').slice(0, 9))}
+                placeholder="77 123 45 67"
+                maxLength={9}
+              />
+            </div>
           </label>
           <label className="form-field">
-            <span>Date</span>
+            <span>{t('my.reference')}</span>
             <input
-              type="date"
-              value={reservationFilterDate}
-              onChange={(e) => setReservationFilterDate(e.target.value)}
+              value={reference}
+              onChange={(e) => setReference(e.target.value)}
+              placeholder={t('my.referencePlaceholder')}
             />
           </label>
-          <div className="form-field" style={{ alignSelf: 'flex-end' }}>
-            {(reservationFilterType !== 'all' || reservationFilterDate) && (
-              <button
-                type="button"
-                className="ghost-button small"
-                onClick={() => {
-                  setReservationFilterType('all');
-                  setReservationFilterDate('');
-                }}
-              >
-                Réinitialiser les filtres
-              </button>
-            )}
-          </div>
-        </div>
+          <button className="primary-button" type="submit" disabled={loading}>
+            {loading ? t('my.searching') : t('my.lookup')}
+          </button>
+        </form>
 
-        <div className="reservation-list">
-          {loadingReservations ? (
-            <p className="empty-state">Chargement...</p>
-          ) : (
-            filteredReservations.map((r) => (
-              <div key={r._id} className={`reservation-row${r.status === 'cancelled' ? ' reservation-row-cancelled' : ''}`}>
-                <div className="reservation-main">
-                  <span className="reservation-title">
-                    {new Date(r.date).toLocaleDateString('fr-FR')} · {r.startTime} – {r.endTime}
-                  </span>
-                  <span className="reservation-subtitle">
-                    {r.field?.name || 'Terrain'} (à {r.field?.type || '?'}) ·{' '}
-                    {r.customerName || r.user?.name || '—'} · {r.customerPhone || r.user?.phone || '—'}
-                  </span>
-                </div>
-                <div className="reservation-meta">
-                  <span className="badge">{r.paymentStatus || r.status}</span>
-                  <span className="reservation-price">{r.totalPrice} FCFA</span>
-                  {r.status === 'cancelled' ? null : (
-                    <div className="reservation-actions">
-                      <select
-                        className="reservation-method"
-                        value={r.paymentMethod || ''}
-                        onChange={async (e) => {
-                          const value = e.target.value || null;
-                          try {
-                            await updateReservation(r._id, { paymentMethod: value });
-                          } catch (err) {
-                            alert(err.message);
-                          }
-                        }}
-                      >
-                        <option value="">Moyen de paiement</option>
-                        <option value="wave">Wave</option>
-                        <option value="orange_money">Orange Money</option>
-                        <option value="cash">Cash / Autre</option>
-                        <option value="admin">Admin (manuel)</option>
-                      </select>
-                      <button
-                        type="button"
-                        className="ghost-button small"
-                        onClick={() => updateReservation(r._id, { status: 'confirmed' })}
-                        disabled={r.status === 'confirmed'}
-                      >
-                        Valider
-                      </button>
-                      {user?.role === 'admin' && (
-                      <button
-                        type="button"
-                        className="ghost-button small danger"
-                        onClick={() =>
-                          updateReservation(r._id, {
-                            status: 'cancelled',
-                            paymentStatus: 'cancelled',
-                          })
-                        }
-                        disabled={
-                          r.paymentStatus === 'partial' || r.paymentStatus === 'paid'
-                        }
-                        title={
-                          r.paymentStatus === 'partial' || r.paymentStatus === 'paid'
-                            ? 'Impossible d’annuler : un paiement a déjà été enregistré.'
-                            : undefined
-                        }
-                      >
-                        Annuler
-                      </button>
-                      )}
-                      <button
-                        type="button"
-                        className="ghost-button small"
-                        onClick={() => {
-                          setPaymentModal({
-                            id: r._id,
-                            totalPrice: r.totalPrice,
-                            label: `${new Date(r.date).toLocaleDateString('fr-FR')} · ${
-                              r.startTime
-                            } – ${r.endTime} · ${r.field?.name || 'Terrain'}`,
-                          });
-                          setPaymentModalMethod(r.paymentMethod || 'wave');
-                          setPaymentModalMode('full');
-                        }}
-                      >
-                        Marquer payé
-                      </button>
-                      {r.paymentStatus === 'partial' && (
-                        <button
-                          type="button"
-                          className="ghost-button small"
-                          onClick={() =>
-                            updateReservation(r._id, {
-                              paymentStatus: 'paid',
-                              paidAmount: r.totalPrice,
-                            })
-                          }
-                          title="Marquer le solde comme payé (total)"
-                        >
-                          Compléter le paiement
-                        </button>
-                      )}
-                    </div>
+        {reservation && (
+          <div className="slot-recap my-reservation-recap">
+            <h3 className="slot-recap-title">{t('my.title', { reference: reservationReference(reservation) })}</h3>
+            <div className="slot-recap-row">
+              <span className="slot-recap-label">{t('my.status')}</span>
+              <span className="slot-recap-value">
+                <span className="badge">{label('status', reservation.status)}</span>
+              </span>
+            </div>
+            <div className="slot-recap-row">
+              <span className="slot-recap-label">{t('my.payment')}</span>
+              <span className="slot-recap-value">
+                {label('paymentStatus', reservation.paymentStatus) || '—'}
+              </span>
+            </div>
+            <div className="slot-recap-row">
+              <span className="slot-recap-label">{t('recap.field')}</span>
+              <span className="slot-recap-value">
+                {t('recap.fieldValue', {
+                  name: reservation.field?.name || t('audit.field.field'),
+                  type: reservation.field?.type || '?',
+                })}
+              </span>
+            </div>
+            <div className="slot-recap-row">
+              <span className="slot-recap-label">{t('recap.date')}</span>
+              <span className="slot-recap-value">
+                {formatDate(reservation.date, {
+                  weekday: 'long',
+                  day: 'numeric',
+                  month: 'long',
+                  year: 'numeric',
+                })}
+              </span>
+            </div>
+            <div className="slot-recap-row">
+              <span className="slot-recap-label">{t('recap.time')}</span>
+              <span className="slot-recap-value">
+                {reservation.startTime} – {reservation.endTime}
+              </span>
+            </div>
+            <div className="slot-recap-row slot-recap-price">
+              <span className="slot-recap-label">{t('recap.amount')}</span>
+              <span className="slot-recap-value">
+                {formatAmount(reservation.totalPrice)}
+                {reservation.paidAmount ? ` ${t('my.paid', { amount: formatAmount(reservation.paidAmount) })}` : ''}
+              </span>
+            </div>
+
+            {message && <p className="hint">{message}</p>}
+
+            {reservation.status !== 'cancelled' &&
+              (canChange ? (
+                <div className="reservation-actions my-reservation-actions">
+                  <button
+                    type="button"
+                    className="ghost-button small"
+                    onClick={() => setShowRescheduleForm((v) => !v)}
+                    disabled={acting}
+                  >
+                    {t('my.reschedule')}
+                  </button>
+                  {canCancel && (
+                    <button
+                      type="button"
+                      className="ghost-button small danger"
+                      onClick={handleCancel}
+                      disabled={acting}
+                    >
+                      {t('my.cancel')}
+                    </button>
                   )}
                 </div>
-              </div>
-            ))
-          )}
-          {!loadingReservations && !filteredReservations.length && (
-            <p className="empty-state">
-              Aucune réservation{reservationFilterType !== 'all' || reservationFilterDate ? ' pour ces filtres.' : '.'}
-            </p>
-          )}
-        </div>
-      </section>
-      )}
+              ) : (
+                <p className="hint">{t('my.changeWindow', { hours: PUBLIC_CHANGE_WINDOW_HOURS })}</p>
+              ))}
 
-      {paymentModal && (
-        <div className="modal-backdrop">
-          <div className="modal-card">
-            <h3>Marquer la réservation comme payée</h3>
-            <p className="hint">{paymentModal.label}</p>
+            {canChange && !canCancel && <p className="hint">{t('my.paidNoCancel')}</p>}
 
-            <label className="form-field">
-              <span>Moyen de paiement</span>
-              <select
-                value={paymentModalMethod}
-                onChange={(e) => setPaymentModalMethod(e.target.value)}
-              >
-                <option value="wave">Wave</option>
-                <option value="orange_money">Orange Money</option>
-                <option value="cash">Cash / Autre</option>
-                <option value="admin">Admin (manuel)</option>
-              </select>
-            </label>
+            {showRescheduleForm && (
+              <form className="reservation-form" onSubmit={handleRescheduleRequest}>
+                <label className="form-field">
+                  <span>{t('my.rescheduleWish')}</span>
+                  <textarea
+                    value={rescheduleNote}
+                    onChange={(e) => setRescheduleNote(e.target.value)}
+                    rows={2}
+                    placeholder={t('my.rescheduleWishPlaceholder')}
+                    required
+                  />
+                </label>
+                <button className="primary-button" type="submit" disabled={acting}>
+                  {acting ? t('info.sending') : t('my.rescheduleSend')}
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
 
-            <div className="form-grid">
-              <label className="form-field">
-                <span>
-                  <input
-                    type="radio"
-                    name="paymentMode"
-                    value="full"
-                    checked={paymentModalMode === 'full'}
-                    onChange={() => setPaymentModalMode('full')}
-                  />{' '}
-                  Paiement complet
-                </span>
-              </label>
-              <label className="form-field">
-                <span>
-                  <input
-                    type="radio"
-                    name="paymentMode"
-                    value="half"
-                    checked={paymentModalMode === 'half'}
-                    onChange={() => setPaymentModalMode('half')}
-                  />{' '}
-                  Paiement moitié
-                </span>
-              </label>
-            </div>
+function PaymentReturn() {
+  const location = useLocation();
+  const [pending] = useState(() => {
+    const params = new URLSearchParams(location.search);
+    let stored = null;
+    try {
+      stored = JSON.parse(sessionStorage.getItem(PENDING_PAYMENT_KEY) || 'null');
+    } catch {
+      stored = null;
+    }
+    const reservationId = params.get('reservation') || stored?.reservationId;
+    if (!reservationId) return null;
+    return { ...stored, reservationId };
+  });
+  const [reservation, setReservation] = useState(null);
+  const [state, setState] = useState(pending ? 'polling' : 'unknown'); // 'polling' | 'paid' | 'failed' | 'timeout' | 'unknown'
+  const [error, setError] = useState('');
+  const [retrying, setRetrying] = useState(false);
+  const { t, formatDate } = useI18n();
 
-            <p className="hint">
-              Montant enregistré :{' '}
+  useEffect(() => {
+    if (!pending || state !== 'polling') return undefined;
+    let cancelled = false;
+    let timer = null;
+    const startedAt = Date.now();
+
+    const poll = async () => {
+      try {
+        // Pas de relance automatique : la boucle de vérification rappelle déjà l'API
+        const data = await api.get(`/reservations/public/${pending.reservationId}/payment-status`, {
+          query: { phone: pending.phone, reference: pending.reference },
+          auth: false,
+          retries: 0,
+          errorMessage: t('payment.checkError'),
+        });
+        if (cancelled) return;
+        const r = data?.reservation || data;
+        setReservation(r);
+        setError('');
+        if (r?.paymentStatus === 'paid' || r?.paymentStatus === 'partial') {
+          sessionStorage.removeItem(PENDING_PAYMENT_KEY);
+          setState('paid');
+          return;
+        }
+        if (r?.paymentStatus === 'failed') {
+          setState('failed');
+          return;
+        }
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      }
+      if (cancelled) return;
+      if (Date.now() - startedAt >= PAYMENT_POLL_TIMEOUT_MS) {
+        setState('timeout');
+        return;
+      }
+      timer = setTimeout(poll, PAYMENT_POLL_INTERVAL_MS);
+    };
+
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [pending, state, t]);
+
+  const handleRetry = async (provider) => {
+    setRetrying(true);
+    setError('');
+    try {
+      const redirected = await startCheckout({ ...pending, provider }, t('payment.checkoutError'));
+      if (!redirected) throw new Error(t('payment.noLink'));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+      setRetrying(false);
+    }
+  };
+
+  const reference = pending?.reference || reservationReference(reservation);
+
+  return (
+    <div className="auth-layout">
+      <div className="auth-card payment-return-card">
+        <h2>{t('payment.title')}</h2>
+        {reference && (
+          <p className="reservation-reference">
+            {t('created.reference')} <strong>{reference}</strong>
+          </p>
+        )}
+
+        {state === 'unknown' && <p className="auth-subtitle">{t('payment.unknown')}</p>}
+
+        {state === 'polling' && (
+          <div className="payment-status payment-status-pending">
+            <span className="payment-spinner" aria-hidden="true" />
+            <p>
+              {PAYMENT_PROVIDER_LABELS[pending.provider]
+                ? t('payment.checkingProvider', { provider: PAYMENT_PROVIDER_LABELS[pending.provider] })
+                : t('payment.checking')}
+            </p>
+          </div>
+        )}
+
+        {state === 'paid' && (
+          <div className="payment-status payment-status-success">
+            <p>
               <strong>
-                {paymentModalMode === 'half'
-                  ? Math.round(paymentModal.totalPrice / 2)
-                  : paymentModal.totalPrice}{' '}
-                FCFA
-              </strong>
+                {reservation?.paymentStatus === 'partial' ? t('payment.depositReceived') : t('payment.confirmed')}
+              </strong>{' '}
+              {reservation?.startTime
+                ? t('payment.bookedOn', {
+                    date: formatDate(reservation.date),
+                    start: reservation.startTime,
+                    end: reservation.endTime,
+                  })
+                : t('payment.booked')}
             </p>
+          </div>
+        )}
 
-            <div className="modal-actions">
+        {state === 'failed' && (
+          <div className="payment-status payment-status-failed">
+            <p>
+              <strong>{t('payment.failed')}</strong> {t('payment.failedHint')}
+            </p>
+            <div className="payment-buttons">
               <button
                 type="button"
-                className="ghost-button small"
-                onClick={() => setPaymentModal(null)}
+                className="payment-btn payment-btn-wave"
+                disabled={retrying}
+                onClick={() => handleRetry('wave')}
               >
-                Annuler
+                {retrying ? t('payment.redirecting') : t('payment.retryWith', { provider: 'Wave' })}
               </button>
               <button
                 type="button"
-                className="primary-button"
-                onClick={async () => {
-                  if (!paymentModal) return;
-                  const paidAmount =
-                    paymentModalMode === 'half'
-                      ? Math.round(paymentModal.totalPrice / 2)
-                      : paymentModal.totalPrice;
-                  const paymentStatus = paymentModalMode === 'half' ? 'partial' : 'paid';
-                  await updateReservation(paymentModal.id, {
-                    paymentMethod: paymentModalMethod,
-                    paymentStatus,
-                    paidAmount,
-                  });
-                  setPaymentModal(null);
-                }}
+                className="payment-btn payment-btn-orange"
+                disabled={retrying}
+                onClick={() => handleRetry('orange_money')}
               >
-                Valider le paiement
+                {retrying ? t('payment.redirecting') : t('payment.retryWith', { provider: 'Orange Money' })}
               </button>
             </div>
           </div>
-        </div>
-      )}
-      {(adminTab === 'creneaux' || adminTab === 'all') && (
-      <section className="panel admin-booking-panel">
-        <h2>Réserver un créneau pour un client (téléphone)</h2>
-        <p className="panel-subtitle">
-          Choisissez un terrain, une date et un créneau disponible, puis saisissez les coordonnées du
-          client pour enregistrer la réservation.
+        )}
+
+        {state === 'timeout' && (
+          <div className="payment-status payment-status-pending">
+            <p>{t('payment.timeout')}</p>
+            <button type="button" className="ghost-button small" onClick={() => setState('polling')}>
+              {t('payment.checkAgain')}
+            </button>
+          </div>
+        )}
+
+        {error && state !== 'paid' && <p className="panel-error">{error}</p>}
+
+        <div className="modal-actions">
+          <Link
+            to="/ma-reservation"
+            state={pending ? { phone: pending.phone, reference } : undefined}
+            className="ghost-button small"
+          >
+            {t('shell.myReservation')}
+          </Link>
+          <Link to="/" className="primary-button">
+            {t('payment.home')}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Page de paiement simulée, servie par le fournisseur « mock » du backend (tests sans compte Wave / OM). */
+function MockCheckout() {
+  const location = useLocation();
+  const params = new URLSearchParams(location.search);
+  const intentId = params.get('intent');
+  const amount = params.get('amount');
+  const provider = params.get('provider');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const { t, formatAmount } = useI18n();
+
+  const complete = async (outcome) => {
+    setSubmitting(true);
+    setError('');
+    try {
+      const data = await api.post(
+        `/payments/mock/${intentId}/complete`,
+        { outcome },
+        { auth: false, errorMessage: t('mockPay.error') }
+      );
+      window.location.assign(data?.returnUrl || '/paiement/retour');
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-layout">
+      <div className="auth-card">
+        <h2>{t('mockPay.title')}</h2>
+        <p className="auth-subtitle">
+          {t('mockPay.subtitle', { provider: PAYMENT_PROVIDER_LABELS[provider] || provider || t('mockPay.unknown') })}
+        </p>
+        {amount && (
+          <p className="reservation-reference">
+            {t('mockPay.amount')} <strong>{formatAmount(amount)}</strong>
+          </p>
+        )}
+        {error && <p className="panel-error">{error}</p>}
+        {!intentId ? (
+          <p className="panel-error">{t('mockPay.missingIntent')}</p>
+        ) : (
+          <div className="payment-buttons">
+            <button
+              type="button"
+              className="primary-button"
+              disabled={submitting}
+              onClick={() => complete('paid')}
+            >
+              {t('mockPay.paid')}
+            </button>
+            <button
+              type="button"
+              className="ghost-button"
+              disabled={submitting}
+              onClick={() => complete('partial')}
+            >
+              {t('mockPay.partial')}
+            </button>
+            <button
+              type="button"
+              className="ghost-button danger"
+              disabled={submitting}
+              onClick={() => complete('failed')}
+            >
+              {t('mockPay.failed')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function AuthPanel({ onAuthSuccess }) {
+  const location = useLocation();
+  const { t } = useI18n();
+  const [form, setForm] = useState({ email: '', password: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(() => {
+    if (location.state?.reason === 'expired') return t('auth.expired');
+    if (location.state?.reason === 'idle') return t('auth.idle');
+    return '';
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api.post(
+        '/auth/login',
+        { email: form.email, password: form.password },
+        { auth: false, errorMessage: t('auth.error') }
+      );
+      onAuthSuccess(data);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || t('auth.unreachable'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-layout">
+      <div className="auth-card">
+        <h2>{t('auth.title')}</h2>
+        <p className="auth-subtitle">{t('auth.subtitle')}</p>
+
+        {error && <p className="panel-error">{error}</p>}
+
+        <form className="auth-form" onSubmit={handleSubmit}>
+          <label className="form-field">
+            <span>{t('auth.email')}</span>
+            <input
+              type="email"
+              name="email"
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              required
+            />
+          </label>
+          <label className="form-field">
+            <span>{t('auth.password')}</span>
+            <input
+              type="password"
+              name="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              required
+            />
+          </label>
+          <button className="primary-button" type="submit" disabled={loading}>
+            {loading ? t('auth.submitting') : t('auth.submit')}
+          </button>
+        </form>
+
+        <p className="hint">{t(DEMO_MODE ? 'auth.demoHint' : 'auth.seedHint')}</p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Garde de route : affiche `children` si l'utilisateur a l'un des `roles`, sinon redirige vers
+ * `redirectTo` en mémorisant l'adresse demandée pour y revenir après connexion.
+ */
+function RequireRole({ user, roles, redirectTo = '/login', children }) {
+  const location = useLocation();
+  if (hasRole(user, roles)) return children;
+  return <Navigate to={redirectTo} replace state={{ from: `${location.pathname}${location.search}` }} />;
+}
+
+function AdminDashboard({ user, token }) {
+  const { t, label, formatDate, formatDateTime, formatAmount } = useI18n();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [fields, setFields] = useState([]);
+  const [reservations, setReservations] = useState([]);
+  const [loadingFields, setLoadingFields] = useState(true);
+  const [loadingReservations, setLoadingReservations] = useState(true);
+  const [fieldsError, setFieldsError] = useState('');
+  const [reservationsError, setReservationsError] = useState('');
+  const [form, setForm] = useState({
+    name: '',
+    description: '',
+    type: '5',
+    pricePerHour: 30000,
+  });
+  const [saving, setSaving] = useState(false);
+
+  // Réservation pour un client (par téléphone)
+  const [adminSlots, setAdminSlots] = useState([]);
+  const [adminLoadingSlots, setAdminLoadingSlots] = useState(false);
+  const [adminSelectedSlot, setAdminSelectedSlot] = useState(null);
+  const [adminSlotNotice, setAdminSlotNotice] = useState(''); // case du planning sans créneau réservable
+  const [adminName, setAdminName] = useState('');
+  const [adminPhone, setAdminPhone] = useState('');
+  const [adminEmail, setAdminEmail] = useState('');
+  const [adminAddress, setAdminAddress] = useState('');
+  const [adminSaving, setAdminSaving] = useState(false);
+  // Récurrence : 'none' | 'weekly' | 'biweekly', jusqu'à une date (until) ou N occurrences (count)
+  const [adminRecurrence, setAdminRecurrence] = useState({ frequency: 'none', endMode: 'count', count: 4, until: '' });
+  const [seriesPreview, setSeriesPreview] = useState(null); // { key, occurrences }
+  const [previewingSeries, setPreviewingSeries] = useState(false);
+  const [openSeriesId, setOpenSeriesId] = useState(null);
+  // Section courante lue dans l'URL (/admin/<section>/<id>) : 'all' = vue globale
+  const sectionMatch = matchPath('/admin/:section/*', location.pathname);
+  const activeSection = sectionMatch
+    ? ADMIN_SECTIONS.find((section) => section.path === sectionMatch.params.section)
+    : ADMIN_SECTIONS[0];
+  const adminTab = activeSection?.key;
+  const routeItemId = sectionMatch?.params['*']?.split('/')[0] || '';
+  const canAccess = useCallback(
+    (key) => hasRole(user, ADMIN_SECTIONS.find((section) => section.key === key).roles),
+    [user]
+  );
+  // Le changement de section conserve la query string (date, format, filtres) ; params la complète
+  const openSection = (key, params = {}) => {
+    const next = new URLSearchParams(location.search);
+    Object.entries(params).forEach(([name, value]) => (value ? next.set(name, value) : next.delete(name)));
+    const search = next.toString();
+    navigate({ pathname: adminSectionPath(key), search: search ? `?${search}` : '' });
+  };
+  const [paymentModal, setPaymentModal] = useState(null); // { id, totalPrice, paidAmount, label }
+  const [paymentModalMethod, setPaymentModalMethod] = useState('wave');
+  const [paymentModalMode, setPaymentModalMode] = useState('full'); // 'full' | 'half'
+  // Filtres de recherche pour les réservations (dans l'URL) et liste paginée par l'API
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Même objet tant que les filtres ne changent pas (la date du planning ou de réservation n'en fait pas partie)
+  const reservationFiltersKey = JSON.stringify(
+    Object.fromEntries(RESERVATION_FILTER_KEYS.map((key) => [key, searchParams.get(key) || '']))
+  );
+  const reservationFilters = useMemo(() => JSON.parse(reservationFiltersKey), [reservationFiltersKey]);
+  const hasReservationFilters = RESERVATION_FILTER_KEYS.some((key) => reservationFilters[key]);
+  const [reservationSearch, setReservationSearch] = useState(reservationFilters.q);
+  const [reservationList, setReservationList] = useState([]);
+  // Nombre de lignes chargées, lu par fetchReservationList sans en faire une dépendance du chargement
+  const reservationListLengthRef = useRef(0);
+  const [reservationTotal, setReservationTotal] = useState(0);
+  const [loadingReservationList, setLoadingReservationList] = useState(true);
+  const [loadingMoreReservations, setLoadingMoreReservations] = useState(false);
+  const [reservationListError, setReservationListError] = useState('');
+  const [exportingReservations, setExportingReservations] = useState(false);
+  const reservationListEndRef = useRef(null);
+  // Réservation ouverte via /admin/reservations/:id, chargée à part si absente de la liste
+  const [linkedReservation, setLinkedReservation] = useState(null);
+  // Réservation du lien introuvable : message affiché au-dessus du planning après la redirection
+  const [linkedReservationError, setLinkedReservationError] = useState('');
+  const [movingReservation, setMovingReservation] = useState(null);
+  const [printSheetDate, setPrintSheetDate] = useState(null);
+  const [fieldDeletion, setFieldDeletion] = useState(null); // { field, impacted }
+
+  // Gestion des utilisateurs (gestionnaires)
+  const [users, setUsers] = useState([]);
+  const [loadingUsers, setLoadingUsers] = useState(false);
+  const [usersError, setUsersError] = useState('');
+  const [gestionnaireForm, setGestionnaireForm] = useState({ name: '', email: '', phone: '', password: '' });
+  const [savingGestionnaire, setSavingGestionnaire] = useState(false);
+  const [userMessage, setUserMessage] = useState({ type: '', text: '' });
+  const [editingUser, setEditingUser] = useState(null);
+  const [historyReservation, setHistoryReservation] = useState(null);
+  // Lignes modifiées par un événement en direct, surlignées quelques secondes
+  const [liveHighlights, setLiveHighlights] = useState([]);
+  // Hors ligne : écritures en attente de synchronisation (voir offline.js)
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [offlineQueue, setOfflineQueue] = useState(listQueue);
+  const [syncing, setSyncing] = useState(false);
+
+  const fetchFields = useCallback(async () => {
+    setLoadingFields(true);
+    try {
+      setFieldsError('');
+      // Les terrains inactifs restent visibles côté admin pour pouvoir les réactiver
+      const data = await api.get('/fields', { query: { includeInactive: true } });
+      setFields(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error(err);
+      setFieldsError(err.message);
+    } finally {
+      setLoadingFields(false);
+    }
+  }, []);
+
+  // Planning : semaine du lundi au dimanche contenant la date choisie (vues jour et semaine)
+  const planningDate = searchParams.get('date') || TODAY_STR;
+  const setPlanningDate = (date) => setReservationFilter('date', date === TODAY_STR ? '' : date);
+  const planningFrom = addDays(planningDate, -((new Date(`${planningDate}T12:00:00`).getDay() + 6) % 7));
+  const planningTo = addDays(planningFrom, 6);
+  // Réservation par téléphone : date et format dans l'URL (?bookDate=…&bookType=…) pour partager le lien,
+  // distincts de la date du planning (`date`) et du filtre de format de la liste (`type`)
+  const adminDate = searchParams.get('bookDate') || '';
+  const adminType = searchParams.get('bookType') || '11';
+  const setAdminDate = (date) => setReservationFilter('bookDate', date);
+  const setAdminType = (type) => setReservationFilter('bookType', type);
+  // Formats proposés : ceux des terrains existants, plus celui de l'URL pour que le select reste cohérent
+  const adminTypeOptions = [...new Set([...fields.map((f) => String(f.type)), adminType])].sort((a, b) => a - b);
+  // Créneau à présélectionner au prochain chargement (clic sur une case libre du planning)
+  const adminPreselectRef = useRef(null);
+
+  // Chaque requête porte un numéro : une réponse arrivée après une requête plus récente est ignorée
+  const planningRequestRef = useRef(0);
+  const reservationListRequestRef = useRef(0);
+
+  // Réservations de la semaine du planning seulement (GET /reservations?from&to) ; statistiques,
+  // clients et séries interrogent l'API chacun de leur côté. `silent` : actualisation en arrière-plan,
+  // sans indicateur de chargement, qui garde les données affichées en cas d'échec
+  const fetchPlanningReservations = useCallback(
+    async ({ silent = false } = {}) => {
+      planningRequestRef.current += 1;
+      const requestId = planningRequestRef.current;
+      if (!silent) setLoadingReservations(true);
+      try {
+        const data = await api.get('/reservations', { query: { from: planningFrom, to: planningTo } });
+        if (requestId !== planningRequestRef.current) return;
+        setReservations(Array.isArray(data) ? data : data?.items || []);
+        setReservationsError('');
+      } catch (err) {
+        console.error(err);
+        if (!silent && requestId === planningRequestRef.current) setReservationsError(err.message);
+      } finally {
+        if (requestId === planningRequestRef.current) setLoadingReservations(false);
+      }
+    },
+    [planningFrom, planningTo]
+  );
+
+  // Après une modification : planning affiché et liste filtrée, en gardant le nombre de lignes chargées
+  const fetchReservations = () => {
+    if (adminTab === 'reservations') fetchPlanningReservations();
+    fetchReservationList({ keepLoaded: true });
+  };
+
+  /**
+   * Liste filtrée côté API : GET /reservations?q&status&...&offset&limit → { items, total }.
+   * `append` charge la page suivante (défilement infini), `keepLoaded` recharge ce qui est déjà affiché.
+   */
+  const fetchReservationList = useCallback(
+    async ({ append = false, keepLoaded = false, silent = false } = {}) => {
+      reservationListRequestRef.current += 1;
+      const requestId = reservationListRequestRef.current;
+      const loaded = reservationListLengthRef.current;
+      if (append) setLoadingMoreReservations(true);
+      else if (!keepLoaded) setLoadingReservationList(true);
+      try {
+        const data = await api.get('/reservations', {
+          query: {
+            ...reservationFilters,
+            offset: append ? loaded : 0,
+            limit: keepLoaded ? Math.max(loaded, RESERVATION_PAGE_SIZE) : RESERVATION_PAGE_SIZE,
+          },
+        });
+        if (requestId !== reservationListRequestRef.current) return;
+        const items = Array.isArray(data) ? data : data?.items || [];
+        setReservationList((prev) => (append ? [...prev, ...items] : items));
+        setReservationTotal(Array.isArray(data) ? items.length : Number(data?.total) || 0);
+        setReservationListError('');
+      } catch (err) {
+        console.error(err);
+        if (!silent && requestId === reservationListRequestRef.current) setReservationListError(err.message);
+      } finally {
+        if (requestId === reservationListRequestRef.current) {
+          setLoadingReservationList(false);
+          setLoadingMoreReservations(false);
+        }
+      }
+    },
+    [reservationFilters]
+  );
+
+  useEffect(() => {
+    reservationListLengthRef.current = reservationList.length;
+  }, [reservationList.length]);
+
+  const hasMoreReservations = reservationList.length < reservationTotal;
+
+  const setReservationFilter = useCallback(
+    (key, value) => {
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          if (value) next.set(key, value);
+          else next.delete(key);
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [setSearchParams]
+  );
+
+  const resetReservationFilters = () => {
+    setReservationSearch('');
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        RESERVATION_FILTER_KEYS.forEach((key) => next.delete(key));
+        return next;
+      },
+      { replace: true }
+    );
+  };
+
+  const exportReservations = async (format) => {
+    setExportingReservations(true);
+    let filtered;
+    try {
+      const data = await api.get('/reservations', {
+        query: { ...reservationFilters, offset: 0, limit: RESERVATION_EXPORT_LIMIT },
+        errorMessage: t('admin.export.error'),
+      });
+      filtered = Array.isArray(data) ? data : data?.items || [];
+    } catch (err) {
+      alert(err.message);
+      return;
+    } finally {
+      setExportingReservations(false);
+    }
+
+    const headers = [
+      t('admin.export.date'),
+      t('admin.export.time'),
+      t('admin.export.field'),
+      t('admin.export.type'),
+      t('admin.export.customer'),
+      t('admin.export.phone'),
+      t('admin.export.status'),
+      t('admin.export.paymentStatus'),
+      t('admin.export.paymentMethod'),
+      t('admin.export.total'),
+      t('admin.export.paid'),
+    ];
+    const rows = filtered.map((r) => [
+      new Date(r.date).toISOString().slice(0, 10),
+      `${r.startTime} – ${r.endTime}`,
+      r.field?.name || '',
+      r.field?.type ? t('type.label', { type: r.field.type }) : '',
+      r.customerName || r.user?.name || '',
+      r.customerPhone || r.user?.phone || '',
+      label('status', r.status),
+      label('paymentStatus', r.paymentStatus),
+      label('paymentMethod', r.paymentMethod),
+      Number(r.totalPrice) || 0,
+      Number(r.paidAmount) || 0,
+    ]);
+    const suffix =
+      [reservationFilters.from, reservationFilters.to].filter(Boolean).join('_') || TODAY_STR;
+    if (format === 'xlsx') downloadBlob(toXlsxBlob(headers, rows), `reservations-${suffix}.xlsx`);
+    else downloadBlob(toCsvBlob(headers, rows), `reservations-${suffix}.csv`);
+  };
+
+  const fetchUsers = useCallback(async () => {
+    setLoadingUsers(true);
+    try {
+      setUsersError('');
+      const data = await api.get('/auth/users');
+      setUsers(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error(err);
+      setUsersError(err.message);
+    } finally {
+      setLoadingUsers(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFields();
+  }, [fetchFields]);
+
+  useEffect(() => {
+    if (adminTab === 'reservations') fetchPlanningReservations();
+  }, [adminTab, fetchPlanningReservations]);
+
+  // Recherche libre : l'URL n'est mise à jour qu'après une courte pause de saisie, et seulement quand
+  // la saisie change (un retour arrière dans l'historique ne réécrit pas l'ancienne recherche)
+  const applyReservationSearch = useEffectEvent((q) => setReservationFilter('q', q));
+  useEffect(() => {
+    const timer = setTimeout(() => applyReservationSearch(reservationSearch.trim()), 350);
+    return () => clearTimeout(timer);
+  }, [reservationSearch]);
+
+  useEffect(() => {
+    fetchReservationList();
+  }, [fetchReservationList]);
+
+  // Défilement infini : la page suivante est demandée quand le bas de la liste devient visible
+  useEffect(() => {
+    const sentinel = reservationListEndRef.current;
+    if (!sentinel || !hasMoreReservations || loadingMoreReservations || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) fetchReservationList({ append: true });
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMoreReservations, loadingMoreReservations, reservationList.length, adminTab, fetchReservationList]);
+
+  useEffect(() => {
+    if ((adminTab === 'users' || adminTab === 'all' || adminTab === 'activity') && canAccess('users')) fetchUsers();
+  }, [adminTab, canAccess, fetchUsers]);
+
+  const reservationRouteId = adminTab === 'reservations' ? routeItemId : '';
+  const planningReservation = reservationRouteId
+    ? reservations.find((r) => r._id === reservationRouteId) ||
+      (linkedReservation?._id === reservationRouteId ? linkedReservation : null)
+    : null;
+
+  const routeReservationInPlanning = reservations.some((r) => r._id === reservationRouteId);
+
+  useEffect(() => {
+    if (!reservationRouteId || loadingReservations || routeReservationInPlanning) return;
+    api
+      .get(`/reservations/${reservationRouteId}`, { errorMessage: t('admin.res.notFound') })
+      .then((data) => setLinkedReservation(data?.reservation || data))
+      .catch((err) => {
+        console.error(err);
+        setLinkedReservationError(err.message);
+        navigate({ pathname: adminSectionPath('reservations'), search: location.search }, { replace: true });
+      });
+  }, [reservationRouteId, loadingReservations, routeReservationInPlanning, t, navigate, location.search]);
+
+  // Les filtres de l'URL sont conservés à l'ouverture / fermeture d'une réservation
+  const openPlanningReservation = (r) => {
+    setLinkedReservationError('');
+    navigate({ pathname: adminSectionPath('reservations', r._id), search: location.search });
+  };
+  const closePlanningReservation = () =>
+    navigate({ pathname: adminSectionPath('reservations'), search: location.search });
+
+  const editingFieldId = adminTab === 'terrain' ? routeItemId : '';
+  const editingField = editingFieldId ? fields.find((f) => f._id === editingFieldId) : null;
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleCreateField = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await api.post(
+        '/fields',
+        { ...form, pricePerHour: Number(form.pricePerHour) },
+        { errorMessage: t('admin.fields.createError') }
+      );
+      setForm({ name: '', description: '', type: '5', pricePerHour: 30000 });
+      fetchFields();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateGestionnaire = async (e) => {
+    e.preventDefault();
+    const { name, email, phone, password } = gestionnaireForm;
+    if (!name?.trim() || !email?.trim() || !password) {
+      setUserMessage({ type: 'error', text: t('admin.users.required') });
+      return;
+    }
+    setUserMessage({ type: '', text: '' });
+    setSavingGestionnaire(true);
+    try {
+      await api.post(
+        '/auth/create-gestionnaire',
+        { name: name.trim(), email: email.trim(), phone: phone?.trim() || undefined, password },
+        { errorMessage: t('admin.users.createError') }
+      );
+      setGestionnaireForm({ name: '', email: '', phone: '', password: '' });
+      setUserMessage({ type: 'success', text: t('admin.users.created') });
+      fetchUsers();
+    } catch (err) {
+      setUserMessage({ type: 'error', text: err.message || t('admin.users.createError') });
+    } finally {
+      setSavingGestionnaire(false);
+    }
+  };
+
+  // Il doit toujours rester au moins un administrateur actif
+  const isLastActiveAdmin = (u) =>
+    u.role === 'admin' &&
+    u.isActive !== false &&
+    users.filter((other) => other.role === 'admin' && other.isActive !== false).length <= 1;
+
+  const updateUser = async (id, patch) => {
+    try {
+      await api.patch(`/auth/users/${id}`, patch, { errorMessage: t('admin.users.updateError') });
+      fetchUsers();
+      return true;
+    } catch (err) {
+      console.error(err);
+      setUserMessage({ type: 'error', text: err.message });
+      return false;
+    }
+  };
+
+  const handleResetPassword = async (u) => {
+    if (!confirm(t('admin.users.resetConfirm', { name: u.name }))) return;
+    try {
+      const data = await api.post(`/auth/users/${u._id}/reset-password`, undefined, {
+        errorMessage: t('admin.users.resetError'),
+      });
+      setUserMessage({
+        type: 'success',
+        text: data?.temporaryPassword
+          ? t('admin.users.temporaryPassword', { name: u.name, password: data.temporaryPassword })
+          : t('admin.users.resetLinkSent', { email: u.email }),
+      });
+    } catch (err) {
+      console.error(err);
+      setUserMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const handleDeleteUser = async (u) => {
+    if (!confirm(t('admin.users.deleteConfirm', { name: u.name, email: u.email }))) return;
+    try {
+      await api.delete(`/auth/users/${u._id}`, { errorMessage: t('admin.users.deleteError') });
+      setUserMessage({ type: 'success', text: t('admin.users.deleted', { name: u.name }) });
+      fetchUsers();
+    } catch (err) {
+      console.error(err);
+      setUserMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  // Réservations à venir du terrain, demandées à l'API (la liste locale n'est pas exhaustive)
+  const futureReservationsForField = async (fieldId) => {
+    const data = await api.get('/reservations', {
+      query: { field: fieldId, from: TODAY_STR },
+      errorMessage: t('admin.fields.checkError'),
+    });
+    return (Array.isArray(data) ? data : data?.items || []).filter(
+      (r) => r.status !== 'cancelled' && reservationStart(r).getTime() >= Date.now()
+    );
+  };
+
+  const handleDeleteField = async (fieldId) => {
+    const field = fields.find((f) => f._id === fieldId);
+    let impacted;
+    try {
+      impacted = await futureReservationsForField(fieldId);
+    } catch (err) {
+      console.error(err);
+      alert(err.message);
+      return;
+    }
+    // Des réservations à venir : on propose la désactivation plutôt que la suppression
+    if (impacted.length) {
+      setFieldDeletion({ field, impacted });
+      return;
+    }
+    if (!confirm(t('admin.fields.deleteConfirm'))) return;
+    try {
+      await api.delete(`/fields/${fieldId}`, { errorMessage: t('admin.fields.deleteError') });
+      fetchFields();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const setFieldActive = async (fieldId, isActive) => {
+    try {
+      await api.patch(`/fields/${fieldId}`, { isActive }, { errorMessage: t('admin.fields.updateError') });
+      fetchFields();
+    } catch (err) {
+      console.error(err);
+      alert(err.message);
+    }
+  };
+
+  const highlightReservation = (id) => {
+    setLiveHighlights((prev) => [...prev.filter((x) => x !== id), id]);
+    setTimeout(() => setLiveHighlights((prev) => prev.filter((x) => x !== id)), 4000);
+  };
+
+  // Événement en direct : mise à jour sur place. En mode repli (interrogation périodique), seules les
+  // vues affichées sont rechargées, en arrière-plan : ni indicateur de chargement ni alerte
+  const handleLiveEvent = (event) => {
+    const changed = event.reservation;
+    if (event.type === 'poll' || !changed?._id) {
+      if (adminTab === 'reservations') fetchPlanningReservations({ silent: true });
+      fetchReservationList({ keepLoaded: true, silent: true });
+    } else if (event.type === 'reservation.created') {
+      const day = changed.date ? new Date(changed.date).toISOString().slice(0, 10) : '';
+      if (day >= planningFrom && day <= planningTo) {
+        setReservations((prev) => (prev.some((r) => r._id === changed._id) ? prev : [...prev, changed]));
+      }
+      fetchReservationList({ keepLoaded: true, silent: true });
+      highlightReservation(changed._id);
+    } else {
+      const replace = (list) => list.map((r) => (r._id === changed._id ? { ...r, ...changed } : r));
+      setReservations(replace);
+      setReservationList(replace);
+      highlightReservation(changed._id);
+    }
+    const showsSlots = adminTab === 'creneaux' || adminTab === 'all';
+    if (showsSlots && adminDate && (!changed?.date || String(changed.date).slice(0, 10) === adminDate)) {
+      fetchAdminSlots({ preselect: adminSelectedSlot, silent: true });
+    }
+  };
+
+  const liveHandlerRef = useRef(null);
+  useEffect(() => {
+    liveHandlerRef.current = handleLiveEvent;
+  });
+
+  // Nouvel abonnement à chaque renouvellement du jeton : le ticket du flux est demandé avec le jeton courant
+  useEffect(
+    () => subscribeReservationEvents((event) => liveHandlerRef.current?.(event), { auth: true }),
+    [token]
+  );
+
+  const syncOfflineQueue = async () => {
+    setSyncing(true);
+    try {
+      const { sent } = await replayQueue();
+      if (sent) {
+        fetchReservations();
+        fetchAdminSlots({ preselect: adminSelectedSlot });
+      }
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  useEffect(() => onQueueChange(setOfflineQueue), []);
+
+  // Retour du réseau : la file est rejouée automatiquement, avec la date et le créneau affichés à ce moment
+  const onBackOnline = useEffectEvent(() => syncOfflineQueue());
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      onBackOnline();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    if (navigator.onLine && listQueue().length) onBackOnline();
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  // Reprend une réservation en conflit dans le formulaire pour choisir un autre créneau
+  const resumeQueuedBooking = (entry) => {
+    const { body } = entry;
+    setAdminName(body.name || '');
+    setAdminPhone(body.phone || '');
+    setAdminEmail(body.email || '');
+    setAdminAddress(body.address || '');
+    openSection('creneaux', { bookDate: body.date, bookType: body.type ? String(body.type) : adminType });
+    removeFromQueue(entry.id);
+  };
+
+  // Libellé d'une réservation dans la fenêtre d'encaissement
+  const paymentLabel = (r) =>
+    `${formatDate(r.date)} · ${r.startTime} – ${r.endTime} · ${r.field?.name || t('audit.field.field')}`;
+
+  const updateReservation = async (id, patch) => {
+    try {
+      await api.patch(`/reservations/${id}`, patch, { errorMessage: t('admin.res.updateError') });
+      fetchReservations();
+    } catch (err) {
+      console.error(err);
+      alert(err.message);
+    }
+  };
+
+  /**
+   * Encaissement : un versement qui s'ajoute au montant déjà payé (POST /reservations/:id/payments),
+   * jamais un total qui écraserait un paiement enregistré entre-temps. `expectedPaidAmount` permet à
+   * l'API de répondre 409 si le montant payé a changé. L'heure de saisie voyage avec le versement à titre
+   * indicatif quand il est rejoué depuis la file hors ligne : l'auteur est celui du jeton de la session qui
+   * l'envoie, et l'API date le rejeu à part.
+   */
+  const recordPayment = async (r, { amount, paymentMethod }, { offlineLabel } = {}) => {
+    const path = `/reservations/${r._id}/payments`;
+    const body = {
+      amount,
+      paymentMethod,
+      expectedPaidAmount: r.paidAmount || 0,
+      recordedAt: new Date().toISOString(),
+    };
+    try {
+      await api.post(path, body, { errorMessage: t('admin.payment.error') });
+      fetchReservations();
+    } catch (err) {
+      console.error(err);
+      // Paiement saisi sans réseau : mis en file et affiché tout de suite
+      if (err.isNetworkError) {
+        enqueue({ kind: 'payment', method: 'POST', path, body, label: offlineLabel || t('my.payment') });
+        const apply = (list) =>
+          list.map((item) => {
+            if (item._id !== r._id) return item;
+            const paidAmount = (item.paidAmount || 0) + amount;
+            return {
+              ...item,
+              paymentMethod,
+              paidAmount,
+              paymentStatus: paidAmount >= (item.totalPrice || 0) ? 'paid' : 'partial',
+            };
+          });
+        setReservations(apply);
+        setReservationList(apply);
+        alert(t('admin.payment.offline'));
+        return;
+      }
+      // 409 : un autre paiement a été enregistré entre-temps ; on recharge pour afficher le montant à jour
+      if (err.status === 409) fetchReservations();
+      alert(err.message);
+    }
+  };
+
+  // preselect : { fieldId, startTime } pour présélectionner un créneau (clic depuis le planning)
+  // `silent` : actualisation en direct, sans indicateur ni alerte, qui garde les créneaux affichés en cas d'échec
+  const fetchAdminSlots = useCallback(
+    async ({ date = adminDate, type = adminType, preselect = null, silent = false } = {}) => {
+      if (!date || !type) return;
+      if (!silent) {
+        setAdminLoadingSlots(true);
+        setAdminSlotNotice('');
+      }
+      try {
+        const data = await api.get('/reservations/availability', {
+          query: { date, type },
+          errorMessage: t('admin.slots.loadError'),
+        });
+        const slots = Array.isArray(data) ? data : [];
+        setAdminSlots(slots);
+        if (!preselect) {
+          setAdminSelectedSlot(null);
+          return;
+        }
+        // L'heure cliquée peut tomber au milieu d'un créneau (ex. 11:00 dans 10:00 – 12:00) :
+        // créneau qui commence à cette heure, sinon celui du même terrain qui la contient
+        const fieldSlots = slots.filter((slot) => !slot.held && String(slot.fieldId) === String(preselect.fieldId));
+        const toMinutes = (time) => timeToPlanningMinutes(time, preselect.openingTime);
+        const clicked = toMinutes(preselect.startTime);
+        const match =
+          fieldSlots.find((slot) => slot.startTime === preselect.startTime) ||
+          fieldSlots.find((slot) => {
+            const start = toMinutes(slot.startTime);
+            return start <= clicked && clicked < start + slotDurationHours(slot.startTime, slot.endTime) * 60;
+          });
+        setAdminSelectedSlot(match || null);
+        if (!match) {
+          setAdminSlotNotice(
+            t('admin.slots.notBookable', {
+              time: preselect.startTime,
+              field: preselect.fieldName || t('admin.slots.thisField'),
+            })
+          );
+        }
+      } catch (err) {
+        console.error(err);
+        if (silent) return;
+        alert(err.message);
+        setAdminSlots([]);
+        setAdminSelectedSlot(null);
+      } finally {
+        if (!silent) setAdminLoadingSlots(false);
+      }
+    },
+    [adminDate, adminType, t]
+  );
+
+  // Clic sur une case libre du planning : ouvre la réservation client sur ce créneau
+  const startAdminCreateForSlot = ({ field, date, startTime }) => {
+    adminPreselectRef.current = {
+      fieldId: field._id,
+      fieldName: field.name,
+      openingTime: field.openingTime,
+      startTime,
+    };
+    openSection('creneaux', { bookDate: date, bookType: String(field.type) });
+  };
+
+  // Les créneaux suivent la date et le format de l'URL (lien partagé, retour arrière, clic sur le planning) ;
+  // un changement de langue ne les recharge pas, pour garder le créneau choisi
+  const onAdminSlotQueryChange = useEffectEvent(() => {
+    const preselect = adminPreselectRef.current;
+    adminPreselectRef.current = null;
+    fetchAdminSlots({ preselect });
+  });
+  useEffect(() => {
+    if ((adminTab !== 'creneaux' && adminTab !== 'all') || !adminDate) return;
+    onAdminSlotQueryChange();
+  }, [adminTab, adminDate, adminType]);
+
+  const isRecurring = adminRecurrence.frequency !== 'none';
+
+  const seriesRequest = () =>
+    adminSelectedSlot && {
+      fieldId: adminSelectedSlot.fieldId,
+      startDate: adminDate,
+      startTime: adminSelectedSlot.startTime,
+      endTime: adminSelectedSlot.endTime,
+      frequency: adminRecurrence.frequency,
+      ...(adminRecurrence.endMode === 'until'
+        ? { until: adminRecurrence.until }
+        : { count: Number(adminRecurrence.count) }),
+    };
+
+  // L'aperçu n'est valable que pour le créneau et la récurrence avec lesquels il a été calculé
+  const seriesKey = JSON.stringify(seriesRequest());
+  const currentSeriesPreview = seriesPreview?.key === seriesKey ? seriesPreview.occurrences : null;
+
+  const handlePreviewSeries = async () => {
+    if (!adminSelectedSlot) return;
+    if (adminRecurrence.endMode === 'until' && !adminRecurrence.until) {
+      alert(t('admin.series.untilRequired'));
+      return;
+    }
+    setPreviewingSeries(true);
+    try {
+      const data = await api.post('/reservations/series/preview', seriesRequest(), {
+        errorMessage: t('admin.series.previewError'),
+      });
+      setSeriesPreview({ key: seriesKey, occurrences: data?.occurrences || [] });
+    } catch (err) {
+      console.error(err);
+      alert(err.message);
+    } finally {
+      setPreviewingSeries(false);
+    }
+  };
+
+  // Aperçu de la remise fidélité calculée par l'API (réservation unique uniquement) ; l'API l'applique
+  // elle-même à l'enregistrement, réservations à venir confirmées comprises
+  const adminCustomerKey = customerKey(adminPhone);
+  const [adminLoyalty, setAdminLoyalty] = useState(null); // { phoneKey, nextDiscount }
+  useEffect(() => {
+    if (adminCustomerKey.length !== 9 || isRecurring) return undefined;
+    let cancelled = false;
+    api
+      .get('/customers/loyalty', { query: { phone: adminPhone } })
+      .then((data) => {
+        if (!cancelled) setAdminLoyalty({ phoneKey: adminCustomerKey, nextDiscount: data?.nextDiscount || null });
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      cancelled = true;
+    };
+  }, [adminCustomerKey, adminPhone, isRecurring]);
+  const adminLoyaltyDiscount =
+    !isRecurring && adminLoyalty?.phoneKey === adminCustomerKey ? adminLoyalty.nextDiscount : null;
+
+  const handleAdminCreate = async (e) => {
+    e.preventDefault();
+    if (!adminSelectedSlot) {
+      alert(t('admin.create.slotRequired'));
+      return;
+    }
+    if (!adminName || !adminPhone) {
+      alert(t('admin.create.customerRequired'));
+      return;
+    }
+    if (isRecurring && !currentSeriesPreview) {
+      alert(t('admin.series.previewRequired'));
+      return;
+    }
+    const customer = { name: adminName, email: adminEmail, phone: adminPhone, address: adminAddress };
+    try {
+      setAdminSaving(true);
+      if (isRecurring) {
+        const skipDates = currentSeriesPreview.filter((o) => o.conflict).map((o) => o.date);
+        const data = await api.post(
+          '/reservations/series',
+          { ...seriesRequest(), ...customer, skipDates },
+          { errorMessage: t('admin.series.createError') }
+        );
+        setAdminName('');
+        setAdminPhone('');
+        setAdminEmail('');
+        setAdminAddress('');
+        setAdminSelectedSlot(null);
+        setSeriesPreview(null);
+        fetchReservations();
+        fetchAdminSlots();
+        alert(
+          t('admin.series.created', {
+            count: data?.reservations?.length ?? currentSeriesPreview.length - skipDates.length,
+          })
+        );
+        return;
+      }
+      const body = {
+        fieldId: adminSelectedSlot.fieldId,
+        date: adminDate,
+        startTime: adminSelectedSlot.startTime,
+        endTime: adminSelectedSlot.endTime,
+        ...customer,
+      };
+      try {
+        await api.post('/reservations/admin-create', body, {
+          errorMessage: t('admin.create.error'),
+        });
+      } catch (err) {
+        if (!err.isNetworkError) throw err;
+        // Sans réseau : la réservation téléphonique est gardée sur ce poste et envoyée plus tard
+        enqueue({
+          kind: 'admin-create',
+          method: 'POST',
+          path: '/reservations/admin-create',
+          body: {
+            ...body,
+            type: adminSelectedSlot.type,
+            recordedAt: new Date().toISOString(),
+          },
+          label: `${formatDate(`${adminDate}T12:00:00`)} · ${adminSelectedSlot.startTime} – ${
+            adminSelectedSlot.endTime
+          } · ${adminSelectedSlot.fieldName} · ${adminName}`,
+        });
+        setAdminName('');
+        setAdminPhone('');
+        setAdminEmail('');
+        setAdminAddress('');
+        setAdminSelectedSlot(null);
+        alert(t('admin.create.offline'));
+        return;
+      }
+
+      setAdminName('');
+      setAdminPhone('');
+      setAdminEmail('');
+      setAdminAddress('');
+      setAdminSelectedSlot(null);
+      fetchReservations();
+      fetchAdminSlots();
+      alert(t('admin.create.done'));
+    } catch (err) {
+      console.error(err);
+      alert(err.message);
+    } finally {
+      setAdminSaving(false);
+    }
+  };
+
+  // Section inconnue ou réservée à un autre rôle : retour à la vue globale
+  if (!activeSection || !hasRole(user, activeSection.roles)) return <Navigate to="/admin" replace />;
+
+  return (
+    <div className="admin-layout">
+      <div className="admin-nav">
+        {ADMIN_SECTIONS.filter((section) => hasRole(user, section.roles)).map((section) => (
+          <button
+            key={section.key}
+            type="button"
+            className={adminTab === section.key ? 'admin-tab active' : 'admin-tab'}
+            onClick={() => openSection(section.key)}
+          >
+            {t(`admin.tab.${section.key}`)}
+          </button>
+        ))}
+      </div>
+
+      {(!online || offlineQueue.length > 0) && (
+        <section className={online ? 'panel offline-panel' : 'panel offline-panel offline-panel-down'}>
+          <div className="panel-header-row">
+            <h2>{online ? t('admin.offline.pending') : t('admin.offline.title')}</h2>
+            {online && offlineQueue.some((e) => !e.conflict) && (
+              <button type="button" className="ghost-button small" onClick={syncOfflineQueue} disabled={syncing}>
+                {syncing ? t('admin.offline.syncing') : t('admin.offline.sync')}
+              </button>
+            )}
+          </div>
+          <p className="panel-subtitle">
+            {online ? t('admin.offline.pendingHint') : t('admin.offline.hint')}
+          </p>
+          {offlineQueue.length > 0 && (
+            <div className="reservation-list">
+              {offlineQueue.map((entry) => (
+                <div key={entry.id} className="reservation-row">
+                  <div className="reservation-main">
+                    <span className="reservation-title">
+                      {entry.kind === 'admin-create' ? t('admin.offline.booking') : t('my.payment')} · {entry.label}
+                    </span>
+                    <span className="reservation-subtitle">
+                      {t('admin.offline.recordedAt', { date: formatDateTime(entry.createdAt) })} ·{' '}
+                      {entry.conflict
+                        ? t('admin.offline.refused', { message: entry.conflict.message })
+                        : t('status.pending')}
+                    </span>
+                  </div>
+                  {entry.conflict && (
+                    <div className="reservation-actions">
+                      {entry.kind === 'admin-create' && (
+                        <button type="button" className="ghost-button small" onClick={() => resumeQueuedBooking(entry)}>
+                          {t('admin.offline.otherSlot')}
+                        </button>
+                      )}
+                      {/* Un paiement refusé (409) repartirait avec le même montant attendu : on l'abandonne */}
+                      {!(entry.kind === 'payment' && entry.conflict.status === 409) && (
+                        <button
+                          type="button"
+                          className="ghost-button small"
+                          onClick={() => retryEntry(entry.id).then(() => fetchReservations())}
+                          disabled={!online}
+                        >
+                          {t('catalogue.retry')}
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        className="ghost-button small danger"
+                        onClick={() => removeFromQueue(entry.id)}
+                      >
+                        {t('admin.offline.drop')}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      {reservationsError && (adminTab === 'all' || adminTab === 'reservations') && (
+        <p className="panel-error">{t('admin.planning.loadError', { message: reservationsError })}</p>
+      )}
+      {linkedReservationError && adminTab === 'reservations' && (
+        <p className="panel-error">{linkedReservationError}</p>
+      )}
+
+      {adminTab === 'all' && (
+        <StatsDashboard />
+      )}
+
+      {adminTab === 'reservations' && (
+        <PlanningGrid
+          fields={fields}
+          reservations={reservations}
+          loading={loadingFields || loadingReservations}
+          filterType={reservationFilters.type || 'all'}
+          date={planningDate}
+          onDateChange={setPlanningDate}
+          onOpenReservation={openPlanningReservation}
+          onCreateSlot={startAdminCreateForSlot}
+        />
+      )}
+
+      {planningReservation && (
+        <div className="modal-backdrop" onClick={closePlanningReservation}>
+          <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+            <h3>
+              {formatDate(planningReservation.date)} · {planningReservation.startTime} –{' '}
+              {planningReservation.endTime}
+            </h3>
+            <p className="hint">
+              {t('recap.fieldValue', {
+                name: planningReservation.field?.name || t('audit.field.field'),
+                type: planningReservation.field?.type || '?',
+              })}{' '}
+              ·{' '}
+              {planningReservation.customerName || planningReservation.user?.name || '—'} ·{' '}
+              {planningReservation.customerPhone || planningReservation.user?.phone || '—'}
+            </p>
+            <div className="slot-recap-row">
+              <span className="slot-recap-label">{t('my.status')}</span>
+              <span className="badge">{label('status', planningReservation.status)}</span>
+            </div>
+            <div className="slot-recap-row">
+              <span className="slot-recap-label">{t('my.payment')}</span>
+              <span className="slot-recap-value">
+                {label('paymentStatus', planningReservation.paymentStatus) || '—'} ·{' '}
+                {planningReservation.paidAmount
+                  ? t('admin.res.paidOf', {
+                      paid: formatAmount(planningReservation.paidAmount),
+                      total: formatAmount(planningReservation.totalPrice),
+                    })
+                  : formatAmount(planningReservation.totalPrice)}
+              </span>
+            </div>
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="ghost-button small"
+                onClick={closePlanningReservation}
+              >
+                {t('admin.close')}
+              </button>
+              {canMoveReservation(planningReservation) && (
+                <button
+                  type="button"
+                  className="ghost-button small"
+                  onClick={() => {
+                    setMovingReservation(planningReservation);
+                    closePlanningReservation();
+                  }}
+                >
+                  {t('admin.res.move')}
+                </button>
+              )}
+              {planningReservation.status !== 'confirmed' && (
+                <button
+                  type="button"
+                  className="ghost-button small"
+                  onClick={async () => {
+                    await updateReservation(planningReservation._id, { status: 'confirmed' });
+                    closePlanningReservation();
+                  }}
+                >
+                  {t('admin.res.confirm')}
+                </button>
+              )}
+              {planningReservation.paymentStatus !== 'paid' && (
+                <button
+                  type="button"
+                  className="primary-button"
+                  onClick={() => {
+                    const r = planningReservation;
+                    closePlanningReservation();
+                    setPaymentModal({
+                      id: r._id,
+                      totalPrice: r.totalPrice,
+                      paidAmount: r.paidAmount || 0,
+                      label: paymentLabel(r),
+                    });
+                    setPaymentModalMethod(r.paymentMethod || 'wave');
+                    setPaymentModalMode('full');
+                  }}
+                >
+                  {t('admin.res.markPaid')}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {(adminTab === 'reservations' || adminTab === 'all') && (
+      <section className="panel">
+        <div className="panel-header-row">
+          <h2>{t('admin.res.title')}</h2>
+          <div className="reservation-actions">
+            <button
+              type="button"
+              className="ghost-button small"
+              onClick={() => exportReservations('csv')}
+              disabled={!reservationList.length || exportingReservations}
+            >
+              {t('admin.res.exportCsv')}
+            </button>
+            <button
+              type="button"
+              className="ghost-button small"
+              onClick={() => exportReservations('xlsx')}
+              disabled={!reservationList.length || exportingReservations}
+            >
+              {t('admin.res.exportXlsx')}
+            </button>
+            <button
+              type="button"
+              className="ghost-button small"
+              onClick={() => setPrintSheetDate(reservationFilters.from || TODAY_STR)}
+            >
+              {t('admin.res.dailySheet')}
+            </button>
+            <button type="button" className="ghost-button small" onClick={fetchReservations}>
+              {t('admin.refresh')}
+            </button>
+          </div>
+        </div>
+        <p className="panel-subtitle">{t('admin.res.subtitle')}</p>
+
+        <div className="form-grid reservation-filters">
+          <label className="form-field reservation-search">
+            <span>{t('admin.res.search')}</span>
+            <input
+              type="search"
+              value={reservationSearch}
+              onChange={(e) => setReservationSearch(e.target.value)}
+              placeholder={t('admin.res.searchPlaceholder')}
+            />
+          </label>
+          <label className="form-field">
+            <span>{t('admin.res.from')}</span>
+            <input
+              type="date"
+              value={reservationFilters.from}
+              onChange={(e) => setReservationFilter('from', e.target.value)}
+            />
+          </label>
+          <label className="form-field">
+            <span>{t('admin.res.to')}</span>
+            <input
+              type="date"
+              value={reservationFilters.to}
+              min={reservationFilters.from || undefined}
+              onChange={(e) => setReservationFilter('to', e.target.value)}
+            />
+          </label>
+          <label className="form-field">
+            <span>{t('booking.fieldType')}</span>
+            <select
+              value={reservationFilters.type}
+              onChange={(e) => setReservationFilter('type', e.target.value)}
+            >
+              <option value="">{t('catalogue.allTypes')}</option>
+              {['5', '7', '11'].map((type) => (
+                <option key={type} value={type}>
+                  {t('type.label', { type })}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="form-field">
+            <span>{t('audit.field.field')}</span>
+            <select
+              value={reservationFilters.field}
+              onChange={(e) => setReservationFilter('field', e.target.value)}
+            >
+              <option value="">{t('admin.res.allFields')}</option>
+              {fields.map((f) => (
+                <option key={f._id} value={f._id}>
+                  {t('recap.fieldValue', { name: f.name, type: f.type })}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="form-field">
+            <span>{t('my.status')}</span>
+            <select
+              value={reservationFilters.status}
+              onChange={(e) => setReservationFilter('status', e.target.value)}
+            >
+              <option value="">{t('admin.res.allStatuses')}</option>
+              {RESERVATION_STATUSES.map((value) => (
+                <option key={value} value={value}>
+                  {label('status', value)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="form-field">
+            <span>{t('my.payment')}</span>
+            <select
+              value={reservationFilters.paymentStatus}
+              onChange={(e) => setReservationFilter('paymentStatus', e.target.value)}
+            >
+              <option value="">{t('admin.res.all')}</option>
+              {PAYMENT_STATUSES.map((value) => (
+                <option key={value} value={value}>
+                  {label('paymentStatus', value)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="form-field">
+            <span>{t('audit.field.paymentMethod')}</span>
+            <select
+              value={reservationFilters.paymentMethod}
+              onChange={(e) => setReservationFilter('paymentMethod', e.target.value)}
+            >
+              <option value="">{t('admin.res.all')}</option>
+              {PAYMENT_METHODS.map((value) => (
+                <option key={value} value={value}>
+                  {label('paymentMethod', value)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="form-field" style={{ alignSelf: 'flex-end' }}>
+            {hasReservationFilters && (
+              <button type="button" className="ghost-button small" onClick={resetReservationFilters}>
+                {t('admin.res.resetFilters')}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {reservationListError && (
+          <p className="panel-error">{t('admin.res.loadError', { message: reservationListError })}</p>
+        )}
+        {!loadingReservationList && !reservationListError && reservationTotal > 0 && (
+          <p className="hint">
+            {t(reservationTotal > 1 ? 'admin.res.countMany' : 'admin.res.countOne', {
+              shown: reservationList.length,
+              total: reservationTotal,
+            })}
+          </p>
+        )}
+
+        <div className="reservation-list">
+          {loadingReservationList ? (
+            <p className="empty-state">{t('admin.loading')}</p>
+          ) : (
+            reservationList.map((r) => (
+              <div
+                key={r._id}
+                className={`reservation-row${r.status === 'cancelled' ? ' reservation-row-cancelled' : ''}${
+                  liveHighlights.includes(r._id) ? ' reservation-row-live' : ''
+                }`}
+              >
+                <div className="reservation-main">
+                  <span className="reservation-title">
+                    {formatDate(r.date)} · {r.startTime} – {r.endTime}
+                  </span>
+                  <span className="reservation-subtitle">
+                    {t('recap.fieldValue', {
+                      name: r.field?.name || t('audit.field.field'),
+                      type: r.field?.type || '?',
+                    })}{' '}
+                    · {r.customerName || r.user?.name || '—'} · {r.customerPhone || r.user?.phone || '—'}
+                  </span>
+                </div>
+                <div className="reservation-meta">
+                  <span className="badge">
+                    {r.paymentStatus ? label('paymentStatus', r.paymentStatus) : label('status', r.status)}
+                  </span>
+                  {r.noShow && <span className="badge badge-muted">{t('admin.res.noShow')}</span>}
+                  {r.seriesId && (
+                    <button
+                      type="button"
+                      className="badge badge-series"
+                      onClick={() => setOpenSeriesId(r.seriesId)}
+                      title={t('admin.res.seriesTitle')}
+                    >
+                      {t('admin.res.series')}
+                    </button>
+                  )}
+                  <span className="reservation-price">{formatAmount(r.totalPrice)}</span>
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => setHistoryReservation(r)}
+                  >
+                    {t('admin.res.history')}
+                  </button>
+                  {r.status === 'cancelled' ? null : (
+                    <div className="reservation-actions">
+                      <select
+                        className="reservation-method"
+                        value={r.paymentMethod || ''}
+                        onChange={async (e) => {
+                          const value = e.target.value || null;
+                          try {
+                            await updateReservation(r._id, { paymentMethod: value });
+                          } catch (err) {
+                            alert(err.message);
+                          }
+                        }}
+                      >
+                        <option value="">{t('audit.field.paymentMethod')}</option>
+                        {PAYMENT_METHODS.map((value) => (
+                          <option key={value} value={value}>
+                            {label('paymentMethod', value)}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        type="button"
+                        className="ghost-button small"
+                        onClick={() => updateReservation(r._id, { status: 'confirmed' })}
+                        disabled={r.status === 'confirmed'}
+                      >
+                        {t('admin.res.confirm')}
+                      </button>
+                      {hasRole(user, ADMIN_ROLES) && (
+                      <button
+                        type="button"
+                        className="ghost-button small danger"
+                        onClick={() =>
+                          updateReservation(r._id, {
+                            status: 'cancelled',
+                            paymentStatus: 'cancelled',
+                          })
+                        }
+                        disabled={
+                          r.paymentStatus === 'partial' || r.paymentStatus === 'paid'
+                        }
+                        title={
+                          r.paymentStatus === 'partial' || r.paymentStatus === 'paid'
+                            ? t('admin.res.cancelPaid')
+                            : undefined
+                        }
+                      >
+                        {t('admin.cancel')}
+                      </button>
+                      )}
+                      {canMoveReservation(r) && (
+                        <button
+                          type="button"
+                          className="ghost-button small"
+                          onClick={() => setMovingReservation(r)}
+                          title={t('admin.res.moveTitle')}
+                        >
+                          {t('admin.res.move')}
+                        </button>
+                      )}
+                      {reservationStart(r).getTime() < Date.now() && (
+                        <button
+                          type="button"
+                          className="ghost-button small"
+                          onClick={() => updateReservation(r._id, { noShow: !r.noShow })}
+                          title={t('admin.res.noShowTitle')}
+                        >
+                          {r.noShow ? t('admin.res.present') : t('admin.res.noShow')}
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        className="ghost-button small"
+                        onClick={() => {
+                          setPaymentModal({
+                            id: r._id,
+                            totalPrice: r.totalPrice,
+                            paidAmount: r.paidAmount || 0,
+                            label: paymentLabel(r),
+                          });
+                          setPaymentModalMethod(r.paymentMethod || 'wave');
+                          setPaymentModalMode('full');
+                        }}
+                      >
+                        {t('admin.res.markPaid')}
+                      </button>
+                      {r.paymentStatus === 'partial' && (
+                        <button
+                          type="button"
+                          className="ghost-button small"
+                          onClick={() =>
+                            recordPayment(
+                              r,
+                              {
+                                amount: (r.totalPrice || 0) - (r.paidAmount || 0),
+                                paymentMethod: r.paymentMethod,
+                              },
+                              {
+                                offlineLabel: t('admin.res.balanceLabel', {
+                                  name: r.customerName || r.user?.name || '—',
+                                }),
+                              }
+                            )
+                          }
+                          title={t('admin.res.completeTitle')}
+                        >
+                          {t('admin.res.complete')}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+          {!loadingReservationList && !reservationListError && !reservationList.length && (
+            <p className="empty-state">
+              {hasReservationFilters ? t('admin.res.emptyFiltered') : t('admin.res.empty')}
+            </p>
+          )}
+          {!loadingReservationList && hasMoreReservations && (
+            <div ref={reservationListEndRef} className="reservation-list-more">
+              <button
+                type="button"
+                className="ghost-button small"
+                onClick={() => fetchReservationList({ append: true })}
+                disabled={loadingMoreReservations}
+              >
+                {loadingMoreReservations ? t('admin.loading') : t('admin.res.loadMore')}
+              </button>
+            </div>
+          )}
+        </div>
+      </section>
+      )}
+
+      {openSeriesId && (
+        <SeriesModal
+          seriesId={openSeriesId}
+          fields={fields}
+          canCancel={hasRole(user, ADMIN_ROLES)}
+          onClose={() => setOpenSeriesId(null)}
+          onChanged={fetchReservations}
+        />
+      )}
+
+      {printSheetDate && (
+        <DailySheet
+          date={printSheetDate}
+          fields={fields}
+          onDateChange={setPrintSheetDate}
+          onClose={() => setPrintSheetDate(null)}
+        />
+      )}
+
+      {historyReservation && (
+        <ReservationHistoryModal reservation={historyReservation} onClose={() => setHistoryReservation(null)} />
+      )}
+
+      {adminTab === 'activity' && <ActivityLog users={users} />}
+
+      {adminTab === 'promos' && <PromoCampaigns />}
+
+      {adminTab === 'notifications' && <NotificationSettings />}
+
+      {adminTab === 'clients' && (
+        <CustomerDirectory />
+      )}
+
+      {editingUser && (
+        <div className="modal-backdrop">
+          <form
+            className="modal-card"
+            onSubmit={async (e) => {
+              e.preventDefault();
+              const { _id, name, email, phone, role } = editingUser;
+              const saved = await updateUser(_id, {
+                name: name.trim(),
+                email: email.trim(),
+                phone: phone?.trim() || '',
+                role,
+              });
+              if (saved) setEditingUser(null);
+            }}
+          >
+            <h3>{t('admin.users.editTitle')}</h3>
+            <div className="reservation-form">
+              <label className="form-field">
+                <span>{t('admin.users.name')}</span>
+                <input
+                  value={editingUser.name || ''}
+                  onChange={(e) => setEditingUser({ ...editingUser, name: e.target.value })}
+                  required
+                />
+              </label>
+              <label className="form-field">
+                <span>{t('auth.email')}</span>
+                <input
+                  type="email"
+                  value={editingUser.email || ''}
+                  onChange={(e) => setEditingUser({ ...editingUser, email: e.target.value })}
+                  required
+                />
+              </label>
+              <label className="form-field">
+                <span>{t('admin.export.phone')}</span>
+                <input
+                  value={editingUser.phone || ''}
+                  onChange={(e) => setEditingUser({ ...editingUser, phone: e.target.value })}
+                />
+              </label>
+              <label className="form-field">
+                <span>{t('admin.users.role')}</span>
+                <select
+                  value={editingUser.role}
+                  onChange={(e) => setEditingUser({ ...editingUser, role: e.target.value })}
+                  disabled={isLastActiveAdmin(users.find((u) => u._id === editingUser._id) || editingUser)}
+                >
+                  <option value="gestionnaire">{t('role.gestionnaire')}</option>
+                  <option value="admin">{t('role.admin')}</option>
+                </select>
+              </label>
+              {isLastActiveAdmin(users.find((u) => u._id === editingUser._id) || editingUser) && (
+                <p className="hint">{t('admin.users.lastAdminRole')}</p>
+              )}
+            </div>
+            <div className="modal-actions">
+              <button type="button" className="ghost-button small" onClick={() => setEditingUser(null)}>
+                {t('admin.cancel')}
+              </button>
+              <button type="submit" className="primary-button">
+                {t('admin.save')}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {editingFieldId && !loadingFields && !editingField && (
+        <p className="panel-error">{t('admin.fields.gone')}</p>
+      )}
+
+      {editingField && (
+        <FieldEditModal
+          field={editingField}
+          onClose={() => openSection('terrain')}
+          onSaved={() => {
+            openSection('terrain');
+            fetchFields();
+          }}
+        />
+      )}
+
+      {fieldDeletion && (
+        <div className="modal-backdrop">
+          <div className="modal-card modal-card-wide">
+            <h3>{t('admin.fields.cannotDelete', { name: fieldDeletion.field?.name })}</h3>
+            <p className="hint">{t('admin.fields.cannotDeleteHint', { count: fieldDeletion.impacted.length })}</p>
+            <div className="reservation-list">
+              {fieldDeletion.impacted.map((r) => (
+                <div key={r._id} className="reservation-row">
+                  <div className="reservation-main">
+                    <span className="reservation-title">
+                      {formatDate(r.date)} · {r.startTime} – {r.endTime}
+                    </span>
+                    <span className="reservation-subtitle">
+                      {r.customerName || r.user?.name || '—'} · {r.customerPhone || r.user?.phone || '—'}
+                    </span>
+                  </div>
+                  <span className="badge">
+                    {r.paymentStatus ? label('paymentStatus', r.paymentStatus) : label('status', r.status)}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div className="modal-actions">
+              <button type="button" className="ghost-button small" onClick={() => setFieldDeletion(null)}>
+                {t('admin.cancel')}
+              </button>
+              {fieldDeletion.field?.isActive !== false && (
+                <button
+                  type="button"
+                  className="primary-button"
+                  onClick={async () => {
+                    await setFieldActive(fieldDeletion.field._id, false);
+                    setFieldDeletion(null);
+                  }}
+                >
+                  {t('admin.fields.deactivate')}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {movingReservation && (
+        <MoveReservationModal
+          reservation={movingReservation}
+          onClose={() => setMovingReservation(null)}
+          onMoved={() => {
+            setMovingReservation(null);
+            fetchReservations();
+          }}
+        />
+      )}
+
+      {paymentModal && (
+        <div className="modal-backdrop">
+          <div className="modal-card">
+            <h3>{t('admin.payment.title')}</h3>
+            <p className="hint">{paymentModal.label}</p>
+
+            <label className="form-field">
+              <span>{t('audit.field.paymentMethod')}</span>
+              <select
+                value={paymentModalMethod}
+                onChange={(e) => setPaymentModalMethod(e.target.value)}
+              >
+                {PAYMENT_METHODS.map((value) => (
+                  <option key={value} value={value}>
+                    {label('paymentMethod', value)}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <div className="form-grid">
+              <label className="form-field">
+                <span>
+                  <input
+                    type="radio"
+                    name="paymentMode"
+                    value="full"
+                    checked={paymentModalMode === 'full'}
+                    onChange={() => setPaymentModalMode('full')}
+                  />{' '}
+                  {t('admin.payment.full')}
+                </span>
+              </label>
+              <label className="form-field">
+                <span>
+                  <input
+                    type="radio"
+                    name="paymentMode"
+                    value="half"
+                    checked={paymentModalMode === 'half'}
+                    onChange={() => setPaymentModalMode('half')}
+                  />{' '}
+                  {t('admin.payment.half')}
+                </span>
+              </label>
+            </div>
+
+            <p className="hint">
+              {t('admin.payment.amount')}{' '}
+              <strong>
+                {formatAmount(
+                  Math.max(
+                    0,
+                    (paymentModalMode === 'half' ? Math.round(paymentModal.totalPrice / 2) : paymentModal.totalPrice) -
+                      paymentModal.paidAmount
+                  )
+                )}
+              </strong>
+              {paymentModal.paidAmount > 0 &&
+                ` ${t('admin.payment.alreadyPaid', { amount: formatAmount(paymentModal.paidAmount) })}`}
+            </p>
+
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="ghost-button small"
+                onClick={() => setPaymentModal(null)}
+              >
+                {t('admin.cancel')}
+              </button>
+              <button
+                type="button"
+                className="primary-button"
+                onClick={async () => {
+                  if (!paymentModal) return;
+                  const target =
+                    paymentModalMode === 'half'
+                      ? Math.round(paymentModal.totalPrice / 2)
+                      : paymentModal.totalPrice;
+                  const amount = target - paymentModal.paidAmount;
+                  if (amount > 0) {
+                    await recordPayment(
+                      { _id: paymentModal.id, totalPrice: paymentModal.totalPrice, paidAmount: paymentModal.paidAmount },
+                      { amount, paymentMethod: paymentModalMethod },
+                      {
+                        offlineLabel: t('admin.payment.offlineLabel', {
+                          amount: formatAmount(amount),
+                          label: paymentModal.label,
+                        }),
+                      }
+                    );
+                  }
+                  setPaymentModal(null);
+                }}
+              >
+                {t('admin.payment.submit')}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+      {(adminTab === 'creneaux' || adminTab === 'all') && (
+      <section className="panel admin-booking-panel">
+        <h2>{t('admin.create.title')}</h2>
+        <p className="panel-subtitle">{t('admin.create.subtitle')}</p>
+
+        <form className="reservation-form" onSubmit={handleAdminCreate}>
+          <div className="form-grid">
+            <label className="form-field">
+              <span>{t('booking.fieldType')}</span>
+              <select
+                value={adminType}
+                onChange={(e) => {
+                  setAdminType(e.target.value);
+                  setAdminSlots([]);
+                  setAdminSelectedSlot(null);
+                  setAdminSlotNotice('');
+                }}
+              >
+                {adminTypeOptions.map((type) => (
+                  <option key={type} value={type}>
+                    {t('type.label', { type })}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="form-field">
+              <span>{t('booking.date')}</span>
+              <input
+                type="date"
+                value={adminDate}
+                min={TODAY_STR}
+                onChange={(e) => {
+                  setAdminDate(e.target.value);
+                  setAdminSlots([]);
+                  setAdminSelectedSlot(null);
+                  setAdminSlotNotice('');
+                }}
+                required
+              />
+            </label>
+          </div>
+
+          <button
+            type="button"
+            className="ghost-button small"
+            onClick={() => fetchAdminSlots()}
+            disabled={!adminDate || !adminType || adminLoadingSlots}
+          >
+            {adminLoadingSlots ? t('booking.loadingSlots') : t('admin.slots.load')}
+          </button>
+          {adminSlotNotice && <p className="panel-error">{adminSlotNotice}</p>}
+
+          <div className="field-list">
+            {adminSlots.map((slot) => (
+              <button
+                key={`${slot.fieldId}-${slot.startTime}-${slot.endTime}`}
+                type="button"
+                className={
+                  slot.held
+                    ? 'field-card field-card-held'
+                    : adminSelectedSlot &&
+                      adminSelectedSlot.fieldId === slot.fieldId &&
+                      adminSelectedSlot.startTime === slot.startTime &&
+                      adminSelectedSlot.endTime === slot.endTime
+                    ? 'field-card selected'
+                    : 'field-card'
+                }
+                disabled={slot.held}
+                title={slot.held ? t('admin.slots.heldTitle') : undefined}
+                onClick={() => setAdminSelectedSlot(slot)}
+              >
+                <div className="field-type">
+                  {slot.startTime} – {slot.endTime}
+                </div>
+                <div className="field-name">{slot.fieldName}</div>
+                <div className="field-meta">
+                  <span>{t('type.label', { type: slot.type })}</span>
+                  <span>
+                    {slot.held
+                      ? t('booking.held')
+                      : t('catalogue.perHour', { amount: formatAmount(slot.pricePerHour) })}
+                  </span>
+                </div>
+              </button>
+            ))}
+            {!adminLoadingSlots && adminDate && !adminSlots.length && (
+              <p className="empty-state">{t('booking.noSlots')}</p>
+            )}
+          </div>
+
+          {adminSelectedSlot && (
+            <>
+              <p className="hint">
+                {t('admin.create.chosen', {
+                  time: `${adminSelectedSlot.startTime} – ${adminSelectedSlot.endTime}`,
+                  field: t('recap.fieldValue', { name: adminSelectedSlot.fieldName, type: adminSelectedSlot.type }),
+                })}{' '}
+                {adminLoyaltyDiscount && (
+                  <s className="price-before-discount">{formatAmount(slotPrice(adminSelectedSlot))}</s>
+                )}{' '}
+                <strong>{formatAmount(applyDiscount(slotPrice(adminSelectedSlot), adminLoyaltyDiscount))}</strong>
+                {adminLoyaltyDiscount && (
+                  <>
+                    {' '}
+                    {t('admin.create.loyalty', {
+                      percent: adminLoyaltyDiscount.percent,
+                      rule: t(`loyalty.${adminLoyaltyDiscount.rule}`, { count: adminLoyaltyDiscount.count }),
+                    })}
+                  </>
+                )}
+              </p>
+              <label className="form-field">
+                <span>{t('admin.create.name')}</span>
+                <input
+                  value={adminName}
+                  onChange={(e) => setAdminName(e.target.value)}
+                  required
+                />
+              </label>
+              <label className="form-field">
+                <span>{t('admin.create.phone')}</span>
+                <input
+                  value={adminPhone}
+                  onChange={(e) => setAdminPhone(e.target.value)}
+                  required
+                />
+              </label>
+              <label className="form-field">
+                <span>{t('admin.create.email')}</span>
+                <input
+                  type="email"
+                  value={adminEmail}
+                  onChange={(e) => setAdminEmail(e.target.value)}
+                />
+              </label>
+              <label className="form-field">
+                <span>{t('admin.create.address')}</span>
+                <input
+                  value={adminAddress}
+                  onChange={(e) => setAdminAddress(e.target.value)}
+                />
+              </label>
+              <div className="form-grid">
+                <label className="form-field">
+                  <span>{t('admin.series.recurrence')}</span>
+                  <select
+                    value={adminRecurrence.frequency}
+                    onChange={(e) => setAdminRecurrence({ ...adminRecurrence, frequency: e.target.value })}
+                  >
+                    <option value="none">{t('admin.series.none')}</option>
+                    <option value="weekly">{t('admin.series.weekly')}</option>
+                    <option value="biweekly">{t('admin.series.biweekly')}</option>
+                  </select>
+                </label>
+                {isRecurring && (
+                  <label className="form-field">
+                    <span>{t('admin.series.end')}</span>
+                    <select
+                      value={adminRecurrence.endMode}
+                      onChange={(e) => setAdminRecurrence({ ...adminRecurrence, endMode: e.target.value })}
+                    >
+                      <option value="count">{t('admin.series.endCount')}</option>
+                      <option value="until">{t('admin.series.endUntil')}</option>
+                    </select>
+                  </label>
+                )}
+                {isRecurring && adminRecurrence.endMode === 'count' && (
+                  <label className="form-field">
+                    <span>{t('admin.series.count')}</span>
+                    <input
+                      type="number"
+                      min={2}
+                      max={52}
+                      value={adminRecurrence.count}
+                      onChange={(e) => setAdminRecurrence({ ...adminRecurrence, count: e.target.value })}
+                    />
+                  </label>
+                )}
+                {isRecurring && adminRecurrence.endMode === 'until' && (
+                  <label className="form-field">
+                    <span>{t('admin.series.lastDate')}</span>
+                    <input
+                      type="date"
+                      min={adminDate}
+                      value={adminRecurrence.until}
+                      onChange={(e) => setAdminRecurrence({ ...adminRecurrence, until: e.target.value })}
+                    />
+                  </label>
+                )}
+              </div>
+
+              {isRecurring && (
+                <>
+                  <button
+                    type="button"
+                    className="ghost-button small"
+                    onClick={handlePreviewSeries}
+                    disabled={previewingSeries}
+                  >
+                    {previewingSeries ? t('info.promoChecking') : t('admin.series.check')}
+                  </button>
+                  {currentSeriesPreview && (
+                    <div className="series-preview">
+                      {currentSeriesPreview.map((o) => (
+                        <span
+                          key={o.date}
+                          className={o.conflict ? 'series-occurrence series-occurrence-conflict' : 'series-occurrence'}
+                          title={o.conflict ? t('admin.series.conflictTitle') : undefined}
+                        >
+                          {formatDate(`${o.date.slice(0, 10)}T12:00:00`)}
+                        </span>
+                      ))}
+                      <p className="hint">
+                        {currentSeriesPreview.some((o) => o.conflict)
+                          ? t('admin.series.previewConflicts', {
+                              count: currentSeriesPreview.filter((o) => !o.conflict).length,
+                              conflicts: currentSeriesPreview.filter((o) => o.conflict).length,
+                            })
+                          : t('admin.series.previewCount', {
+                              count: currentSeriesPreview.filter((o) => !o.conflict).length,
+                            })}
+                      </p>
+                    </div>
+                  )}
+                </>
+              )}
+
+              <button
+                className="primary-button"
+                type="submit"
+                disabled={adminSaving || (isRecurring && !currentSeriesPreview)}
+              >
+                {adminSaving
+                  ? t('admin.saving')
+                  : isRecurring
+                    ? t('admin.series.submit')
+                    : t('admin.create.submit')}
+              </button>
+            </>
+          )}
+        </form>
+      </section>
+      )}
+      {(adminTab === 'terrain' || (adminTab === 'all' && canAccess('terrain'))) && (
+      <section className="panel">
+        <h2>{t('admin.fields.title')}</h2>
+        <p className="panel-subtitle">{t('admin.fields.subtitle')}</p>
+
+        <form className="reservation-form" onSubmit={handleCreateField}>
+          <label className="form-field">
+            <span>{t('admin.fields.name')}</span>
+            <input name="name" value={form.name} onChange={handleChange} required />
+          </label>
+          <label className="form-field">
+            <span>{t('admin.fields.description')}</span>
+            <textarea name="description" value={form.description} onChange={handleChange} rows={2} />
+          </label>
+          <div className="form-grid">
+            <label className="form-field">
+              <span>{t('admin.export.type')}</span>
+              <select name="type" value={form.type} onChange={handleChange}>
+                {['5', '7', '11'].map((type) => (
+                  <option key={type} value={type}>
+                    {t('type.label', { type })}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="form-field">
+              <span>{t('admin.fields.price')}</span>
+              <input
+                type="number"
+                name="pricePerHour"
+                value={form.pricePerHour}
+                onChange={handleChange}
+              />
+            </label>
+          </div>
+          <button className="primary-button" type="submit" disabled={saving}>
+            {saving ? t('admin.saving') : t('admin.fields.add')}
+          </button>
+        </form>
+
+        {fieldsError && <p className="panel-error">{t('admin.fields.loadError', { message: fieldsError })}</p>}
+
+        <div className="field-list condensed">
+          {loadingFields ? (
+            <p className="empty-state">{t('admin.loading')}</p>
+          ) : (
+            fields.map((field) => (
+              <div
+                key={field._id}
+                className={`field-card field-card-admin${field.isActive === false ? ' field-card-inactive' : ''}`}
+              >
+                <div>
+                  <div className="field-type">
+                    {t('type.label', { type: field.type })}
+                    {field.isActive === false && (
+                      <span className="badge badge-muted">{t('admin.fields.inactive')}</span>
+                    )}
+                  </div>
+                  <div className="field-name">{field.name}</div>
+                  {field.description && <div className="field-description">{field.description}</div>}
+                  <div className="field-meta">
+                    <span>{t('catalogue.perHour', { amount: formatAmount(field.pricePerHour) })}</span>
+                    <span>
+                      {field.openingTime || '09:00'} – {field.closingTime || '02:00'}
+                    </span>
+                    {field.pricingRules?.length ? (
+                      <span>{t('admin.fields.rulesCount', { count: field.pricingRules.length })}</span>
+                    ) : null}
+                    {field.photos?.length ? (
+                      <span>{t('admin.fields.photosCount', { count: field.photos.length })}</span>
+                    ) : null}
+                  </div>
+                </div>
+                <div className="reservation-actions">
+                  <button
+                    type="button"
+                    className="ghost-button small"
+                    onClick={() => navigate(adminSectionPath('terrain', field._id))}
+                  >
+                    {t('admin.edit')}
+                  </button>
+                  <button
+                    type="button"
+                    className="ghost-button small danger"
+                    onClick={() => handleDeleteField(field._id)}
+                    title={t('admin.fields.deleteTitle')}
+                  >
+                    {t('admin.delete')}
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+          {!loadingFields && !fieldsError && !fields.length && (
+            <p className="empty-state">{t('admin.fields.empty')}</p>
+          )}
+        </div>
+
+        <HolidayCalendar />
+      </section>
+      )}
+
+      {(adminTab === 'users' || (adminTab === 'all' && canAccess('users'))) && (
+        <section className="panel">
+          <h2>{t('admin.users.title')}</h2>
+          <p className="panel-subtitle">{t('admin.users.subtitle')}</p>
+
+          <form onSubmit={handleCreateGestionnaire} className="form-card" style={{ marginBottom: '1.5rem' }}>
+            <h3>{t('admin.users.new')}</h3>
+            <div className="form-grid" style={{ gridTemplateColumns: '1fr 1fr' }}>
+              <label className="form-field">
+                <span>{t('admin.users.name')}</span>
+                <input
+                  type="text"
+                  value={gestionnaireForm.name}
+                  onChange={(e) => setGestionnaireForm({ ...gestionnaireForm, name: e.target.value })}
+                  placeholder={t('admin.users.namePlaceholder')}
+                  required
+                />
+              </label>
+              <label className="form-field">
+                <span>{t('auth.email')}</span>
+                <input
+                  type="email"
+                  value={gestionnaireForm.email}
+                  onChange={(e) => setGestionnaireForm({ ...gestionnaireForm, email: e.target.value })}
+                  placeholder="email@exemple.sn"
+                  required
+                />
+              </label>
+              <label className="form-field">
+                <span>{t('admin.users.phone')}</span>
+                <input
+                  type="text"
+                  value={gestionnaireForm.phone}
+                  onChange={(e) => setGestionnaireForm({ ...gestionnaireForm, phone: e.target.value })}
+                  placeholder="+221 77 123 45 67"
+                />
+              </label>
+              <label className="form-field">
+                <span>{t('auth.password')}</span>
+                <input
+                  type="password"
+                  value={gestionnaireForm.password}
+                  onChange={(e) => setGestionnaireForm({ ...gestionnaireForm, password: e.target.value })}
+                  placeholder={t('admin.users.passwordPlaceholder')}
+                  required
+                  minLength={6}
+                />
+              </label>
+            </div>
+            {userMessage.text && (
+              <p className={userMessage.type === 'success' ? 'hint' : 'toast toast-error'} style={{ marginTop: '0.5rem' }}>
+                {userMessage.text}
+              </p>
+            )}
+            <button type="submit" className="primary-button" disabled={savingGestionnaire} style={{ marginTop: '0.75rem' }}>
+              {savingGestionnaire ? t('admin.users.creating') : t('admin.users.create')}
+            </button>
+          </form>
+
+          <h3>{t('admin.users.listTitle')}</h3>
+          {usersError && <p className="panel-error">{t('admin.users.loadError', { message: usersError })}</p>}
+          {loadingUsers ? (
+            <p className="empty-state">{t('admin.loading')}</p>
+          ) : (
+            <div className="reservation-list">
+              {users.filter((u) => u.role === 'admin' || u.role === 'gestionnaire').map((u) => {
+                const isSelf = String(u._id) === String(user?._id || user?.id);
+                const lastAdmin = isLastActiveAdmin(u);
+                return (
+                  <div
+                    key={u._id}
+                    className={`reservation-row${u.isActive === false ? ' reservation-row-inactive' : ''}`}
+                  >
+                    <div className="reservation-main">
+                      <span className="reservation-title">{u.name}</span>
+                      <span className="reservation-subtitle">{u.email}{u.phone ? ` · ${u.phone}` : ''}</span>
+                      <span className="reservation-subtitle user-last-login">
+                        {t('admin.users.lastLogin', {
+                          date: u.lastLoginAt ? formatDateTime(u.lastLoginAt) : t('admin.users.never'),
+                        })}
+                      </span>
+                    </div>
+                    <div className="reservation-meta">
+                      <span className="badge">{u.role === 'admin' ? t('role.admin') : t('role.gestionnaire')}</span>
+                      {u.isActive === false && <span className="badge badge-muted">{t('admin.users.disabled')}</span>}
+                      <div className="reservation-actions">
+                        <button type="button" className="ghost-button small" onClick={() => setEditingUser(u)}>
+                          {t('admin.edit')}
+                        </button>
+                        <button
+                          type="button"
+                          className="ghost-button small"
+                          onClick={() => updateUser(u._id, { isActive: u.isActive === false })}
+                          disabled={isSelf || (lastAdmin && u.isActive !== false)}
+                          title={lastAdmin ? t('admin.users.lastAdminDisable') : undefined}
+                        >
+                          {u.isActive === false ? t('admin.users.enable') : t('admin.users.disable')}
+                        </button>
+                        <button
+                          type="button"
+                          className="ghost-button small"
+                          onClick={() => handleResetPassword(u)}
+                        >
+                          {t('admin.users.resetPassword')}
+                        </button>
+                        <button
+                          type="button"
+                          className="ghost-button small danger"
+                          onClick={() => handleDeleteUser(u)}
+                          disabled={isSelf || lastAdmin}
+                          title={
+                            lastAdmin
+                              ? t('admin.users.lastAdminDelete')
+                              : isSelf
+                                ? t('admin.users.selfDelete')
+                                : undefined
+                          }
+                        >
+                          {t('admin.delete')}
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+              {!usersError && !users.filter((u) => u.role === 'admin' || u.role === 'gestionnaire').length && (
+                <p className="empty-state">{t('admin.users.empty')}</p>
+              )}
+            </div>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Série récurrente chargée depuis l'API (toutes ses occurrences, même hors de la liste chargée).
+ * Les modifications groupées (horaire, terrain, paiement, validation, annulation) portent sur les
+ * occurrences à venir ; l'API refuse un changement d'horaire ou de terrain qui créerait un conflit.
+ */
+function SeriesModal({ seriesId, fields, canCancel, onClose, onChanged }) {
+  const [occurrences, setOccurrences] = useState(null);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [slotForm, setSlotForm] = useState(null); // { fieldId, startTime, endTime }
+  const { t, label, formatDate } = useI18n();
+
+  const load = useCallback(async () => {
+    try {
+      setError('');
+      const data = await api.get(`/reservations/series/${seriesId}`, {
+        errorMessage: t('series.loadError'),
+      });
+      const items = Array.isArray(data) ? data : data?.reservations || [];
+      setOccurrences([...items].sort((a, b) => reservationStart(a) - reservationStart(b)));
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    }
+  }, [seriesId, t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const upcoming = (occurrences || []).filter(
+    (r) => r.status !== 'cancelled' && reservationStart(r).getTime() >= Date.now()
+  );
+  const reference = upcoming[0] || occurrences?.[0];
+  const sameTypeFields = fields.filter((f) => String(f.type) === String(reference?.field?.type));
+
+  const updateSeries = async (patch) => {
+    setSaving(true);
+    setError('');
+    try {
+      await api.patch(`/reservations/series/${seriesId}`, patch, {
+        errorMessage: t('series.updateError'),
+      });
+      onChanged();
+      await load();
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startSlotEdit = () =>
+    setSlotForm({
+      fieldId: reference?.field?._id || reference?.field || '',
+      startTime: reference?.startTime || '',
+      endTime: reference?.endTime || '',
+    });
+
+  const handleSlotSubmit = async (e) => {
+    e.preventDefault();
+    if (await updateSeries(slotForm)) setSlotForm(null);
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card modal-card-wide" onClick={(e) => e.stopPropagation()}>
+        <h3>{t('series.title')}</h3>
+        {error && <p className="panel-error">{error}</p>}
+        {!occurrences ? (
+          !error && <p className="empty-state">{t('admin.loading')}</p>
+        ) : (
+          <>
+            <p className="hint">
+              {reference?.customerName || '—'} · {reference?.field?.name || t('audit.field.field')} ·{' '}
+              {reference?.startTime} – {reference?.endTime} · {t('series.summary', { count: upcoming.length })}
+            </p>
+            <div className="reservation-list">
+              {occurrences.map((r) => (
+                <div
+                  key={r._id}
+                  className={`reservation-row${r.status === 'cancelled' ? ' reservation-row-cancelled' : ''}`}
+                >
+                  <span className="reservation-title">
+                    {formatDate(r.date, { weekday: 'short', day: 'numeric', month: 'short' })} · {r.startTime} –{' '}
+                    {r.endTime} · {r.field?.name || t('audit.field.field')}
+                  </span>
+                  <span className="badge">
+                    {r.paymentStatus ? label('paymentStatus', r.paymentStatus) : label('status', r.status)}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            {slotForm ? (
+              <form className="form-grid" onSubmit={handleSlotSubmit}>
+                <label className="form-field">
+                  <span>{t('series.field')}</span>
+                  <select
+                    value={slotForm.fieldId}
+                    onChange={(e) => setSlotForm({ ...slotForm, fieldId: e.target.value })}
+                  >
+                    {sameTypeFields.map((f) => (
+                      <option key={f._id} value={f._id}>
+                        {f.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label className="form-field">
+                  <span>{t('audit.field.startTime')}</span>
+                  <input
+                    type="time"
+                    value={slotForm.startTime}
+                    onChange={(e) => setSlotForm({ ...slotForm, startTime: e.target.value })}
+                    required
+                  />
+                </label>
+                <label className="form-field">
+                  <span>{t('audit.field.endTime')}</span>
+                  <input
+                    type="time"
+                    value={slotForm.endTime}
+                    onChange={(e) => setSlotForm({ ...slotForm, endTime: e.target.value })}
+                    required
+                  />
+                </label>
+                <div className="modal-actions">
+                  <button type="button" className="ghost-button small" onClick={() => setSlotForm(null)}>
+                    {t('admin.cancel')}
+                  </button>
+                  <button type="submit" className="primary-button" disabled={saving}>
+                    {saving ? t('admin.saving') : t('series.applySlot')}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <label className="form-field">
+                <span>{t('series.paymentMethod')}</span>
+                <select
+                  value=""
+                  disabled={saving}
+                  onChange={(e) => e.target.value && updateSeries({ paymentMethod: e.target.value })}
+                >
+                  <option value="">{t('series.choose')}</option>
+                  {PAYMENT_METHODS.map((value) => (
+                    <option key={value} value={value}>
+                      {label('paymentMethod', value)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </>
+        )}
+        <div className="modal-actions">
+          <button type="button" className="ghost-button small" onClick={onClose}>
+            {t('admin.close')}
+          </button>
+          {!slotForm && (
+            <button
+              type="button"
+              className="ghost-button small"
+              disabled={saving || !upcoming.length}
+              onClick={startSlotEdit}
+            >
+              {t('series.changeSlot')}
+            </button>
+          )}
+          <button
+            type="button"
+            className="ghost-button small"
+            disabled={saving || !upcoming.some((r) => r.status !== 'confirmed')}
+            onClick={() => updateSeries({ status: 'confirmed' })}
+          >
+            {t('series.confirm')}
+          </button>
+          {canCancel && (
+            <button
+              type="button"
+              className="ghost-button small danger"
+              disabled={saving || !upcoming.length}
+              onClick={async () => {
+                if (!confirm(t('series.cancelConfirm', { count: upcoming.length }))) return;
+                if (await updateSeries({ status: 'cancelled', paymentStatus: 'cancelled' })) onClose();
+              }}
+            >
+              {t('series.cancel')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function MoveReservationModal({ reservation, onClose, onMoved }) {
+  const [date, setDate] = useState(() => new Date(reservation.date).toISOString().slice(0, 10));
+  const [type, setType] = useState(String(reservation.field?.type || '5'));
+  const [slots, setSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const { t, formatDate, formatAmount } = useI18n();
+
+  useEffect(() => {
+    if (!date || !type) return undefined;
+    let cancelled = false;
+    const load = async () => {
+      setLoadingSlots(true);
+      setError('');
+      try {
+        const data = await api.get('/reservations/availability', {
+          query: { date, type, excludeReservation: reservation._id },
+          errorMessage: t('admin.slots.loadError'),
+        });
+        if (!cancelled) setSlots(Array.isArray(data) ? data : []);
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) {
+          setSlots([]);
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) setLoadingSlots(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [date, type, reservation._id, t]);
+
+  const newTotal = selectedSlot ? slotPrice(selectedSlot) : null;
+  const difference = newTotal !== null ? newTotal - (reservation.totalPrice || 0) : 0;
+  const paidAmount = reservation.paidAmount || 0;
+
+  const handleMove = async () => {
+    if (!selectedSlot) return;
+    setSaving(true);
+    setError('');
+    try {
+      const data = await api.post(
+        `/reservations/${reservation._id}/move`,
+        {
+          fieldId: selectedSlot.fieldId,
+          date,
+          startTime: selectedSlot.startTime,
+          endTime: selectedSlot.endTime,
+        },
+        { errorMessage: t('move.error') }
+      );
+      onMoved(data?.reservation || data);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal-card modal-card-wide">
+        <h3>{t('move.title')}</h3>
+        <p className="hint">
+          {t('move.current', {
+            slot: `${formatDate(reservation.date)} · ${reservation.startTime} – ${reservation.endTime}`,
+          })}{' '}
+          · {reservation.field?.name || t('audit.field.field')} ·{' '}
+          {reservation.customerName || reservation.user?.name || '—'}
+        </p>
+
+        <div className="form-grid">
+          <label className="form-field">
+            <span>{t('booking.fieldType')}</span>
+            <select
+              value={type}
+              onChange={(e) => {
+                setType(e.target.value);
+                setSelectedSlot(null);
+              }}
+            >
+              {['5', '7', '11'].map((value) => (
+                <option key={value} value={value}>
+                  {t('type.label', { type: value })}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="form-field">
+            <span>{t('move.date')}</span>
+            <input
+              type="date"
+              value={date}
+              min={TODAY_STR}
+              onChange={(e) => {
+                setDate(e.target.value);
+                setSelectedSlot(null);
+              }}
+            />
+          </label>
+        </div>
+
+        <div className="field-list">
+          {loadingSlots ? (
+            <p className="empty-state">{t('booking.loadingSlots')}</p>
+          ) : (
+            slots.map((slot) => (
+              <button
+                key={`${slot.fieldId}-${slot.startTime}-${slot.endTime}`}
+                type="button"
+                className={
+                  selectedSlot &&
+                  selectedSlot.fieldId === slot.fieldId &&
+                  selectedSlot.startTime === slot.startTime &&
+                  selectedSlot.endTime === slot.endTime
+                    ? 'field-card selected'
+                    : 'field-card'
+                }
+                onClick={() => setSelectedSlot(slot)}
+              >
+                <div className="field-type">
+                  {slot.startTime} – {slot.endTime}
+                </div>
+                <div className="field-name">{slot.fieldName}</div>
+                <div className="field-meta">
+                  <span>{t('type.label', { type: slot.type })}</span>
+                  <span>{t('catalogue.perHour', { amount: formatAmount(slot.pricePerHour) })}</span>
+                </div>
+              </button>
+            ))
+          )}
+          {!loadingSlots && !slots.length && <p className="empty-state">{t('booking.noSlots')}</p>}
+        </div>
+
+        {selectedSlot && (
+          <div className="slot-recap move-recap">
+            <div className="slot-recap-row">
+              <span className="slot-recap-label">{t('move.oldAmount')}</span>
+              <span className="slot-recap-value">{formatAmount(reservation.totalPrice)}</span>
+            </div>
+            <div className="slot-recap-row">
+              <span className="slot-recap-label">{t('move.newAmount')}</span>
+              <span className="slot-recap-value">{formatAmount(newTotal)}</span>
+            </div>
+            <div className="slot-recap-row">
+              <span className="slot-recap-label">{t('move.paid')}</span>
+              <span className="slot-recap-value">{formatAmount(paidAmount)}</span>
+            </div>
+            <div className="slot-recap-row slot-recap-price">
+              <span className="slot-recap-label">
+                {difference > 0 ? t('move.extra') : difference < 0 ? t('move.less') : t('move.difference')}
+              </span>
+              <span className="slot-recap-value">
+                {difference > 0 ? '+' : ''}
+                {formatAmount(difference)}
+              </span>
+            </div>
+            {paidAmount > newTotal && (
+              <p className="hint">{t('move.refund', { amount: formatAmount(paidAmount - newTotal) })}</p>
+            )}
+          </div>
+        )}
+
+        {error && <p className="panel-error">{error}</p>}
+
+        <div className="modal-actions">
+          <button type="button" className="ghost-button small" onClick={onClose}>
+            {t('admin.cancel')}
+          </button>
+          <button
+            type="button"
+            className="primary-button"
+            disabled={!selectedSlot || saving}
+            onClick={handleMove}
+          >
+            {saving ? t('move.moving') : t('move.title')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function FieldEditModal({ field, onClose, onSaved }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState({
+    name: field.name || '',
+    description: field.description || '',
+    pricePerHour: field.pricePerHour ?? 0,
+    openingTime: field.openingTime || '09:00',
+    closingTime: field.closingTime || '02:00',
+    isActive: field.isActive !== false,
+  });
+  const [amenities, setAmenities] = useState(field.amenities || []);
+  const [photos, setPhotos] = useState(field.photos || []);
+  const [pricingRules, setPricingRules] = useState(field.pricingRules || []);
+  const [applyPricingToType, setApplyPricingToType] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm({ ...form, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (!files.length) return;
+    setUploading(true);
+    setError('');
+    try {
+      const body = new FormData();
+      files.forEach((file) => body.append('photos', file));
+      const data = await api.post(`/fields/${field._id}/photos`, body, {
+        timeout: 60000,
+        errorMessage: t('fieldEdit.uploadError'),
+      });
+      setPhotos(data?.photos || data?.field?.photos || photos);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const data = await api.patch(
+        `/fields/${field._id}`,
+        {
+          ...form,
+          name: form.name.trim(),
+          pricePerHour: Number(form.pricePerHour),
+          amenities,
+          photos,
+          pricingRules: pricingRules.map((r) => ({ ...r, pricePerHour: Number(r.pricePerHour) })),
+          applyPricingToType,
+        },
+        { errorMessage: t('admin.fields.updateError') }
+      );
+      onSaved(data);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <form className="modal-card modal-card-wide" onSubmit={handleSubmit}>
+        <h3>{t('fieldEdit.title', { name: field.name })}</h3>
+        <p className="hint">{t('type.label', { type: field.type })}</p>
+
+        <div className="reservation-form">
+          <label className="form-field">
+            <span>{t('admin.fields.name')}</span>
+            <input name="name" value={form.name} onChange={handleChange} required />
+          </label>
+          <label className="form-field">
+            <span>{t('admin.fields.description')}</span>
+            <textarea name="description" value={form.description} onChange={handleChange} rows={3} />
+          </label>
+          <div className="form-grid">
+            <label className="form-field">
+              <span>{t('admin.fields.price')}</span>
+              <input
+                type="number"
+                name="pricePerHour"
+                min={0}
+                value={form.pricePerHour}
+                onChange={handleChange}
+                required
+              />
+            </label>
+            <label className="form-field">
+              <span>
+                <input
+                  type="checkbox"
+                  name="isActive"
+                  checked={!form.isActive}
+                  onChange={(e) => setForm({ ...form, isActive: !e.target.checked })}
+                />{' '}
+                {t('fieldEdit.inactive')}
+              </span>
+            </label>
+            <label className="form-field">
+              <span>{t('fieldEdit.opening')}</span>
+              <input type="time" name="openingTime" value={form.openingTime} onChange={handleChange} />
+            </label>
+            <label className="form-field">
+              <span>{t('fieldEdit.closing')}</span>
+              <input type="time" name="closingTime" value={form.closingTime} onChange={handleChange} />
+            </label>
+          </div>
+
+          <div className="form-field">
+            <span>{t('amenity.editLabel')}</span>
+            <div className="promo-types">
+              {FIELD_AMENITIES.map((key) => (
+                <label key={key} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={amenities.includes(key)}
+                    onChange={(e) =>
+                      setAmenities(e.target.checked ? [...amenities, key] : amenities.filter((a) => a !== key))
+                    }
+                  />
+                  {t(`amenity.${key}`)}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <PricingRulesEditor
+            field={{ ...field, ...form }}
+            rules={pricingRules}
+            onChange={setPricingRules}
+          />
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={applyPricingToType}
+              onChange={(e) => setApplyPricingToType(e.target.checked)}
+            />
+            {t('fieldEdit.applyToType', { type: field.type })}
+          </label>
+
+          <div className="form-field">
+            <span>{t('fieldEdit.photos')}</span>
+            <div className="photo-gallery">
+              {photos.map((photo) => (
+                <div key={photoUrl(photo)} className="photo-thumb">
+                  <img src={photoUrl(photo)} alt={field.name} />
+                  <button
+                    type="button"
+                    className="photo-remove"
+                    onClick={() => setPhotos(photos.filter((p) => photoUrl(p) !== photoUrl(photo)))}
+                    title={t('fieldEdit.removePhoto')}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              <label className="photo-upload">
+                <input type="file" accept="image/*" multiple onChange={handleUpload} disabled={uploading} />
+                {uploading ? t('fieldEdit.uploading') : t('fieldEdit.addPhoto')}
+              </label>
+            </div>
+          </div>
+        </div>
+
+        {error && <p className="panel-error">{error}</p>}
+
+        <div className="modal-actions">
+          <button type="button" className="ghost-button small" onClick={onClose}>
+            {t('admin.cancel')}
+          </button>
+          <button type="submit" className="primary-button" disabled={saving || uploading}>
+            {saving ? t('admin.saving') : t('admin.save')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+const EMPTY_PRICING_RULE = { days: [5, 6, 0], holiday: false, startTime: '18:00', endTime: '02:00', pricePerHour: '' };
+
+function PricingRulesEditor({ field, rules, onChange }) {
+  const { t, label, formatAmount } = useI18n();
+  const updateRule = (index, patch) => onChange(rules.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+
+  const toggleDay = (index, day) => {
+    const days = (rules[index].days || []).map(Number);
+    updateRule(index, { days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day] });
+  };
+
+  const moveRule = (index, delta) => {
+    const next = [...rules];
+    const [rule] = next.splice(index, 1);
+    next.splice(index + delta, 0, rule);
+    onChange(next);
+  };
+
+  return (
+    <div className="form-field">
+      <span>{t('pricing.title')}</span>
+      <p className="hint">{t('pricing.hint', { amount: formatAmount(field.pricePerHour) })}</p>
+      {rules.map((rule, index) => (
+        <div key={index} className="pricing-rule">
+          <div className="pricing-rule-days">
+            {PRICING_DAYS.map((day) => (
+              <label key={day} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={(rule.days || []).map(Number).includes(day)}
+                  onChange={() => toggleDay(index, day)}
+                />
+                {label('day', day)}
+              </label>
+            ))}
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={!!rule.holiday}
+                onChange={(e) => updateRule(index, { holiday: e.target.checked })}
+              />
+              {t('pricing.holidays')}
+            </label>
+          </div>
+          <div className="pricing-rule-fields">
+            <input
+              type="time"
+              value={rule.startTime || ''}
+              onChange={(e) => updateRule(index, { startTime: e.target.value })}
+              aria-label={t('pricing.start')}
+            />
+            <span>–</span>
+            <input
+              type="time"
+              value={rule.endTime || ''}
+              onChange={(e) => updateRule(index, { endTime: e.target.value })}
+              aria-label={t('pricing.end')}
+            />
+            <input
+              type="number"
+              min={0}
+              step={500}
+              value={rule.pricePerHour}
+              onChange={(e) => updateRule(index, { pricePerHour: e.target.value })}
+              placeholder={t('pricing.pricePlaceholder')}
+              required
+            />
+            <button
+              type="button"
+              className="ghost-button small"
+              onClick={() => moveRule(index, -1)}
+              disabled={index === 0}
+              title={t('pricing.raise')}
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              className="ghost-button small danger"
+              onClick={() => onChange(rules.filter((_, i) => i !== index))}
+            >
+              {t('pricing.remove')}
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="ghost-button small"
+        onClick={() => onChange([...rules, { ...EMPTY_PRICING_RULE, pricePerHour: field.pricePerHour || '' }])}
+      >
+        {t('pricing.add')}
+      </button>
+      <WeeklyPriceGrid field={field} rules={rules} />
+    </div>
+  );
+}
+
+/** Aperçu : prix horaire pour chaque heure d'ouverture, du lundi au dimanche, plus les jours fériés. */
+function WeeklyPriceGrid({ field, rules }) {
+  const { t, label, formatNumber } = useI18n();
+  const { open, close } = fieldOpeningMinutes(field);
+  const hours = [];
+  for (let m = open; m < close; m += 60) hours.push(m);
+  const base = Number(field.pricePerHour) || 0;
+  const columns = [
+    ...PRICING_DAYS.map((day) => ({ value: day, label: label('day', day), holiday: false })),
+    { value: null, label: t('pricing.holiday'), holiday: true },
+  ];
+
+  return (
+    <div className="price-grid-wrap">
+      <table className="price-grid">
+        <thead>
+          <tr>
+            <th />
+            {columns.map((c) => (
+              <th key={c.label}>{c.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {hours.map((m) => (
+            <tr key={m}>
+              <th>{`${String(Math.floor(m / 60) % 24).padStart(2, '0')}h`}</th>
+              {columns.map((c) => {
+                const rate = fieldRateAt(field, rules, { day: c.value, minutes: m, holiday: c.holiday });
+                const className = rate > base ? 'price-up' : rate < base ? 'price-down' : undefined;
+                return (
+                  <td key={c.label} className={className}>
+                    {formatNumber(rate)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function HolidayCalendar() {
+  const [holidays, setHolidays] = useState([]);
+  const [date, setDate] = useState('');
+  const [label, setLabel] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { t, formatDate } = useI18n();
+
+  useEffect(() => {
+    api
+      .get('/pricing/holidays')
+      .then((data) => setHolidays(Array.isArray(data) ? data : []))
+      .catch((err) => {
+        console.error(err);
+        setError(err.message);
+      });
+  }, []);
+
+  const save = async (next) => {
+    setSaving(true);
+    setError('');
+    try {
+      const data = await api.put('/pricing/holidays', next, {
+        errorMessage: t('holidays.saveError'),
+      });
+      setHolidays(Array.isArray(data) ? data : next);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!date || holidays.some((h) => h.date === date)) return;
+    save([...holidays, { date, label: label.trim() }].sort((a, b) => a.date.localeCompare(b.date)));
+    setDate('');
+    setLabel('');
+  };
+
+  return (
+    <div className="holiday-calendar">
+      <h3 className="form-section-title">{t('pricing.holidays')}</h3>
+      <p className="hint">{t('holidays.hint')}</p>
+      <form className="promo-input-row" onSubmit={handleAdd}>
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} required />
+        <input value={label} onChange={(e) => setLabel(e.target.value)} placeholder="Tabaski" />
+        <button type="submit" className="ghost-button small" disabled={saving || !date}>
+          {t('holidays.add')}
+        </button>
+      </form>
+      {error && <p className="panel-error">{error}</p>}
+      <div className="holiday-list">
+        {holidays.map((h) => (
+          <span key={h.date} className="badge">
+            {formatDate(`${h.date}T12:00:00`)}
+            {h.label ? ` · ${h.label}` : ''}{' '}
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => save(holidays.filter((x) => x.date !== h.date))}
+              disabled={saving}
+              title={t('pricing.remove')}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {!holidays.length && !error && <p className="empty-state">{t('holidays.empty')}</p>}
+      </div>
+    </div>
+  );
+}
+
+function StatsBar({ label, value, max, detail }) {
+  const pct = max > 0 ? Math.min(100, Math.round((value / max) * 100)) : 0;
+  return (
+    <div className="stats-bar-row">
+      <span className="stats-bar-label">{label}</span>
+      <div className="stats-bar-track">
+        <div className="stats-bar-fill" style={{ width: `${pct}%` }} />
+      </div>
+      <span className="stats-bar-value">{detail ?? `${pct} %`}</span>
+    </div>
+  );
+}
+
+/**
+ * Statistiques de la période agrégées par l'API (GET /reservations/stats), hors réservations annulées :
+ * { count, totalExpected, totalCollected, outstanding, byField, byBand, byMethod, partials }.
+ */
+function StatsDashboard() {
+  const [from, setFrom] = useState(() => `${TODAY_STR.slice(0, 8)}01`);
+  const [to, setTo] = useState(TODAY_STR);
+  const [type, setType] = useState('all');
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { t, label, formatDate, formatAmount } = useI18n();
+
+  useEffect(() => {
+    if (!from || !to || from > to) return undefined;
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await api.get('/reservations/stats', {
+          query: { from, to, type: type === 'all' ? undefined : type },
+          errorMessage: t('stats.loadError'),
+        });
+        if (!cancelled) setStats(data);
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [from, to, type, t]);
+
+  const byField = stats?.byField || [];
+  const byBand = stats?.byBand || [];
+  const byMethod = stats?.byMethod || [];
+  const partials = stats?.partials || [];
+  const maxMethodExpected = Math.max(0, ...byMethod.map((m) => m.expected));
+  const bandLabel = (band) =>
+    `${String(band.start % 24).padStart(2, '0')}h – ${String(band.end % 24).padStart(2, '0')}h`;
+
+  return (
+    <section className="panel">
+      <h2>{t('stats.title')}</h2>
+      <p className="panel-subtitle">{t('stats.subtitle')}</p>
+
+      <div className="form-grid stats-filters">
+        <label className="form-field">
+          <span>{t('admin.res.from')}</span>
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label className="form-field">
+          <span>{t('admin.res.to')}</span>
+          <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+        </label>
+        <label className="form-field">
+          <span>{t('booking.fieldType')}</span>
+          <select value={type} onChange={(e) => setType(e.target.value)}>
+            <option value="all">{t('catalogue.allTypes')}</option>
+            {['5', '7', '11'].map((value) => (
+              <option key={value} value={value}>
+                {t('type.label', { type: value })}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="panel-error">{error}</p>}
+      {loading ? (
+        <p className="empty-state">{t('admin.loading')}</p>
+      ) : (
+        stats && (
+          <>
+            <div className="hero-highlights stats-kpis">
+              <div>
+                <span className="highlight-number">{stats.count || 0}</span>
+                <span className="highlight-label">{t('stats.reservations')}</span>
+              </div>
+              <div>
+                <span className="highlight-number">{formatAmount(stats.totalCollected)}</span>
+                <span className="highlight-label">
+                  {t('stats.collectedOf', { amount: formatAmount(stats.totalExpected) })}
+                </span>
+              </div>
+              <div>
+                <span className="highlight-number">{formatAmount(stats.outstanding)}</span>
+                <span className="highlight-label">{t('stats.outstanding')}</span>
+              </div>
+            </div>
+
+            <div className="stats-grid">
+              <div>
+                <h3 className="stats-title">{t('stats.byField')}</h3>
+                {byField.map(({ fieldId, name, booked, capacity }) => (
+                  <StatsBar
+                    key={fieldId}
+                    label={name}
+                    value={booked}
+                    max={capacity}
+                    detail={`${capacity ? Math.round((booked / capacity) * 100) : 0} % · ${Math.round(booked)} h`}
+                  />
+                ))}
+                {!byField.length && <p className="empty-state">{t('stats.noField')}</p>}
+              </div>
+              <div>
+                <h3 className="stats-title">{t('stats.byBand')}</h3>
+                {byBand.map((band) => (
+                  <StatsBar key={band.start} label={bandLabel(band)} value={band.booked} max={band.capacity} />
+                ))}
+              </div>
+              <div>
+                <h3 className="stats-title">{t('stats.byMethod')}</h3>
+                {byMethod.map((m) => (
+                  <div key={m.method || 'none'} className="stats-method">
+                    <StatsBar
+                      label={label('paymentMethod', m.method) || t('stats.noMethod')}
+                      value={m.expected}
+                      max={maxMethodExpected}
+                      detail={t('stats.methodCount', { count: m.count })}
+                    />
+                    <p className="hint">
+                      {t('stats.methodCollected', {
+                        collected: formatAmount(m.collected),
+                        expected: formatAmount(m.expected),
+                      })}
+                    </p>
+                  </div>
+                ))}
+                {!stats.count && <p className="empty-state">{t('stats.empty')}</p>}
+              </div>
+            </div>
+
+            <h3 className="stats-title">{t('stats.partials')}</h3>
+            <div className="reservation-list">
+              {partials.map((r) => (
+                <div key={r._id} className="reservation-row">
+                  <div className="reservation-main">
+                    <span className="reservation-title">
+                      {formatDate(r.date)} · {r.startTime} – {r.endTime}
+                    </span>
+                    <span className="reservation-subtitle">
+                      {r.field?.name || t('audit.field.field')} · {r.customerName || r.user?.name || '—'} ·{' '}
+                      {r.customerPhone || r.user?.phone || '—'}
+                    </span>
+                  </div>
+                  <div className="reservation-meta">
+                    <span className="reservation-price">
+                      {t('stats.remaining', { amount: formatAmount((r.totalPrice || 0) - (r.paidAmount || 0)) })}
+                    </span>
+                    <span className="hint">
+                      {t('admin.res.paidOf', { paid: formatAmount(r.paidAmount), total: formatAmount(r.totalPrice) })}
+                    </span>
+                  </div>
+                </div>
+              ))}
+              {!partials.length && <p className="empty-state">{t('stats.noPartials')}</p>}
+            </div>
+          </>
+        )
+      )}
+    </section>
+  );
+}
+
+/** Feuille du jour imprimable pour l'équipe terrain (une section par terrain, triée par horaire). */
+function DailySheet({ date, fields, onDateChange, onClose }) {
+  const [reservations, setReservations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { t, label, formatDate, formatDateTime, formatAmount } = useI18n();
+
+  // Réservations du jour demandées à l'API à chaque changement de date
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await api.get('/reservations', {
+          query: { from: date, to: date },
+          errorMessage: t('sheet.loadError'),
+        });
+        if (!cancelled) setReservations(Array.isArray(data) ? data : data?.items || []);
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [date, t]);
+
+  const dayReservations = reservations
+    .filter((r) => r.status !== 'cancelled' && r.date && new Date(r.date).toISOString().slice(0, 10) === date)
+    .sort((a, b) => timeToPlanningMinutes(a.startTime) - timeToPlanningMinutes(b.startTime));
+
+  const sections = fields
+    .map((f) => ({
+      field: f,
+      rows: dayReservations.filter((r) => String(r.field?._id || r.field) === String(f._id)),
+    }))
+    .filter((section) => section.rows.length);
+
+  return (
+    <div className="modal-backdrop print-sheet-backdrop">
+      <div className="print-sheet">
+        <div className="print-sheet-toolbar">
+          <input type="date" value={date} onChange={(e) => e.target.value && onDateChange(e.target.value)} />
+          <button type="button" className="primary-button" onClick={() => window.print()}>
+            {t('sheet.print')}
+          </button>
+          <button type="button" className="ghost-button small" onClick={onClose}>
+            {t('admin.close')}
+          </button>
+        </div>
+
+        <h2>
+          {t('sheet.title', {
+            date: formatDate(`${date}T12:00:00`, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }),
+          })}
+        </h2>
+        {error && <p className="panel-error">{error}</p>}
+        <p className="hint">
+          {loading ? t('admin.loading') : t('sheet.count', { count: dayReservations.length })} ·{' '}
+          {t('sheet.printedAt', { date: formatDateTime(new Date()) })}
+        </p>
+
+        {sections.map(({ field, rows }) => (
+          <table key={field._id} className="print-sheet-table">
+            <caption>{t('sheet.caption', { name: field.name, type: field.type })}</caption>
+            <thead>
+              <tr>
+                <th>{t('sheet.time')}</th>
+                <th>{t('sheet.customer')}</th>
+                <th>{t('info.phone')}</th>
+                <th>{t('my.status')}</th>
+                <th>{t('sheet.balance')}</th>
+                <th>{t('sheet.check')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r._id}>
+                  <td>
+                    {r.startTime} – {r.endTime}
+                  </td>
+                  <td>{r.customerName || r.user?.name || '—'}</td>
+                  <td>{r.customerPhone || r.user?.phone || '—'}</td>
+                  <td>
+                    {label('status', r.status)} · {label('paymentStatus', r.paymentStatus) || '—'}
+                  </td>
+                  <td>{formatAmount(Math.max(0, (r.totalPrice || 0) - (r.paidAmount || 0)))}</td>
+                  <td className="print-sheet-check" />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ))}
+        {!sections.length && <p className="empty-state">{t('sheet.empty')}</p>}
+      </div>
+    </div>
+  );
+}
+
+function AuditTimeline({ entries, showReservation = false }) {
+  const i18n = useI18n();
+  const { t, label, formatDate, formatDateTime } = i18n;
+  return (
+    <ol className="audit-timeline">
+      {entries.map((entry) => (
+        <li key={entry._id || `${entry.createdAt}-${entry.action}`} className="audit-entry">
+          <div className="audit-entry-header">
+            <strong>{label('audit.action', entry.action)}</strong>
+            <span className="hint">
+              {formatDateTime(entry.createdAt)} · {entry.user?.name || t('audit.online')}
+              {entry.recordedAt && ` · ${t('audit.recordedAt', { date: formatDateTime(entry.recordedAt) })}`}
+            </span>
+          </div>
+          {showReservation && entry.reservation && (
+            <span className="reservation-subtitle">
+              {formatDate(entry.reservation.date)} · {entry.reservation.startTime} –{' '}
+              {entry.reservation.endTime} · {entry.reservation.customerName || '—'}
+            </span>
+          )}
+          <ul className="audit-changes">
+            {auditChanges(entry, i18n).map((change) => (
+              <li key={change.key}>
+                {change.label} : {change.before} → <strong>{change.after}</strong>
+              </li>
+            ))}
+          </ul>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function ReservationHistoryModal({ reservation, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { t, formatDate } = useI18n();
+
+  useEffect(() => {
+    api
+      .get(`/reservations/${reservation._id}/history`, { errorMessage: t('history.loadError') })
+      .then((data) => setEntries(Array.isArray(data) ? data : []))
+      .catch((err) => {
+        console.error(err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [reservation._id, t]);
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card modal-card-wide" onClick={(e) => e.stopPropagation()}>
+        <h3>{t('history.title')}</h3>
+        <p className="hint">
+          {formatDate(reservation.date)} · {reservation.startTime} – {reservation.endTime} ·{' '}
+          {reservation.field?.name || t('audit.field.field')} ·{' '}
+          {reservation.customerName || reservation.user?.name || '—'}
         </p>
+        {error && <p className="panel-error">{error}</p>}
+        {loading ? (
+          <p className="empty-state">{t('admin.loading')}</p>
+        ) : entries.length ? (
+          <AuditTimeline entries={entries} />
+        ) : (
+          !error && <p className="empty-state">{t('history.empty')}</p>
+        )}
+        <div className="modal-actions">
+          <button type="button" className="ghost-button small" onClick={onClose}>
+            {t('admin.close')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ActivityLog({ users }) {
+  const [userId, setUserId] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const { t, label } = useI18n();
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api.get('/audit-logs', {
+        query: { userId, from, to },
+        errorMessage: t('activity.loadError'),
+      });
+      setEntries(Array.isArray(data) ? data : data?.items || []);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, from, to, t]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  return (
+    <section className="panel">
+      <div className="panel-header-row">
+        <h2>{t('activity.title')}</h2>
+        <button type="button" className="ghost-button small" onClick={fetchEntries}>
+          {t('admin.refresh')}
+        </button>
+      </div>
+      <p className="panel-subtitle">{t('activity.subtitle')}</p>
+
+      <div className="form-grid stats-filters">
+        <label className="form-field">
+          <span>{t('activity.user')}</span>
+          <select value={userId} onChange={(e) => setUserId(e.target.value)}>
+            <option value="">{t('activity.allUsers')}</option>
+            {users.map((u) => (
+              <option key={u._id} value={u._id}>
+                {u.name} ({label('role', u.role === 'admin' ? 'admin' : 'gestionnaire')})
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="form-field">
+          <span>{t('admin.res.from')}</span>
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label className="form-field">
+          <span>{t('admin.res.to')}</span>
+          <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+        </label>
+      </div>
+
+      {error && <p className="panel-error">{error}</p>}
+      {loading ? (
+        <p className="empty-state">{t('admin.loading')}</p>
+      ) : entries.length ? (
+        <div className="audit-scroll">
+          <AuditTimeline entries={entries} showReservation />
+        </div>
+      ) : (
+        !error && <p className="empty-state">{t('activity.empty')}</p>
+      )}
+    </section>
+  );
+}
+
+/**
+ * Annuaire clients agrégé par l'API (un client = un numéro) : visites, heures, montants, absences
+ * et remise fidélité de la prochaine réservation. L'historique détaillé est chargé à l'ouverture d'une ligne.
+ */
+function CustomerDirectory() {
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [sortBy, setSortBy] = useState('visits'); // 'visits' | 'spent' | 'unpaid' | 'recent'
+  const [openKey, setOpenKey] = useState(null);
+  const { t } = useI18n();
+
+  useEffect(() => {
+    api
+      .get('/customers', { errorMessage: t('customers.loadError') })
+      .then((data) => {
+        const items = Array.isArray(data) ? data : data?.items || [];
+        setCustomers(
+          items.map((c) => ({
+            ...c,
+            key: c.key || customerKey(c.phone),
+            name: c.name || '—',
+            visits: Number(c.visits) || 0,
+            hoursPlayed: Number(c.hoursPlayed) || 0,
+            spent: Number(c.spent) || 0,
+            unpaid: Number(c.unpaid) || 0,
+            noShows: Number(c.noShows) || 0,
+            lastDate: c.lastDate ? new Date(c.lastDate) : null,
+          }))
+        );
+      })
+      .catch((err) => {
+        console.error(err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [t]);
+
+  const query = search.trim().toLowerCase();
+  const queryDigits = customerKey(search);
+  const visible = customers
+    .filter(
+      (c) => !query || c.name.toLowerCase().includes(query) || (queryDigits && c.key.includes(queryDigits))
+    )
+    .sort((a, b) => {
+      if (sortBy === 'spent') return b.spent - a.spent;
+      if (sortBy === 'unpaid') return b.unpaid - a.unpaid;
+      if (sortBy === 'recent') return (b.lastDate || 0) - (a.lastDate || 0);
+      return b.visits - a.visits;
+    });
+
+  return (
+    <section className="panel">
+      <h2>{t('admin.tab.clients')}</h2>
+      <p className="panel-subtitle">{t('customers.subtitle')}</p>
+
+      <div className="form-grid stats-filters">
+        <label className="form-field">
+          <span>{t('admin.res.search')}</span>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder={t('customers.searchPlaceholder')}
+          />
+        </label>
+        <label className="form-field">
+          <span>{t('customers.sortBy')}</span>
+          <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+            {['visits', 'spent', 'unpaid', 'recent'].map((value) => (
+              <option key={value} value={value}>
+                {t(`customers.sort.${value}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="panel-error">{error}</p>}
+      {loading ? (
+        <p className="empty-state">{t('admin.loading')}</p>
+      ) : !visible.length ? (
+        !error && <p className="empty-state">{query ? t('customers.noMatch') : t('customers.empty')}</p>
+      ) : (
+        <div className="customer-table-wrap">
+          <table className="customer-table">
+            <thead>
+              <tr>
+                <th>{t('sheet.customer')}</th>
+                <th>{t('customers.visits')}</th>
+                <th>{t('customers.hours')}</th>
+                <th>{t('customers.spent')}</th>
+                <th>{t('customers.unpaid')}</th>
+                <th>{t('customers.noShows')}</th>
+                <th>{t('customers.loyalty')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((c) => (
+                <CustomerRow
+                  key={c.key}
+                  customer={c}
+                  open={openKey === c.key}
+                  onToggle={() => setOpenKey(openKey === c.key ? null : c.key)}
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+function CustomerRow({ customer: c, open, onToggle }) {
+  const [history, setHistory] = useState(null);
+  const [historyError, setHistoryError] = useState('');
+  const { t, label, formatDate, formatAmount } = useI18n();
+
+  useEffect(() => {
+    if (!open || history) return;
+    api
+      .get(`/customers/${c.key}/reservations`, { errorMessage: t('history.loadError') })
+      .then((data) => setHistory(Array.isArray(data) ? data : data?.items || []))
+      .catch((err) => {
+        console.error(err);
+        setHistoryError(err.message);
+      });
+  }, [open, history, c.key, t]);
+
+  return (
+    <>
+      <tr className={open ? 'customer-row open' : 'customer-row'} onClick={onToggle}>
+        <td>
+          <strong>{c.name}</strong>
+          <span className="reservation-subtitle">{c.phone}</span>
+        </td>
+        <td>{c.visits}</td>
+        <td>{Math.round(c.hoursPlayed * 10) / 10}</td>
+        <td>{formatAmount(c.spent)}</td>
+        <td className={c.unpaid ? 'customer-unpaid' : undefined}>{formatAmount(c.unpaid)}</td>
+        <td>{c.noShows}</td>
+        <td>
+          {c.nextDiscount ? (
+            <span className="badge">{t('customers.nextDiscount', { percent: c.nextDiscount.percent })}</span>
+          ) : (
+            <span className="hint">—</span>
+          )}
+        </td>
+      </tr>
+      {open && (
+        <tr className="customer-history">
+          <td colSpan={7}>
+            {historyError && <p className="panel-error">{historyError}</p>}
+            {!history && !historyError && <p className="hint">{t('admin.loading')}</p>}
+            <ul>
+              {(history || []).map((r) => (
+                <li key={r._id}>
+                  {formatDate(r.date)} · {r.startTime} – {r.endTime} ·{' '}
+                  {r.field?.name || t('audit.field.field')} · {label('status', r.status)} ·{' '}
+                  {label('paymentStatus', r.paymentStatus) || '—'} · {formatAmount(r.totalPrice)}
+                  {r.noShow && ` · ${t('admin.res.noShow')}`}
+                </li>
+              ))}
+            </ul>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+const EMPTY_PROMO_FORM = {
+  code: '',
+  label: '',
+  discountType: 'percent',
+  value: 10,
+  startDate: '',
+  endDate: '',
+  fieldTypes: [],
+  startTime: '',
+  endTime: '',
+  maxUses: '',
+  maxUsesPerPhone: '',
+};
+
+function PromoCampaigns() {
+  const [promos, setPromos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(EMPTY_PROMO_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const { t, formatDate, formatAmount } = useI18n();
+
+  const fetchPromos = useCallback(async () => {
+    setLoading(true);
+    try {
+      setError('');
+      const data = await api.get('/promo-codes');
+      setPromos(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPromos();
+  }, [fetchPromos]);
+
+  const setField = (key, value) => setForm({ ...form, [key]: value });
+
+  const toggleFieldType = (type) =>
+    setField(
+      'fieldTypes',
+      form.fieldTypes.includes(type) ? form.fieldTypes.filter((x) => x !== type) : [...form.fieldTypes, type]
+    );
+
+  const startEdit = (promo) => {
+    setEditingId(promo._id);
+    setForm({
+      ...EMPTY_PROMO_FORM,
+      ...promo,
+      startDate: promo.startDate ? String(promo.startDate).slice(0, 10) : '',
+      endDate: promo.endDate ? String(promo.endDate).slice(0, 10) : '',
+      fieldTypes: (promo.fieldTypes || []).map(String),
+      maxUses: promo.maxUses ?? '',
+      maxUsesPerPhone: promo.maxUsesPerPhone ?? '',
+    });
+  };
+
+  const resetForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_PROMO_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const code = form.code.trim().toUpperCase();
+    if (!code) {
+      alert(t('promo.codeRequired'));
+      return;
+    }
+    if (form.discountType === 'percent' && (Number(form.value) <= 0 || Number(form.value) > 100)) {
+      alert(t('promo.percentRange'));
+      return;
+    }
+    if (form.startDate && form.endDate && form.endDate < form.startDate) {
+      alert(t('promo.dateOrder'));
+      return;
+    }
+    // Champs vides = pas de restriction
+    const payload = {
+      code,
+      label: form.label.trim(),
+      discountType: form.discountType,
+      value: Number(form.value),
+      startDate: form.startDate || null,
+      endDate: form.endDate || null,
+      fieldTypes: form.fieldTypes,
+      startTime: form.startTime || null,
+      endTime: form.endTime || null,
+      maxUses: form.maxUses === '' ? null : Number(form.maxUses),
+      maxUsesPerPhone: form.maxUsesPerPhone === '' ? null : Number(form.maxUsesPerPhone),
+    };
+    setSaving(true);
+    try {
+      if (editingId) {
+        await api.patch(`/promo-codes/${editingId}`, payload, { errorMessage: t('promo.updateError') });
+      } else {
+        await api.post('/promo-codes', payload, { errorMessage: t('promo.createError') });
+      }
+      resetForm();
+      fetchPromos();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setActive = async (promo, active) => {
+    try {
+      await api.patch(`/promo-codes/${promo._id}`, { active }, { errorMessage: t('promo.updateError') });
+      fetchPromos();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleDelete = async (promo) => {
+    if (!confirm(t('promo.deleteConfirm', { code: promo.code }))) return;
+    try {
+      await api.delete(`/promo-codes/${promo._id}`, { errorMessage: t('promo.deleteError') });
+      if (editingId === promo._id) resetForm();
+      fetchPromos();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const dateOrEllipsis = (value) => (value ? formatDate(value) : '…');
+
+  return (
+    <section className="panel">
+      <h2>{t('admin.tab.promos')}</h2>
+      <p className="panel-subtitle">{t('promo.subtitle')}</p>
+
+      <form className="reservation-form" onSubmit={handleSubmit}>
+        <div className="form-grid">
+          <label className="form-field">
+            <span>{t('promo.code')}</span>
+            <input
+              value={form.code}
+              onChange={(e) => setField('code', e.target.value.toUpperCase())}
+              placeholder="RAMADAN"
+              required
+            />
+          </label>
+          <label className="form-field">
+            <span>{t('promo.campaign')}</span>
+            <input
+              value={form.label}
+              onChange={(e) => setField('label', e.target.value)}
+              placeholder="Ramadan 2026"
+            />
+          </label>
+          <label className="form-field">
+            <span>{t('promo.discountType')}</span>
+            <select value={form.discountType} onChange={(e) => setField('discountType', e.target.value)}>
+              <option value="percent">{t('promo.percent')}</option>
+              <option value="fixed">{t('promo.fixed')}</option>
+            </select>
+          </label>
+          <label className="form-field">
+            <span>{form.discountType === 'fixed' ? t('promo.amountLabel') : t('promo.percentLabel')}</span>
+            <input
+              type="number"
+              min={1}
+              max={form.discountType === 'percent' ? 100 : undefined}
+              step={form.discountType === 'fixed' ? 500 : 1}
+              value={form.value}
+              onChange={(e) => setField('value', e.target.value)}
+              required
+            />
+          </label>
+          <label className="form-field">
+            <span>{t('promo.validFrom')}</span>
+            <input type="date" value={form.startDate} onChange={(e) => setField('startDate', e.target.value)} />
+          </label>
+          <label className="form-field">
+            <span>{t('admin.res.to')}</span>
+            <input
+              type="date"
+              value={form.endDate}
+              min={form.startDate || undefined}
+              onChange={(e) => setField('endDate', e.target.value)}
+            />
+          </label>
+          <label className="form-field">
+            <span>{t('promo.startTime')}</span>
+            <input type="time" value={form.startTime} onChange={(e) => setField('startTime', e.target.value)} />
+          </label>
+          <label className="form-field">
+            <span>{t('promo.endTime')}</span>
+            <input type="time" value={form.endTime} onChange={(e) => setField('endTime', e.target.value)} />
+          </label>
+          <label className="form-field">
+            <span>{t('promo.maxUses')}</span>
+            <input
+              type="number"
+              min={1}
+              value={form.maxUses}
+              onChange={(e) => setField('maxUses', e.target.value)}
+              placeholder={t('promo.unlimited')}
+            />
+          </label>
+          <label className="form-field">
+            <span>{t('promo.maxUsesPerPhone')}</span>
+            <input
+              type="number"
+              min={1}
+              value={form.maxUsesPerPhone}
+              onChange={(e) => setField('maxUsesPerPhone', e.target.value)}
+              placeholder={t('promo.unlimited')}
+            />
+          </label>
+        </div>
+        <div className="form-field">
+          <span>{t('promo.fieldTypes')}</span>
+          <div className="promo-types">
+            {['5', '7', '11'].map((type) => (
+              <label key={type} className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={form.fieldTypes.includes(type)}
+                  onChange={() => toggleFieldType(type)}
+                />
+                {t('type.label', { type })}
+              </label>
+            ))}
+          </div>
+          {!form.fieldTypes.length && <p className="hint">{t('promo.allFieldTypes')}</p>}
+        </div>
+        <div className="reservation-actions">
+          <button className="primary-button" type="submit" disabled={saving}>
+            {saving ? t('admin.saving') : editingId ? t('promo.save') : t('promo.create')}
+          </button>
+          {editingId && (
+            <button type="button" className="ghost-button small" onClick={resetForm}>
+              {t('promo.cancelEdit')}
+            </button>
+          )}
+        </div>
+      </form>
+
+      {error && <p className="panel-error">{error}</p>}
+      <div className="reservation-list">
+        {loading ? (
+          <p className="empty-state">{t('admin.loading')}</p>
+        ) : !promos.length ? (
+          !error && <p className="empty-state">{t('promo.empty')}</p>
+        ) : (
+          promos.map((promo) => (
+            <div
+              key={promo._id}
+              className={`reservation-row${promo.active === false ? ' reservation-row-inactive' : ''}`}
+            >
+              <div className="reservation-main">
+                <span className="reservation-title">
+                  {promo.code} · −{promoValueLabel(promo, formatAmount)}
+                  {promo.label ? ` · ${promo.label}` : ''}
+                </span>
+                <span className="reservation-subtitle">
+                  {promo.startDate || promo.endDate
+                    ? t('promo.period', { from: dateOrEllipsis(promo.startDate), to: dateOrEllipsis(promo.endDate) })
+                    : t('promo.noDates')}
+                  {' · '}
+                  {promo.fieldTypes?.length
+                    ? promo.fieldTypes.map((type) => t('promo.typeShort', { type })).join(', ')
+                    : t('catalogue.allTypes')}
+                  {promo.startTime || promo.endTime
+                    ? ` · ${promo.startTime || '…'} – ${promo.endTime || '…'}`
+                    : ''}
+                </span>
+                <span className="reservation-subtitle">
+                  {t('promo.used', {
+                    count: promo.maxUses ? `${promo.usedCount || 0} / ${promo.maxUses}` : promo.usedCount || 0,
+                  })}
+                  {promo.maxUsesPerPhone ? ` · ${t('promo.perPhone', { count: promo.maxUsesPerPhone })}` : ''}
+                </span>
+              </div>
+              <div className="reservation-meta">
+                {promo.active === false && <span className="badge badge-muted">{t('promo.disabled')}</span>}
+                <div className="reservation-actions">
+                  <button type="button" className="ghost-button small" onClick={() => startEdit(promo)}>
+                    {t('admin.edit')}
+                  </button>
+                  <button
+                    type="button"
+                    className="ghost-button small"
+                    onClick={() => setActive(promo, promo.active === false)}
+                  >
+                    {promo.active === false ? t('promo.enable') : t('promo.disable')}
+                  </button>
+                  <button type="button" className="ghost-button small danger" onClick={() => handleDelete(promo)}>
+                    {t('admin.delete')}
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </section>
+  );
+}
+
+// Notifications client : événements déclencheurs, canaux et variables utilisables dans les modèles
+const NOTIFICATION_EVENTS = ['created', 'confirmed', 'paid', 'cancelled', 'reminder'];
+
+const NOTIFICATION_CHANNELS = ['sms', 'whatsapp', 'email'];
+
+const NOTIFICATION_STATUSES = ['sent', 'failed', 'pending'];
+
+const NOTIFICATION_SAMPLE = {
+  nom: 'Moussa Diop',
+  date: 'samedi 14 mars 2026',
+  heure: '18:00 – 19:00',
+  terrain: 'Terrain Bargny 1 (à 5)',
+  montant: '30000 FCFA',
+  reference: 'GP-4F2A9C',
+};
+
+/** Remplace les variables {nom}, {date}… d'un modèle ; les inconnues restent visibles. */
+const renderTemplate = (text, values) =>
+  String(text || '').replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+
+function NotificationSettings() {
+  const [templates, setTemplates] = useState({}); // { [event]: { enabled, sms, whatsapp, emailSubject, email } }
+  const [provider, setProvider] = useState('');
+  const [event, setEvent] = useState('created');
+  const [draft, setDraft] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [testPhone, setTestPhone] = useState('');
+  const [testEmail, setTestEmail] = useState('');
+  const [testing, setTesting] = useState(false);
+  const [logs, setLogs] = useState([]);
+  const [logChannel, setLogChannel] = useState('');
+  const [logStatus, setLogStatus] = useState('');
+  const [loadingLogs, setLoadingLogs] = useState(false);
+  const [logsError, setLogsError] = useState('');
+  const { t, label, formatDateTime } = useI18n();
+
+  useEffect(() => {
+    api
+      .get('/notifications/templates')
+      .then((data) => {
+        setTemplates(data?.templates || {});
+        setProvider(data?.provider || '');
+      })
+      .catch((err) => {
+        console.error(err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    // Les modèles vides peuvent arriver à null depuis l'API : chaque texte retombe sur une chaîne vide
+    const template = templates[event] || {};
+    setDraft({
+      ...template,
+      enabled: template.enabled ?? true,
+      sms: template.sms ?? '',
+      whatsapp: template.whatsapp ?? '',
+      emailSubject: template.emailSubject ?? '',
+      email: template.email ?? '',
+    });
+    setSaved(false);
+  }, [event, templates]);
+
+  const fetchLogs = useCallback(async () => {
+    setLoadingLogs(true);
+    try {
+      setLogsError('');
+      const data = await api.get('/notifications/logs', { query: { channel: logChannel, status: logStatus } });
+      setLogs(Array.isArray(data) ? data : data?.items || []);
+    } catch (err) {
+      console.error(err);
+      setLogsError(err.message);
+    } finally {
+      setLoadingLogs(false);
+    }
+  }, [logChannel, logStatus]);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [fetchLogs]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const data = await api.put(`/notifications/templates/${event}`, draft, {
+        errorMessage: t('notify.saveError'),
+      });
+      setTemplates({ ...templates, [event]: data || draft });
+      setSaved(true);
+    } catch (err) {
+      console.error(err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async () => {
+    setTesting(true);
+    try {
+      await api.post(
+        '/notifications/test',
+        { event, phone: testPhone.trim(), email: testEmail.trim() || undefined },
+        { errorMessage: t('notify.testError') }
+      );
+      fetchLogs();
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleResend = async (log) => {
+    try {
+      await api.post(`/notifications/logs/${log._id}/resend`, undefined, { errorMessage: t('notify.resendError') });
+      fetchLogs();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
 
-        <form className="reservation-form" onSubmit={handleAdminCreate}>
+  const setDraftField = (key, value) => {
+    setDraft({ ...draft, [key]: value });
+    setSaved(false);
+  };
+
+  return (
+    <section className="panel">
+      <div className="panel-header-row">
+        <h2>{t('notify.title')}</h2>
+        {provider && <span className="badge badge-muted">{t('notify.provider', { provider })}</span>}
+      </div>
+      <p className="panel-subtitle">
+        {t('notify.subtitle', { variables: Object.keys(NOTIFICATION_SAMPLE).map((k) => `{${k}}`).join(', ') })}
+      </p>
+      {provider === 'console' && <p className="hint">{t('notify.consoleMode')}</p>}
+
+      {error && <p className="panel-error">{error}</p>}
+      {loading || !draft ? (
+        <p className="empty-state">{t('admin.loading')}</p>
+      ) : (
+        <form className="reservation-form" onSubmit={handleSave}>
           <div className="form-grid">
             <label className="form-field">
-              <span>Format du terrain</span>
-              <select
-                value={adminType}
-                onChange={(e) => {
-                  setAdminType(e.target.value);
-                  setAdminSlots([]);
-                  setAdminSelectedSlot(null);
-                }}
-              >
-                <option value="5">Terrain à 5 (créneaux 1h)</option>
-                <option value="11">Terrain à 11 (créneaux 2h)</option>
+              <span>{t('notify.event')}</span>
+              <select value={event} onChange={(e) => setEvent(e.target.value)}>
+                {NOTIFICATION_EVENTS.map((value) => (
+                  <option key={value} value={value}>
+                    {label('notify.event', value)}
+                  </option>
+                ))}
               </select>
             </label>
             <label className="form-field">
-              <span>Date</span>
-              <input
-                type="date"
-                value={adminDate}
-                  min={TODAY_STR}
-                onChange={(e) => {
-                  setAdminDate(e.target.value);
-                  setAdminSlots([]);
-                  setAdminSelectedSlot(null);
-                }}
-                required
-              />
+              <span>
+                <input
+                  type="checkbox"
+                  checked={draft.enabled !== false}
+                  onChange={(e) => setDraftField('enabled', e.target.checked)}
+                />{' '}
+                {t('notify.enabled')}
+              </span>
             </label>
           </div>
-
-          <button
-            type="button"
-            className="ghost-button small"
-            onClick={fetchAdminSlots}
-            disabled={!adminDate || !adminType || adminLoadingSlots}
-          >
-            {adminLoadingSlots ? 'Chargement des créneaux...' : 'Charger les créneaux disponibles'}
-          </button>
-
-          <div className="field-list">
-            {adminSlots.map((slot) => (
-              <button
-                key={`${slot.fieldId}-${slot.startTime}-${slot.endTime}`}
-                type="button"
-                className={
-                  adminSelectedSlot &&
-                  adminSelectedSlot.fieldId === slot.fieldId &&
-                  adminSelectedSlot.startTime === slot.startTime &&
-                  adminSelectedSlot.endTime === slot.endTime
-                    ? 'field-card selected'
-                    : 'field-card'
-                }
-                onClick={() => setAdminSelectedSlot(slot)}
-              >
-                <div className="field-type">
-                  {slot.startTime} – {slot.endTime}
-                </div>
-                <div className="field-name">{slot.fieldName}</div>
-                <div className="field-meta">
-                  <span>Terrain à {slot.type}</span>
-                  <span>{slot.pricePerHour} FCFA / heure</span>
-                </div>
-              </button>
-            ))}
-            {!adminLoadingSlots && adminDate && !adminSlots.length && (
-              <p className="empty-state">Aucun créneau disponible pour cette date / ce format.</p>
-            )}
-          </div>
-
-          {adminSelectedSlot && (
-            <>
-              <p className="hint">
-                Créneau choisi : {adminSelectedSlot.startTime} – {adminSelectedSlot.endTime} ·{' '}
-                {adminSelectedSlot.fieldName} (terrain à {adminSelectedSlot.type})
-              </p>
-              <label className="form-field">
-                <span>Nom complet du client</span>
-                <input
-                  value={adminName}
-                  onChange={(e) => setAdminName(e.target.value)}
-                  required
-                />
-              </label>
-              <label className="form-field">
-                <span>Téléphone du client</span>
-                <input
-                  value={adminPhone}
-                  onChange={(e) => setAdminPhone(e.target.value)}
-                  required
-                />
-              </label>
-              <label className="form-field">
-                <span>Email du client (optionnel)</span>
-                <input
-                  type="email"
-                  value={adminEmail}
-                  onChange={(e) => setAdminEmail(e.target.value)}
-                />
-              </label>
-              <label className="form-field">
-                <span>Adresse du client (optionnel)</span>
-                <input
-                  value={adminAddress}
-                  onChange={(e) => setAdminAddress(e.target.value)}
-                />
-              </label>
-              <button className="primary-button" type="submit" disabled={adminSaving}>
-                {adminSaving ? 'Enregistrement...' : 'Créer la réservation pour le client'}
-              </button>
-            </>
-          )}
-        </form>
-      </section>
-      )}
-      {(adminTab === 'terrain' || adminTab === 'all') && user?.role === 'admin' && (
-      <section className="panel">
-        <h2>Gestion des terrains (créneaux)</h2>
-        <p className="panel-subtitle">
-          Ajoutez, modifiez ou supprimez les terrains. Ils définissent les créneaux disponibles sur
-          la page publique.
-        </p>
-
-        <form className="reservation-form" onSubmit={handleCreateField}>
           <label className="form-field">
-            <span>Nom du terrain</span>
-            <input name="name" value={form.name} onChange={handleChange} required />
+            <span>{label('notify.channel', 'sms')}</span>
+            <textarea rows={3} value={draft.sms} onChange={(e) => setDraftField('sms', e.target.value)} />
+            <span className="hint">{t('notify.characters', { count: draft.sms.length })}</span>
           </label>
           <label className="form-field">
-            <span>Description</span>
-            <textarea name="description" value={form.description} onChange={handleChange} rows={2} />
+            <span>{label('notify.channel', 'whatsapp')}</span>
+            <textarea
+              rows={3}
+              value={draft.whatsapp}
+              onChange={(e) => setDraftField('whatsapp', e.target.value)}
+              placeholder={t('notify.whatsappPlaceholder')}
+            />
+          </label>
+          <label className="form-field">
+            <span>{t('notify.emailSubject')}</span>
+            <input value={draft.emailSubject} onChange={(e) => setDraftField('emailSubject', e.target.value)} />
+          </label>
+          <label className="form-field">
+            <span>{label('notify.channel', 'email')}</span>
+            <textarea rows={5} value={draft.email} onChange={(e) => setDraftField('email', e.target.value)} />
           </label>
+
+          <div className="notification-preview">
+            <strong>{t('notify.smsPreview')}</strong>
+            <p>{renderTemplate(draft.sms, NOTIFICATION_SAMPLE) || '—'}</p>
+            <strong>
+              {t('notify.emailPreview', { subject: renderTemplate(draft.emailSubject, NOTIFICATION_SAMPLE) || '—' })}
+            </strong>
+            <p>{renderTemplate(draft.email, NOTIFICATION_SAMPLE) || '—'}</p>
+          </div>
+
+          <div className="reservation-actions">
+            <button className="primary-button" type="submit" disabled={saving}>
+              {saving ? t('admin.saving') : t('notify.save')}
+            </button>
+            {saved && <span className="hint">{t('notify.saved')}</span>}
+          </div>
+
           <div className="form-grid">
             <label className="form-field">
-              <span>Type</span>
-              <select name="type" value={form.type} onChange={handleChange}>
-                <option value="5">Terrain à 5</option>
-                <option value="7">Terrain à 7</option>
-                <option value="11">Terrain à 11</option>
-              </select>
+              <span>{t('notify.testPhone')}</span>
+              <input value={testPhone} onChange={(e) => setTestPhone(e.target.value)} placeholder="+221 77 123 45 67" />
             </label>
             <label className="form-field">
-              <span>Prix / heure (FCFA)</span>
-              <input
-                type="number"
-                name="pricePerHour"
-                value={form.pricePerHour}
-                onChange={handleChange}
-              />
+              <span>{t('notify.testEmail')}</span>
+              <input type="email" value={testEmail} onChange={(e) => setTestEmail(e.target.value)} />
             </label>
           </div>
-          <button className="primary-button" type="submit" disabled={saving}>
-            {saving ? 'Enregistrement...' : 'Ajouter le terrain'}
+          <button
+            type="button"
+            className="ghost-button small"
+            onClick={handleTest}
+            disabled={testing || !testPhone.trim()}
+          >
+            {testing ? t('notify.sending') : t('notify.sendTest')}
           </button>
         </form>
+      )}
 
-        <div className="field-list condensed">
-          {loadingFields ? (
-            <p className="empty-state">Chargement...</p>
-          ) : (
-            fields.map((field) => (
-              <div key={field._id} className="field-card field-card-admin">
-                <div>
-                  <div className="field-type">Terrain à {field.type}</div>
-                  <div className="field-name">{field.name}</div>
-                  <div className="field-meta">
-                    <span>{field.pricePerHour} FCFA / heure</span>
-                  </div>
-                </div>
-                <button
-                  type="button"
-                  className="ghost-button small danger"
-                  onClick={() => handleDeleteField(field._id)}
-                  title="Supprimer le terrain"
-                >
-                  Supprimer
-                </button>
+      <div className="panel-header-row notification-log-header">
+        <h3 className="form-section-title">{t('notify.logTitle')}</h3>
+        <button type="button" className="ghost-button small" onClick={fetchLogs}>
+          {t('admin.refresh')}
+        </button>
+      </div>
+      <div className="form-grid stats-filters">
+        <label className="form-field">
+          <span>{t('notify.channel')}</span>
+          <select value={logChannel} onChange={(e) => setLogChannel(e.target.value)}>
+            <option value="">{t('notify.all')}</option>
+            {NOTIFICATION_CHANNELS.map((value) => (
+              <option key={value} value={value}>
+                {label('notify.channel', value)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="form-field">
+          <span>{t('my.status')}</span>
+          <select value={logStatus} onChange={(e) => setLogStatus(e.target.value)}>
+            <option value="">{t('notify.all')}</option>
+            {NOTIFICATION_STATUSES.map((value) => (
+              <option key={value} value={value}>
+                {label('notify.status', value)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {logsError && <p className="panel-error">{logsError}</p>}
+      <div className="reservation-list">
+        {loadingLogs ? (
+          <p className="empty-state">{t('admin.loading')}</p>
+        ) : !logs.length ? (
+          !logsError && <p className="empty-state">{t('notify.logEmpty')}</p>
+        ) : (
+          logs.map((log) => (
+            <div key={log._id} className="reservation-row">
+              <div className="reservation-main">
+                <span className="reservation-title">
+                  {label('notify.event', log.event)} · {label('notify.channel', log.channel)} · {log.to}
+                </span>
+                <span className="reservation-subtitle">
+                  {formatDateTime(log.createdAt)}
+                  {log.error ? ` · ${log.error}` : ''}
+                </span>
               </div>
-            ))
-          )}
-          {!loadingFields && !fields.length && (
-            <p className="empty-state">Aucun terrain. Lancez le seed ou ajoutez-en un ci-dessus.</p>
-          )}
-        </div>
-      </section>
-      )}
+              <div className="reservation-meta">
+                <span className={log.status === 'failed' ? 'badge badge-danger' : 'badge'}>
+                  {label('notify.status', log.status)}
+                </span>
+                {log.status === 'failed' && (
+                  <button type="button" className="ghost-button small" onClick={() => handleResend(log)}>
+                    {t('notify.resend')}
+                  </button>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </section>
+  );
+}
 
-     
+function PlanningGrid({
+  fields,
+  reservations,
+  loading,
+  filterType,
+  date: anchorDate,
+  onDateChange,
+  onOpenReservation,
+  onCreateSlot,
+}) {
+  const [view, setView] = useState('day'); // 'day' | 'week'
+  const { t, formatDate } = useI18n();
 
-      {(adminTab === 'users' || adminTab === 'all') && user?.role === 'admin' && (
-        <section className="panel">
-          <h2>Gestion des utilisateurs</h2>
-          <p className="panel-subtitle">
-            Créez des comptes gestionnaires. Les gestionnaires peuvent gérer les créneaux et valider les réservations (sans pouvoir annuler ni gérer les terrains).
-          </p>
+  const days = (() => {
+    if (view === 'day') return [anchorDate];
+    // Semaine du lundi au dimanche contenant la date choisie
+    const weekday = (new Date(`${anchorDate}T12:00:00`).getDay() + 6) % 7;
+    const monday = addDays(anchorDate, -weekday);
+    return Array.from({ length: 7 }, (_, i) => addDays(monday, i));
+  })();
 
-          <form onSubmit={handleCreateGestionnaire} className="form-card" style={{ marginBottom: '1.5rem' }}>
-            <h3>Nouveau gestionnaire</h3>
-            <div className="form-grid" style={{ gridTemplateColumns: '1fr 1fr' }}>
-              <label className="form-field">
-                <span>Nom</span>
-                <input
-                  type="text"
-                  value={gestionnaireForm.name}
-                  onChange={(e) => setGestionnaireForm({ ...gestionnaireForm, name: e.target.value })}
-                  placeholder="Nom du gestionnaire"
-                  required
-                />
-              </label>
-              <label className="form-field">
-                <span>Email</span>
-                <input
-                  type="email"
-                  value={gestionnaireForm.email}
-                  onChange={(e) => setGestionnaireForm({ ...gestionnaireForm, email: e.target.value })}
-                  placeholder="email@exemple.sn"
-                  required
-                />
-              </label>
-              <label className="form-field">
-                <span>Téléphone (optionnel)</span>
-                <input
-                  type="text"
-                  value={gestionnaireForm.phone}
-                  onChange={(e) => setGestionnaireForm({ ...gestionnaireForm, phone: e.target.value })}
-                  placeholder="+221 77 123 45 67"
-                />
-              </label>
-              <label className="form-field">
-                <span>Mot de passe</span>
-                <input
-                  type="password"
-                  value={gestionnaireForm.password}
-                  onChange={(e) => setGestionnaireForm({ ...gestionnaireForm, password: e.target.value })}
-                  placeholder="Mot de passe de connexion"
-                  required
-                  minLength={6}
-                />
-              </label>
-            </div>
-            {userMessage.text && (
-              <p className={userMessage.type === 'success' ? 'hint' : 'toast toast-error'} style={{ marginTop: '0.5rem' }}>
-                {userMessage.text}
-              </p>
-            )}
-            <button type="submit" className="primary-button" disabled={savingGestionnaire} style={{ marginTop: '0.75rem' }}>
-              {savingGestionnaire ? 'Création…' : 'Créer le gestionnaire'}
-            </button>
-          </form>
+  const visibleFields = fields.filter(
+    (f) => filterType === 'all' || String(f.type) === filterType
+  );
 
-          <h3>Administrateurs et gestionnaires</h3>
-          {loadingUsers ? (
-            <p className="empty-state">Chargement…</p>
-          ) : (
-            <div className="reservation-list">
-              {users.filter((u) => u.role === 'admin' || u.role === 'gestionnaire').map((u) => (
-                <div key={u._id} className="reservation-row">
-                  <div className="reservation-main">
-                    <span className="reservation-title">{u.name}</span>
-                    <span className="reservation-subtitle">{u.email}{u.phone ? ` · ${u.phone}` : ''}</span>
-                  </div>
-                  <div className="reservation-meta">
-                    <span className="badge">{u.role === 'admin' ? 'Admin' : 'Gestionnaire'}</span>
-                  </div>
-                </div>
-              ))}
-              {!users.filter((u) => u.role === 'admin' || u.role === 'gestionnaire').length && (
-                <p className="empty-state">Aucun administrateur ou gestionnaire.</p>
+  // Lignes de la grille : de la première ouverture à la dernière fermeture des terrains affichés,
+  // en minutes ancrées sur la première ouverture ; chaque terrain garde ses propres horaires
+  const gridOpening = visibleFields.length
+    ? visibleFields
+        .map((f) => f.openingTime || `${PLANNING_START_HOUR}:00`)
+        .sort((a, b) => timeToPlanningMinutes(a, '00:00') - timeToPlanningMinutes(b, '00:00'))[0]
+    : `${PLANNING_START_HOUR}:00`;
+  const toGridMinutes = (time) => timeToPlanningMinutes(time, gridOpening);
+  const fieldHours = Object.fromEntries(
+    visibleFields.map((f) => {
+      const { open, close } = fieldOpeningMinutes(f);
+      const start = toGridMinutes(f.openingTime || `${PLANNING_START_HOUR}:00`);
+      return [f._id, { open: start, close: start + close - open }];
+    })
+  );
+  const gridStart = Math.floor(toGridMinutes(gridOpening) / 60);
+  const gridEnd = visibleFields.length
+    ? Math.min(gridStart + 24, Math.ceil(Math.max(...Object.values(fieldHours).map((h) => h.close)) / 60))
+    : PLANNING_END_HOUR;
+  const hours = [];
+  for (let h = gridStart; h < gridEnd; h += 1) hours.push(h);
+  const isOpenAt = (fieldId, hour) =>
+    fieldHours[fieldId].open < (hour + 1) * 60 && fieldHours[fieldId].close > hour * 60;
+
+  // Index des réservations actives par jour + terrain
+  const byDayField = {};
+  reservations.forEach((r) => {
+    if (r.status === 'cancelled' || !r.date) return;
+    const day = new Date(r.date).toISOString().slice(0, 10);
+    const fieldId = r.field?._id || r.field;
+    const key = `${day}|${fieldId}`;
+    (byDayField[key] = byDayField[key] || []).push(r);
+  });
+
+  const findReservation = (day, fieldId, hour) =>
+    (byDayField[`${day}|${fieldId}`] || []).find(
+      (r) => {
+        const start = toGridMinutes(r.startTime);
+        return start < (hour + 1) * 60 && start + slotDurationHours(r.startTime, r.endTime) * 60 > hour * 60;
+      }
+    );
+
+  const cellClass = (r) => {
+    if (r.paymentStatus === 'paid') return 'planning-cell planning-cell-paid';
+    if (r.paymentStatus === 'partial') return 'planning-cell planning-cell-partial';
+    if (r.status === 'confirmed') return 'planning-cell planning-cell-confirmed';
+    return 'planning-cell planning-cell-pending';
+  };
+
+  const formatHour = (h) => `${String(h % 24).padStart(2, '0')}:00`;
+  const step = view === 'week' ? 7 : 1;
+
+  return (
+    <section className="panel">
+      <div className="panel-header-row">
+        <h2>{t('planning.title')}</h2>
+        <div className="planning-toolbar">
+          <button
+            type="button"
+            className={view === 'day' ? 'admin-tab active' : 'admin-tab'}
+            onClick={() => setView('day')}
+          >
+            {t('planning.day')}
+          </button>
+          <button
+            type="button"
+            className={view === 'week' ? 'admin-tab active' : 'admin-tab'}
+            onClick={() => setView('week')}
+          >
+            {t('planning.week')}
+          </button>
+          <button type="button" className="ghost-button small" onClick={() => onDateChange(addDays(anchorDate, -step))}>
+            {t('planning.previous')}
+          </button>
+          <input
+            type="date"
+            className="planning-date"
+            value={anchorDate}
+            onChange={(e) => e.target.value && onDateChange(e.target.value)}
+          />
+          <button type="button" className="ghost-button small" onClick={() => onDateChange(addDays(anchorDate, step))}>
+            {t('planning.next')}
+          </button>
+          <button type="button" className="ghost-button small" onClick={() => onDateChange(TODAY_STR)}>
+            {t('planning.today')}
+          </button>
+        </div>
+      </div>
+      <p className="panel-subtitle">{t('planning.subtitle')}</p>
+
+      <div className="planning-legend">
+        <span className="planning-cell planning-cell-pending">{t('status.pending')}</span>
+        <span className="planning-cell planning-cell-confirmed">{t('planning.legend.confirmed')}</span>
+        <span className="planning-cell planning-cell-partial">{t('planning.legend.partial')}</span>
+        <span className="planning-cell planning-cell-paid">{t('planning.legend.paid')}</span>
+        <span className="planning-cell planning-cell-closed">{t('planning.legend.closed')}</span>
+      </div>
+
+      {loading ? (
+        <p className="empty-state">{t('admin.loading')}</p>
+      ) : !visibleFields.length ? (
+        <p className="empty-state">{t('stats.noField')}</p>
+      ) : (
+        <div className="planning-scroll">
+          <table className={`planning-grid planning-grid-${view}`}>
+            <thead>
+              {view === 'week' && (
+                <tr>
+                  <th />
+                  {days.map((day) => (
+                    <th key={day} colSpan={visibleFields.length} className="planning-day">
+                      {formatDate(`${day}T12:00:00`, { weekday: 'short', day: 'numeric', month: 'short' })}
+                    </th>
+                  ))}
+                </tr>
               )}
-            </div>
-          )}
-        </section>
+              <tr>
+                <th />
+                {days.map((day) =>
+                  visibleFields.map((f) => (
+                    <th key={`${day}-${f._id}`} title={t('sheet.caption', { name: f.name, type: f.type })}>
+                      {f.name}
+                    </th>
+                  ))
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {hours.map((hour) => (
+                <tr key={hour}>
+                  <th className="planning-hour">{formatHour(hour)}</th>
+                  {days.map((day) =>
+                    visibleFields.map((f) => {
+                      const r = findReservation(day, f._id, hour);
+                      if (r) {
+                        return (
+                          <td key={`${day}-${f._id}`}>
+                            <button
+                              type="button"
+                              className={cellClass(r)}
+                              onClick={() => onOpenReservation(r)}
+                              title={`${r.startTime} – ${r.endTime} · ${r.customerName || r.user?.name || '—'}`}
+                            >
+                              {view === 'day' ? r.customerName || r.user?.name || '—' : ''}
+                            </button>
+                          </td>
+                        );
+                      }
+                      if (!isOpenAt(f._id, hour)) {
+                        return (
+                          <td key={`${day}-${f._id}`}>
+                            <span
+                              className="planning-cell planning-cell-closed"
+                              title={t('planning.closed', { name: f.name })}
+                            />
+                          </td>
+                        );
+                      }
+                      const isPast = day < TODAY_STR;
+                      return (
+                        <td key={`${day}-${f._id}`}>
+                          <button
+                            type="button"
+                            className="planning-cell planning-cell-free"
+                            disabled={isPast}
+                            onClick={() =>
+                              onCreateSlot({ field: f, date: day, startTime: formatHour(hour) })
+                            }
+                            title={isPast ? undefined : t('planning.book', { name: f.name, time: formatHour(hour) })}
+                          />
+                        </td>
+                      );
+                    })
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
       )}
-    </div>
+    </section>
   );
 }
 
@@ -0,0 +1,163 @@
+// Client HTTP unique de l'application : base URL, jeton admin, délais, relances et erreurs uniformes.
+
+export const API_BASE_URL = import.meta.env.VITE_API_URL || '/api';
+export const TOKEN_KEY = 'gp_admin_token';
+export const USER_KEY = 'gp_admin_user';
+// Expiration du jeton (ms) quand l'API la fournit à côté d'un jeton non-JWT
+export const TOKEN_EXPIRY_KEY = 'gp_admin_token_exp';
+// Mode démo : aucune requête réseau, l'API est simulée dans le navigateur (voir mock.js)
+export const DEMO_MODE = import.meta.env.VITE_DEMO_MODE === 'true';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_GET_RETRIES = 2;
+const RETRY_DELAY_MS = 600;
+
+/** Erreur d'appel API : `status` vaut 0 quand le serveur est injoignable (réseau, délai dépassé). */
+export class ApiError extends Error {
+  constructor(message, { status = 0, data = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+
+  get isNetworkError() {
+    return this.status === 0;
+  }
+}
+
+/** Parse une réponse en JSON ; si le serveur renvoie du HTML (SPA fallback), lance une erreur claire. */
+export async function parseJsonResponse(res) {
+  const text = await res.text();
+  const trimmed = text.trim();
+  if (trimmed.startsWith('<')) {
+    throw new ApiError(
+      `Le serveur a renvoyé une page HTML au lieu de données. Vérifiez que l'API tourne sur ${API_BASE_URL}.`,
+      { status: res.status }
+    );
+  }
+  try {
+    return trimmed ? JSON.parse(text) : null;
+  } catch {
+    throw new ApiError('Réponse du serveur invalide.', { status: res.status });
+  }
+}
+
+/** Date d'expiration du jeton (ms) : champ `exp` du JWT, sinon valeur renvoyée par l'API. */
+export function tokenExpiry(token) {
+  if (!token) return null;
+  try {
+    const payload = token.split('.')[1];
+    const json = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+    if (json?.exp) return json.exp * 1000;
+  } catch {
+    // Jeton opaque : on se rabat sur l'expiration stockée
+  }
+  const stored = Number(localStorage.getItem(TOKEN_EXPIRY_KEY));
+  return stored || null;
+}
+
+let unauthorizedHandler = null;
+
+/** Enregistre la fonction appelée quand une requête authentifiée reçoit un 401 (déconnexion globale). */
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const defaultMessage = (status) => {
+  if (status === 401) return 'Session expirée. Veuillez vous reconnecter.';
+  if (status === 403) return "Vous n'avez pas les droits pour cette action.";
+  if (status === 404) return 'Ressource introuvable.';
+  if (status >= 500) return 'Le serveur rencontre un problème. Réessayez dans quelques instants.';
+  return `Erreur ${status}`;
+};
+
+async function send(path, { method, query, body, auth, timeout, errorMessage }) {
+  const headers = {};
+  const token = auth ? localStorage.getItem(TOKEN_KEY) : null;
+  if (token) headers.Authorization = `Bearer ${token}`;
+  let payload = body;
+  // FormData : pas de Content-Type, le navigateur ajoute la boundary multipart
+  if (body !== undefined && !(body instanceof FormData)) {
+    headers['Content-Type'] = 'application/json';
+    payload = JSON.stringify(body);
+  }
+
+  const params = new URLSearchParams();
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.set(key, value);
+  });
+  const url = `${API_BASE_URL}${path}${params.toString() ? `?${params}` : ''}`;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  let res;
+  try {
+    if (DEMO_MODE) {
+      const { mockFetch } = await import('./mock.js');
+      res = await mockFetch(path, { method, params, body, token });
+    } else {
+      res = await fetch(url, { method, headers, body: payload, signal: controller.signal });
+    }
+  } catch (err) {
+    throw new ApiError(
+      err.name === 'AbortError'
+        ? 'Le serveur met trop de temps à répondre. Réessayez.'
+        : 'Impossible de joindre le serveur. Vérifiez votre connexion.',
+      { status: 0 }
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const data = await parseJsonResponse(res);
+  if (!res.ok) {
+    if (res.status === 401 && token && unauthorizedHandler) unauthorizedHandler();
+    throw new ApiError(data?.message || errorMessage || defaultMessage(res.status), {
+      status: res.status,
+      data,
+    });
+  }
+  return data;
+}
+
+/**
+ * Requête API. Options : `query` (paramètres d'URL), `body` (objet JSON ou FormData),
+ * `auth` (jeton admin, par défaut oui), `timeout` (ms), `retries` (GET uniquement),
+ * `errorMessage` (message si le serveur n'en fournit pas).
+ */
+export async function apiRequest(path, options = {}) {
+  const method = options.method || 'GET';
+  const opts = {
+    method,
+    query: options.query,
+    body: options.body,
+    auth: options.auth !== false,
+    timeout: options.timeout ?? DEFAULT_TIMEOUT_MS,
+    errorMessage: options.errorMessage,
+  };
+  // Seuls les GET sont rejoués : les écritures ne doivent pas être envoyées deux fois
+  const retries = method === 'GET' ? options.retries ?? DEFAULT_GET_RETRIES : 0;
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await send(path, opts);
+    } catch (err) {
+      const retryable = err instanceof ApiError && (err.status === 0 || err.status >= 500);
+      if (!retryable || attempt >= retries) throw err;
+      await sleep(RETRY_DELAY_MS * (attempt + 1));
+    }
+  }
+}
+
+export const api = {
+  get: (path, options) => apiRequest(path, { ...options, method: 'GET' }),
+  post: (path, body, options) => apiRequest(path, { ...options, method: 'POST', body }),
+  patch: (path, body, options) => apiRequest(path, { ...options, method: 'PATCH', body }),
+  put: (path, body, options) => apiRequest(path, { ...options, method: 'PUT', body }),
+  delete: (path, options) => apiRequest(path, { ...options, method: 'DELETE' }),
+};
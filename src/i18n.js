@@ -0,0 +1,2005 @@
+// Traductions de l'interface (français, wolof, anglais) et formats de date / montant selon la langue.
+
+import { useMemo, useSyncExternalStore } from 'react';
+
+export const LANGUAGES = [
+  { value: 'fr', label: 'Français', short: 'FR' },
+  { value: 'wo', label: 'Wolof', short: 'WO' },
+  { value: 'en', label: 'English', short: 'EN' },
+];
+
+const LANG_KEY = 'gp_lang';
+
+// Le wolof n'a pas de données Intl partout : on retombe sur les formats français du Sénégal
+const INTL_LOCALES = {
+  fr: ['fr-SN', 'fr-FR'],
+  wo: ['wo-SN', 'fr-SN', 'fr-FR'],
+  en: ['en-GB'],
+};
+
+const fr = {
+  'shell.subtitle': 'Réservez votre terrain synthétique',
+  'shell.myReservation': 'Ma réservation',
+  'shell.fields': 'Nos terrains',
+  'shell.logout': 'Déconnexion',
+  'shell.viewSite': 'Voir le site',
+  'shell.language': 'Langue',
+  'shell.demo': 'Mode démo',
+  'shell.demoReset': 'Réinitialiser les données de démonstration ?',
+  'role.admin': 'Admin',
+  'role.gestionnaire': 'Gestionnaire',
+  'idle.title': 'Êtes-vous toujours là ?',
+  'idle.body': 'Sans activité, vous serez déconnecté dans {seconds} s pour protéger l’accès à l’espace gestionnaire.',
+  'idle.logout': 'Se déconnecter',
+  'idle.stay': 'Rester connecté',
+
+  'type.choose': 'Choisir un format',
+  'type.label': 'Terrain à {type}',
+
+  'booking.title': 'Réserver un créneau',
+  'booking.subtitle':
+    'Sélectionnez une date et un format de terrain. Tous les créneaux disponibles vont s’afficher automatiquement.',
+  'booking.fieldType': 'Format du terrain',
+  'booking.date': 'Date',
+  'booking.duration': 'Durée du match',
+  'booking.loadingSlots': 'Chargement des créneaux disponibles...',
+  'booking.noSlots': 'Aucun créneau disponible pour cette date et ce format pour le moment.',
+  'booking.slotsError': 'Impossible de charger les créneaux disponibles.',
+  'booking.held': 'En cours de réservation',
+  'booking.slotPrice': '{price} ({rate} / heure)',
+  'booking.continue': 'Continuer avec ce créneau',
+  'booking.holding': 'Réservation du créneau...',
+  'booking.holdError': 'Impossible de bloquer ce créneau',
+  'booking.holdTaken': 'Ce créneau vient d’être pris par un autre joueur. Choisissez-en un autre.',
+  'booking.holdExpired': 'Le délai est écoulé : le créneau a été libéré. Vous pouvez le sélectionner à nouveau.',
+  'booking.slotGone': 'Le créneau sélectionné vient d’être réservé. Choisissez-en un autre.',
+
+  'recap.title': 'Créneau sélectionné',
+  'recap.date': 'Date',
+  'recap.time': 'Horaire',
+  'recap.field': 'Terrain',
+  'recap.fieldValue': '{name} (terrain à {type})',
+  'recap.rate': 'Tarif horaire',
+  'recap.rateValue': '{rate} / heure',
+  'recap.loyaltyAuto': 'Saisissez votre numéro : le montant définitif, réduction fidélité comprise, s’affiche ici.',
+  'loyalty.hours': 'plus de {count} h jouées',
+  'loyalty.nth': '{count}e réservation',
+  'recap.promo': 'Code {code}',
+  'recap.amount': 'Montant',
+  'recap.holdCountdown': 'Créneau bloqué pour vous encore {time}',
+  'recap.change': 'Changer de créneau',
+
+  'info.title': 'Vos informations',
+  'info.subtitle':
+    'Renseignez vos coordonnées, puis choisissez votre moyen de paiement (Wave ou Orange Money). Votre réservation sera enregistrée et prise en compte.',
+  'info.name': 'Nom complet',
+  'info.namePlaceholder': 'Nom et prénom',
+  'info.phone': 'Numéro de téléphone',
+  'info.phoneInvalid': 'Numéro invalide. 9 chiffres attendus (ex. 77 123 45 67).',
+  'info.email': 'Email (optionnel)',
+  'info.address': 'Adresse (optionnel)',
+  'info.addressPlaceholder': 'Quartier, ville',
+  'info.promo': 'Code promo (optionnel)',
+  'info.promoPlaceholder': 'Ex. RAMADAN',
+  'info.promoApply': 'Appliquer',
+  'info.promoChecking': 'Vérification...',
+  'info.promoRemove': 'Retirer',
+  'info.promoInvalid': 'Code promo invalide',
+  'info.promoApplied': 'Code {code} appliqué : −{value}.',
+  'info.required': 'Veuillez renseigner votre nom et votre numéro de téléphone.',
+  'info.choosePayment': 'Choisir le moyen de paiement',
+  'info.sending': 'Envoi...',
+  'info.payWave': 'Payer avec Wave',
+  'info.payOrange': 'Payer avec Orange Money',
+  'info.paymentHint':
+    'En cliquant sur Wave ou Orange Money, votre réservation est enregistrée puis vous êtes redirigé vers la page de paiement sécurisée du fournisseur.',
+  'info.fillToPay':
+    'Renseignez au moins votre nom et votre numéro de téléphone pour afficher les options de paiement.',
+  'info.bookingError': 'Erreur de réservation',
+
+  'hero.title': 'Réservez votre terrain synthétique en quelques clics.',
+  'hero.subtitle':
+    'Choisissez votre créneau, votre type de terrain (5 / 7 / 11) et profitez d’une pelouse de qualité pour vos matchs entre amis, tournois ou entraînements.',
+  'hero.fields': 'Voir les terrains',
+  'hero.services': 'Découvrir les services',
+  'hero.open': 'Ouvert tous les jours',
+  'hero.hours': 'Heures de jeu par an',
+  'hero.loyalty': 'Réduction fidélité',
+
+  'catalogue.title': 'Nos terrains',
+  'catalogue.subtitle': 'Gazon synthétique, éclairage et vestiaires : choisissez le terrain qui vous convient.',
+  'catalogue.allTypes': 'Tous les formats',
+  'catalogue.loading': 'Chargement des terrains…',
+  'catalogue.empty': 'Aucun terrain disponible pour le moment.',
+  'catalogue.perHour': '{amount} / heure',
+  'catalogue.details': 'Voir le terrain',
+  'catalogue.book': 'Réserver',
+  'catalogue.back': '← Tous les terrains',
+  'catalogue.notFound': 'Ce terrain est introuvable ou n’est plus proposé.',
+  'catalogue.noPhoto': 'Photo à venir',
+  'catalogue.hours': 'Ouvert de {open} à {close}',
+  'catalogue.amenities': 'Équipements',
+  'catalogue.availability': 'Disponibilités',
+  'catalogue.availabilityHint': 'Créneaux de {duration} — cliquez sur un horaire pour réserver.',
+  'catalogue.noSlots': 'Aucun créneau libre ce jour-là.',
+  'catalogue.retry': 'Réessayer',
+
+  'amenity.lighting': 'Éclairage',
+  'amenity.changing_rooms': 'Vestiaires',
+  'amenity.showers': 'Douches',
+  'amenity.parking': 'Parking',
+  'amenity.covered': 'Couvert',
+  'amenity.refreshments': 'Buvette',
+  'amenity.editLabel': 'Équipements (affichés sur la fiche publique)',
+
+  'created.title': 'Réservation prise en compte',
+  'created.body':
+    'Votre réservation a bien été enregistrée. Une confirmation vous est envoyée par SMS ou WhatsApp, ainsi qu’un rappel 2h avant le match.',
+  'created.bodyEmail':
+    'Votre réservation a bien été enregistrée. Une confirmation vous est envoyée par SMS ou WhatsApp et par email, ainsi qu’un rappel 2h avant le match.',
+  'created.reference': 'Référence :',
+  'created.loyalty': 'Réduction fidélité appliquée : −{percent} %, soit {amount} à régler.',
+  'created.keep':
+    'Conservez cette référence : avec votre numéro de téléphone, elle permet de suivre votre réservation depuis la page « Ma réservation ».',
+  'created.track': 'Suivre ma réservation',
+  'common.ok': 'OK',
+
+  'auth.title': 'Espace gestionnaire',
+  'auth.subtitle':
+    'Connectez-vous avec votre compte administrateur pour gérer les terrains et les réservations.',
+  'auth.email': 'Email',
+  'auth.password': 'Mot de passe',
+  'auth.submit': 'Se connecter',
+  'auth.submitting': 'Connexion...',
+  'auth.error': 'Erreur de connexion',
+  'auth.unreachable': 'Impossible de joindre le serveur. Vérifiez l’URL de l’API.',
+  'auth.expired': 'Votre session a expiré. Veuillez vous reconnecter.',
+  'auth.idle': 'Vous avez été déconnecté après une période d’inactivité.',
+  'auth.seedHint':
+    'Utilisez le compte admin fourni (après avoir lancé npm run seed dans le backend : admin@samaterrain.sn / admin123).',
+  'auth.demoHint':
+    'Mode démo : connectez-vous avec admin@samaterrain.sn / admin123 (admin) ou gestionnaire@samaterrain.sn / gestion123 (gestionnaire). Les données restent dans ce navigateur.',
+
+  'admin.tab.all': 'Vue globale',
+  'admin.tab.terrain': 'Gestion terrains',
+  'admin.tab.users': 'Gestion utilisateurs',
+  'admin.tab.activity': 'Journal d’activité',
+  'admin.tab.promos': 'Promotions',
+  'admin.tab.notifications': 'Notifications',
+  'admin.tab.clients': 'Clients',
+  'admin.tab.creneaux': 'Gestion créneaux',
+  'admin.tab.reservations': 'Réservations',
+
+  'status.pending': 'En attente',
+  'status.confirmed': 'Confirmée',
+  'status.cancelled': 'Annulée',
+  'paymentStatus.pending': 'Paiement en attente',
+  'paymentStatus.partial': 'Acompte versé',
+  'paymentStatus.paid': 'Payée',
+  'paymentStatus.cancelled': 'Annulée',
+  'paymentStatus.failed': 'Paiement échoué',
+  'paymentMethod.wave': 'Wave',
+  'paymentMethod.orange_money': 'Orange Money',
+  'paymentMethod.cash': 'Cash / Autre',
+  'paymentMethod.admin': 'Admin (manuel)',
+
+  'audit.action.public-create': 'Réservation en ligne',
+  'audit.action.admin-create': 'Réservation créée par un gestionnaire',
+  'audit.action.series-create': 'Série créée',
+  'audit.action.update': 'Modification',
+  'audit.action.confirm': 'Validation',
+  'audit.action.payment': 'Paiement enregistré',
+  'audit.action.payment-method': 'Moyen de paiement modifié',
+  'audit.action.cancel': 'Annulation',
+  'audit.action.move': 'Déplacement',
+  'audit.field.status': 'Statut',
+  'audit.field.paymentStatus': 'Paiement',
+  'audit.field.paymentMethod': 'Moyen de paiement',
+  'audit.field.paidAmount': 'Montant payé',
+  'audit.field.totalPrice': 'Montant total',
+  'audit.field.date': 'Date',
+  'audit.field.startTime': 'Début',
+  'audit.field.endTime': 'Fin',
+  'audit.field.field': 'Terrain',
+
+  'my.subtitle': 'Saisissez le numéro utilisé lors de la réservation et la référence reçue pour consulter son état.',
+  'my.required': 'Renseignez votre numéro (9 chiffres) et la référence de réservation.',
+  'my.notFound': 'Réservation introuvable.',
+  'my.lookupError': 'Impossible de retrouver la réservation.',
+  'my.reference': 'Référence de réservation',
+  'my.referencePlaceholder': 'Ex. A1B2C3',
+  'my.searching': 'Recherche...',
+  'my.lookup': 'Retrouver ma réservation',
+  'my.title': 'Réservation {reference}',
+  'my.status': 'Statut',
+  'my.payment': 'Paiement',
+  'my.paid': '(payé : {amount})',
+  'my.reschedule': 'Demander un report',
+  'my.cancel': 'Annuler la réservation',
+  'my.cancelConfirm': 'Annuler cette réservation ? Le créneau sera libéré pour les autres joueurs.',
+  'my.cancelError': 'Impossible d’annuler la réservation.',
+  'my.cancelled': 'Votre réservation a été annulée.',
+  'my.changeWindow':
+    'Les modifications en ligne sont possibles jusqu’à {hours}h avant le match. Contactez-nous par téléphone pour tout changement.',
+  'my.paidNoCancel': 'Un paiement a déjà été enregistré : l’annulation doit se faire auprès d’un gestionnaire.',
+  'my.rescheduleWish': 'Nouveau créneau souhaité',
+  'my.rescheduleWishPlaceholder': 'Ex. samedi prochain entre 18h et 20h',
+  'my.rescheduleSend': 'Envoyer la demande',
+  'my.rescheduleError': 'Impossible d’envoyer la demande.',
+  'my.rescheduleSent': 'Demande de report envoyée. Un gestionnaire vous recontactera pour fixer le nouveau créneau.',
+
+  'payment.title': 'Paiement de la réservation',
+  'payment.unknown':
+    'Aucun paiement en cours n’a été trouvé. Retrouvez votre réservation depuis la page « Ma réservation ».',
+  'payment.checking': 'Vérification du paiement en cours… Ne fermez pas cette page.',
+  'payment.checkingProvider': 'Vérification du paiement {provider} en cours… Ne fermez pas cette page.',
+  'payment.checkError': 'Impossible de vérifier le paiement.',
+  'payment.noLink': 'Le fournisseur de paiement n’a pas renvoyé de lien.',
+  'payment.depositReceived': 'Acompte reçu.',
+  'payment.confirmed': 'Paiement confirmé.',
+  'payment.booked': 'Votre créneau est réservé.',
+  'payment.bookedOn': 'Votre créneau est réservé le {date} de {start} à {end}.',
+  'payment.failed': 'Le paiement n’a pas abouti.',
+  'payment.failedHint': 'Votre réservation est conservée, vous pouvez réessayer.',
+  'payment.redirecting': 'Redirection...',
+  'payment.retryWith': 'Réessayer avec {provider}',
+  'payment.timeout':
+    'Le paiement n’est pas encore confirmé par le fournisseur. Vous pouvez relancer la vérification ou consulter votre réservation plus tard.',
+  'payment.checkAgain': 'Vérifier à nouveau',
+  'payment.home': 'Retour à l’accueil',
+
+  'admin.export.error': 'Impossible d’exporter les réservations',
+  'admin.export.date': 'Date',
+  'admin.export.time': 'Horaire',
+  'admin.export.field': 'Terrain',
+  'admin.export.type': 'Type',
+  'admin.export.customer': 'Client',
+  'admin.export.phone': 'Téléphone',
+  'admin.export.status': 'Statut',
+  'admin.export.paymentStatus': 'Statut paiement',
+  'admin.export.paymentMethod': 'Moyen de paiement',
+  'admin.export.total': 'Montant total (FCFA)',
+  'admin.export.paid': 'Montant payé (FCFA)',
+
+  'admin.res.notFound': 'Réservation introuvable',
+  'admin.res.updateError': 'Erreur mise à jour réservation',
+  'admin.fields.createError': 'Erreur création terrain',
+  'admin.fields.updateError': 'Erreur mise à jour terrain',
+  'admin.fields.checkError': 'Impossible de vérifier les réservations du terrain',
+  'admin.fields.deleteConfirm': 'Supprimer ce terrain ? Les réservations associées resteront en base.',
+  'admin.fields.deleteError': 'Impossible de supprimer',
+  'admin.users.required': 'Nom, email et mot de passe sont requis.',
+  'admin.users.createError': 'Erreur lors de la création du gestionnaire.',
+  'admin.users.created': 'Gestionnaire créé avec succès.',
+  'admin.users.updateError': 'Erreur mise à jour utilisateur',
+  'admin.users.resetConfirm': 'Réinitialiser le mot de passe de {name} ?',
+  'admin.users.resetError': 'Erreur lors de la réinitialisation',
+  'admin.users.temporaryPassword':
+    'Mot de passe temporaire de {name} : {password} (à changer à la prochaine connexion).',
+  'admin.users.resetLinkSent': 'Un lien de réinitialisation a été envoyé à {email}.',
+  'admin.users.deleteConfirm':
+    'Supprimer définitivement le compte de {name} ({email}) ? Cette action est irréversible.',
+  'admin.users.deleteError': 'Erreur lors de la suppression',
+  'admin.users.deleted': 'Compte de {name} supprimé.',
+
+  'admin.payment.error': 'Erreur lors de l’enregistrement du paiement',
+  'admin.payment.offline': 'Hors ligne : le paiement est enregistré sur ce poste et sera envoyé au retour du réseau.',
+  'admin.slots.loadError': 'Erreur chargement créneaux',
+  'admin.slots.thisField': 'ce terrain',
+  'admin.slots.notBookable':
+    'Le créneau de {time} sur {field} n’est pas réservable. Choisissez un autre créneau ci-dessous.',
+  'admin.series.untilRequired': 'Choisissez la date de fin de la série.',
+  'admin.series.previewError': 'Erreur lors de l’aperçu de la série',
+  'admin.series.previewRequired': 'Vérifiez d’abord les occurrences de la série.',
+  'admin.series.createError': 'Erreur lors de la création de la série',
+  'admin.series.created': 'Série créée : {count} réservation(s).',
+  'admin.create.slotRequired': 'Choisissez un créneau.',
+  'admin.create.customerRequired': 'Renseignez au minimum le nom et le téléphone du client.',
+  'admin.create.error': 'Erreur lors de la création de la réservation',
+  'admin.create.offline': 'Hors ligne : la réservation est gardée sur ce poste et sera envoyée au retour du réseau.',
+  'admin.create.done': 'Réservation créée pour le client.',
+
+  'admin.close': 'Fermer',
+  'admin.cancel': 'Annuler',
+  'admin.loading': 'Chargement...',
+  'admin.offline.title': 'Hors ligne',
+  'admin.offline.pending': 'Synchronisation en attente',
+  'admin.offline.syncing': 'Synchronisation...',
+  'admin.offline.sync': 'Synchroniser maintenant',
+  'admin.offline.pendingHint': 'Ces opérations ont été saisies sans réseau.',
+  'admin.offline.hint':
+    'Les listes affichent les dernières données connues. Les réservations et paiements saisis sont gardés sur ce poste et envoyés au retour du réseau.',
+  'admin.offline.booking': 'Réservation',
+  'admin.offline.recordedAt': 'Saisi le {date}',
+  'admin.offline.refused': 'Refusé : {message}',
+  'admin.offline.otherSlot': 'Choisir un autre créneau',
+  'admin.offline.drop': 'Abandonner',
+  'admin.planning.loadError': 'Impossible de charger le planning : {message}',
+  'admin.res.paidOf': '{paid} / {total}',
+  'admin.res.move': 'Déplacer',
+  'admin.res.confirm': 'Valider',
+
+  'admin.refresh': 'Actualiser',
+  'admin.res.title': 'Toutes les réservations',
+  'admin.res.subtitle':
+    'Liste de toutes les réservations (clients et créneaux). Utilisez les filtres pour affiner : l’adresse de la page peut être partagée avec un collègue pour la même vue.',
+  'admin.res.exportCsv': 'Exporter CSV',
+  'admin.res.exportXlsx': 'Exporter Excel',
+  'admin.res.dailySheet': 'Feuille du jour',
+  'admin.res.search': 'Rechercher',
+  'admin.res.searchPlaceholder': 'Nom ou téléphone du client',
+  'admin.res.from': 'Du',
+  'admin.res.to': 'Au',
+  'admin.res.allFields': 'Tous les terrains',
+  'admin.res.allStatuses': 'Tous les statuts',
+  'admin.res.all': 'Tous',
+  'admin.res.resetFilters': 'Réinitialiser les filtres',
+  'admin.res.loadError': 'Impossible de charger les réservations : {message}',
+  'admin.res.countOne': '{shown} sur {total} réservation',
+  'admin.res.countMany': '{shown} sur {total} réservations',
+  'admin.res.noShow': 'Absent',
+  'admin.res.present': 'Présent',
+  'admin.res.noShowTitle': 'Le client ne s’est pas présenté (compté dans la fiche client)',
+  'admin.res.series': 'Série',
+  'admin.res.seriesTitle': 'Gérer toute la série',
+  'admin.res.history': 'Historique',
+  'admin.res.cancelPaid': 'Impossible d’annuler : un paiement a déjà été enregistré.',
+  'admin.res.moveTitle': 'Déplacer vers un autre créneau ou terrain',
+  'admin.res.markPaid': 'Marquer payé',
+  'admin.res.balanceLabel': 'Solde · {name}',
+  'admin.res.complete': 'Compléter le paiement',
+  'admin.res.completeTitle': 'Marquer le solde comme payé (total)',
+  'admin.res.empty': 'Aucune réservation.',
+  'admin.res.emptyFiltered': 'Aucune réservation pour ces filtres.',
+  'admin.res.loadMore': 'Charger plus',
+
+  'admin.save': 'Enregistrer',
+  'admin.users.editTitle': 'Modifier le compte',
+  'admin.users.name': 'Nom',
+  'admin.users.role': 'Rôle',
+  'admin.users.lastAdminRole': 'Dernier administrateur actif : son rôle ne peut pas être modifié.',
+  'admin.fields.gone': 'Ce terrain n’existe plus ou a été supprimé.',
+  'admin.fields.cannotDelete': 'Impossible de supprimer « {name} »',
+  'admin.fields.cannotDeleteHint':
+    'Ce terrain a {count} réservation(s) à venir. Il sera désactivé à la place : il n’apparaîtra plus dans les disponibilités, mais les réservations ci-dessous restent à honorer ou à déplacer.',
+  'admin.fields.deactivate': 'Désactiver le terrain',
+  'admin.payment.title': 'Marquer la réservation comme payée',
+  'admin.payment.full': 'Paiement complet',
+  'admin.payment.half': 'Paiement moitié',
+  'admin.payment.amount': 'Montant encaissé :',
+  'admin.payment.alreadyPaid': '(déjà payé : {amount})',
+  'admin.payment.offlineLabel': 'Paiement {amount} · {label}',
+  'admin.payment.submit': 'Valider le paiement',
+  'admin.create.title': 'Réserver un créneau pour un client (téléphone)',
+  'admin.create.subtitle':
+    'Choisissez un terrain, une date et un créneau disponible, puis saisissez les coordonnées du client pour enregistrer la réservation.',
+
+  'admin.saving': 'Enregistrement...',
+  'admin.slots.load': 'Charger les créneaux disponibles',
+  'admin.slots.heldTitle': 'Un client est en train de réserver ce créneau',
+  'admin.create.chosen': 'Créneau choisi : {time} · {field} · Montant :',
+  'admin.create.loyalty': '(réduction fidélité −{percent} % : {rule})',
+  'admin.create.name': 'Nom complet du client',
+  'admin.create.phone': 'Téléphone du client',
+  'admin.create.email': 'Email du client (optionnel)',
+  'admin.create.address': 'Adresse du client (optionnel)',
+  'admin.create.submit': 'Créer la réservation pour le client',
+  'admin.series.recurrence': 'Récurrence',
+  'admin.series.none': 'Aucune (réservation unique)',
+  'admin.series.weekly': 'Chaque semaine',
+  'admin.series.biweekly': 'Toutes les deux semaines',
+  'admin.series.end': 'Fin de la série',
+  'admin.series.endCount': 'Après N occurrences',
+  'admin.series.endUntil': 'Jusqu’à une date',
+  'admin.series.count': 'Nombre d’occurrences',
+  'admin.series.lastDate': 'Dernière date',
+  'admin.series.check': 'Vérifier les occurrences',
+  'admin.series.conflictTitle': 'Créneau déjà réservé : cette date sera ignorée',
+  'admin.series.previewCount': '{count} occurrence(s) seront créées.',
+  'admin.series.previewConflicts': '{count} occurrence(s) seront créées, {conflicts} en conflit seront ignorées.',
+  'admin.series.submit': 'Créer la série pour le client',
+  'admin.fields.title': 'Gestion des terrains (créneaux)',
+  'admin.fields.subtitle':
+    'Ajoutez, modifiez ou supprimez les terrains. Ils définissent les créneaux disponibles sur la page publique.',
+  'admin.fields.name': 'Nom du terrain',
+  'admin.fields.description': 'Description',
+  'admin.fields.price': 'Prix / heure (FCFA)',
+  'admin.fields.add': 'Ajouter le terrain',
+  'admin.fields.loadError': 'Impossible de charger les terrains : {message}',
+  'admin.fields.inactive': 'Inactif',
+  'admin.fields.rulesCount': '{count} règle(s) tarifaire(s)',
+  'admin.fields.photosCount': '{count} photo(s)',
+
+  'admin.edit': 'Modifier',
+  'admin.delete': 'Supprimer',
+  'admin.fields.deleteTitle': 'Supprimer le terrain',
+  'admin.fields.empty': 'Aucun terrain. Lancez le seed ou ajoutez-en un ci-dessus.',
+  'admin.users.title': 'Gestion des utilisateurs',
+  'admin.users.subtitle':
+    'Créez des comptes gestionnaires. Les gestionnaires peuvent gérer les créneaux et valider les réservations (sans pouvoir annuler ni gérer les terrains).',
+  'admin.users.new': 'Nouveau gestionnaire',
+  'admin.users.namePlaceholder': 'Nom du gestionnaire',
+  'admin.users.phone': 'Téléphone (optionnel)',
+  'admin.users.passwordPlaceholder': 'Mot de passe de connexion',
+  'admin.users.creating': 'Création…',
+  'admin.users.create': 'Créer le gestionnaire',
+  'admin.users.listTitle': 'Administrateurs et gestionnaires',
+  'admin.users.loadError': 'Impossible de charger les utilisateurs : {message}',
+  'admin.users.lastLogin': 'Dernière connexion : {date}',
+  'admin.users.never': 'jamais',
+  'admin.users.disabled': 'Désactivé',
+  'admin.users.enable': 'Réactiver',
+  'admin.users.disable': 'Désactiver',
+  'admin.users.lastAdminDisable': 'Impossible de désactiver le dernier administrateur.',
+  'admin.users.resetPassword': 'Réinitialiser le mot de passe',
+  'admin.users.lastAdminDelete': 'Impossible de supprimer le dernier administrateur.',
+  'admin.users.selfDelete': 'Vous ne pouvez pas supprimer votre propre compte.',
+  'admin.users.empty': 'Aucun administrateur ou gestionnaire.',
+
+  'series.title': 'Série de réservations',
+  'series.loadError': 'Impossible de charger la série',
+  'series.updateError': 'Erreur mise à jour de la série',
+  'series.summary':
+    '{count} occurrence(s) à venir. Les actions ci-dessous s’appliquent aux occurrences à venir ; utilisez la liste pour modifier une seule occurrence.',
+  'series.field': 'Terrain (toute la série)',
+  'series.applySlot': 'Appliquer aux occurrences à venir',
+  'series.paymentMethod': 'Moyen de paiement (toute la série)',
+  'series.choose': 'Choisir…',
+  'series.changeSlot': 'Changer l’horaire ou le terrain',
+  'series.confirm': 'Valider la série',
+  'series.cancel': 'Annuler la série',
+  'series.cancelConfirm': 'Annuler les {count} occurrence(s) à venir de cette série ?',
+
+  'move.title': 'Déplacer la réservation',
+  'move.error': 'Impossible de déplacer la réservation',
+  'move.current': 'Actuellement : {slot}',
+  'move.date': 'Nouvelle date',
+  'move.oldAmount': 'Ancien montant',
+  'move.newAmount': 'Nouveau montant',
+  'move.paid': 'Déjà payé',
+  'move.extra': 'Supplément',
+  'move.less': 'En moins',
+  'move.difference': 'Différence',
+  'move.refund': 'Le montant déjà payé dépasse le nouveau total : {amount} à rembourser ou à garder en avoir.',
+  'move.moving': 'Déplacement...',
+
+  'day.1': 'Lun',
+  'day.2': 'Mar',
+  'day.3': 'Mer',
+  'day.4': 'Jeu',
+  'day.5': 'Ven',
+  'day.6': 'Sam',
+  'day.0': 'Dim',
+  'fieldEdit.title': 'Modifier « {name} »',
+  'fieldEdit.uploadError': 'Erreur lors de l’envoi des photos',
+  'fieldEdit.inactive': 'Inactif (masqué des disponibilités)',
+  'fieldEdit.opening': 'Ouverture',
+  'fieldEdit.closing': 'Fermeture',
+  'fieldEdit.applyToType': 'Appliquer ces tarifs à tous les terrains à {type}',
+  'fieldEdit.photos': 'Photos',
+  'fieldEdit.removePhoto': 'Retirer la photo',
+  'fieldEdit.uploading': 'Envoi...',
+  'fieldEdit.addPhoto': '+ Ajouter',
+  'pricing.title': 'Tarifs par jour et horaire',
+  'pricing.hint':
+    'Hors règle, le prix de base ({amount} / heure) s’applique. Les règles sont examinées dans l’ordre : la première qui correspond fixe le prix.',
+  'pricing.holidays': 'Jours fériés',
+  'pricing.holiday': 'Férié',
+  'pricing.start': 'Début',
+  'pricing.end': 'Fin',
+  'pricing.pricePlaceholder': 'FCFA / heure',
+  'pricing.raise': 'Priorité plus haute',
+  'pricing.remove': 'Retirer',
+  'pricing.add': '+ Ajouter une règle',
+  'holidays.saveError': 'Erreur lors de l’enregistrement des jours fériés',
+  'holidays.hint': 'Les règles « Jours fériés » des terrains s’appliquent à ces dates (Tabaski, Korité, etc.).',
+  'holidays.add': 'Ajouter',
+  'holidays.empty': 'Aucun jour férié enregistré.',
+
+  'stats.loadError': 'Impossible de charger les statistiques',
+  'stats.title': 'Statistiques',
+  'stats.subtitle': 'Occupation des terrains et chiffre d’affaires sur la période (hors réservations annulées).',
+  'stats.reservations': 'Réservations',
+  'stats.collectedOf': 'Encaissé sur {amount} attendus',
+  'stats.outstanding': 'Soldes restants (acomptes)',
+  'stats.byField': 'Occupation par terrain',
+  'stats.noField': 'Aucun terrain pour ce format.',
+  'stats.byBand': 'Occupation par tranche horaire',
+  'stats.byMethod': 'Encaissé / attendu par moyen de paiement',
+  'stats.noMethod': 'Non renseigné',
+  'stats.methodCount': '{count} résa.',
+  'stats.methodCollected': '{collected} encaissés sur {expected}',
+  'stats.empty': 'Aucune réservation sur la période.',
+  'stats.partials': 'Acomptes à solder',
+  'stats.remaining': 'Reste {amount}',
+  'stats.noPartials': 'Aucun acompte en attente sur la période.',
+  'sheet.loadError': 'Impossible de charger les réservations du jour',
+  'sheet.print': 'Imprimer',
+  'sheet.title': 'Feuille du jour · {date}',
+  'sheet.count': '{count} réservation(s)',
+  'sheet.printedAt': 'Imprimé le {date}',
+  'sheet.caption': '{name} (terrain à {type})',
+  'sheet.time': 'Horaire',
+  'sheet.customer': 'Client',
+  'sheet.balance': 'Reste à payer',
+  'sheet.check': 'Présent / encaissé',
+  'sheet.empty': 'Aucune réservation ce jour-là.',
+  'audit.online': 'Client (en ligne)',
+  'history.loadError': 'Impossible de charger l’historique',
+  'history.title': 'Historique de la réservation',
+  'history.empty': 'Aucune action enregistrée.',
+
+  'activity.loadError': 'Impossible de charger le journal d’activité',
+  'activity.title': 'Journal d’activité',
+  'activity.subtitle':
+    'Toutes les actions effectuées sur les réservations : validations, paiements, annulations et créations.',
+  'activity.user': 'Utilisateur',
+  'activity.allUsers': 'Tous les utilisateurs',
+  'activity.empty': 'Aucune action pour ces filtres.',
+  'customers.loadError': 'Impossible de charger les clients',
+  'customers.subtitle':
+    'Clients regroupés par numéro de téléphone : matchs joués, montants encaissés, soldes impayés et absences. La colonne fidélité indique si la prochaine réservation bénéficie de la réduction.',
+  'customers.searchPlaceholder': 'Nom ou téléphone',
+  'customers.sortBy': 'Trier par',
+  'customers.sort.visits': 'Nombre de visites',
+  'customers.sort.spent': 'Montant dépensé',
+  'customers.sort.unpaid': 'Reste à payer',
+  'customers.sort.recent': 'Dernière réservation',
+  'customers.noMatch': 'Aucun client pour cette recherche.',
+  'customers.empty': 'Aucun client.',
+  'customers.visits': 'Visites',
+  'customers.hours': 'Heures',
+  'customers.spent': 'Dépensé',
+  'customers.unpaid': 'Impayé',
+  'customers.noShows': 'Absences',
+  'customers.loyalty': 'Fidélité',
+  'customers.nextDiscount': '−{percent} % à la prochaine',
+
+  'promo.codeRequired': 'Le code est requis.',
+  'promo.percentRange': 'Le pourcentage doit être compris entre 1 et 100.',
+  'promo.dateOrder': 'La date de fin doit être après la date de début.',
+  'promo.updateError': 'Erreur mise à jour du code',
+  'promo.createError': 'Erreur création du code',
+  'promo.deleteConfirm': 'Supprimer le code {code} ?',
+  'promo.deleteError': 'Erreur suppression du code',
+  'promo.subtitle':
+    'Codes promo saisis par les clients à la réservation (Ramadan, vacances scolaires, tournois…). Laissez un champ vide pour ne pas restreindre.',
+  'promo.code': 'Code',
+  'promo.campaign': 'Campagne',
+  'promo.discountType': 'Type de réduction',
+  'promo.percent': 'Pourcentage',
+  'promo.fixed': 'Montant fixe (FCFA)',
+  'promo.amountLabel': 'Montant (FCFA)',
+  'promo.percentLabel': 'Pourcentage (%)',
+  'promo.validFrom': 'Valable du',
+  'promo.startTime': 'Créneaux à partir de',
+  'promo.endTime': 'Jusqu’à',
+  'promo.maxUses': 'Utilisations max. (total)',
+  'promo.maxUsesPerPhone': 'Utilisations max. par téléphone',
+  'promo.unlimited': 'Illimité',
+  'promo.fieldTypes': 'Formats éligibles',
+  'promo.allFieldTypes': 'Aucun format coché : tous les terrains.',
+  'promo.save': 'Enregistrer le code',
+  'promo.create': 'Créer le code',
+  'promo.cancelEdit': 'Annuler la modification',
+  'promo.empty': 'Aucun code promo pour le moment.',
+  'promo.period': 'Du {from} au {to}',
+  'promo.noDates': 'Sans limite de dates',
+  'promo.typeShort': 'à {type}',
+  'promo.used': 'Utilisé {count} fois',
+  'promo.perPhone': 'max. {count} par téléphone',
+  'promo.disabled': 'Désactivé',
+  'promo.enable': 'Réactiver',
+  'promo.disable': 'Désactiver',
+
+  'notify.event.created': 'Réservation enregistrée',
+  'notify.event.confirmed': 'Réservation validée',
+  'notify.event.paid': 'Paiement enregistré',
+  'notify.event.cancelled': 'Réservation annulée',
+  'notify.event.reminder': 'Rappel 2h avant le match',
+  'notify.channel.sms': 'SMS',
+  'notify.channel.whatsapp': 'WhatsApp',
+  'notify.channel.email': 'Email',
+  'notify.status.sent': 'Envoyé',
+  'notify.status.failed': 'Échec',
+  'notify.status.pending': 'En attente',
+  'notify.saveError': 'Erreur lors de l’enregistrement du modèle',
+  'notify.testError': 'Erreur lors de l’envoi du test',
+  'notify.resendError': 'Erreur lors du renvoi',
+  'notify.title': 'Notifications clients',
+  'notify.provider': 'Fournisseur : {provider}',
+  'notify.subtitle':
+    'Messages envoyés automatiquement par SMS / WhatsApp au numéro +221 du client, et par email quand il l’a renseigné. Variables : {variables}.',
+  'notify.consoleMode':
+    'Mode développement : les messages ne sont pas envoyés, ils sont écrits dans la console / le fichier de log du serveur.',
+  'notify.event': 'Événement',
+  'notify.enabled': 'Envoi activé',
+  'notify.characters': '{count} caractères',
+  'notify.whatsappPlaceholder': 'Vide = même texte que le SMS',
+  'notify.emailSubject': 'Objet de l’email',
+  'notify.smsPreview': 'Aperçu SMS',
+  'notify.emailPreview': 'Aperçu email : {subject}',
+  'notify.save': 'Enregistrer le modèle',
+  'notify.saved': 'Modèle enregistré.',
+  'notify.testPhone': 'Téléphone de test',
+  'notify.testEmail': 'Email de test (optionnel)',
+  'notify.sending': 'Envoi...',
+  'notify.sendTest': 'Envoyer un test',
+  'notify.logTitle': 'Journal des envois',
+  'notify.channel': 'Canal',
+  'notify.all': 'Tous',
+  'notify.logEmpty': 'Aucun envoi pour ces filtres.',
+  'notify.resend': 'Renvoyer',
+
+  'planning.title': 'Planning des terrains',
+  'planning.day': 'Jour',
+  'planning.week': 'Semaine',
+  'planning.previous': '‹ Précédent',
+  'planning.next': 'Suivant ›',
+  'planning.today': 'Aujourd’hui',
+  'planning.subtitle':
+    'Cliquez sur une réservation pour l’ouvrir, ou sur une case libre pour réserver ce créneau pour un client.',
+  'planning.legend.confirmed': 'Validée, non payée',
+  'planning.legend.partial': 'Acompte',
+  'planning.legend.paid': 'Payée',
+  'planning.legend.closed': 'Fermé',
+  'planning.closed': '{name} fermé',
+  'planning.book': 'Réserver {name} à {time}',
+
+  'payment.checkoutError': 'Impossible d’initier le paiement.',
+
+  'catalogue.loadError': 'Impossible de charger les terrains.',
+
+  'recap.loyalty': 'Réduction fidélité (−{percent} %)',
+
+  'audit.recordedAt': 'saisi hors ligne le {date}',
+
+  'mockPay.title': 'Paiement simulé',
+  'mockPay.subtitle': 'Fournisseur de test ({provider}) : aucun débit réel n’est effectué.',
+  'mockPay.unknown': 'inconnu',
+  'mockPay.error': 'Erreur du fournisseur simulé.',
+  'mockPay.missingIntent': 'Intention de paiement manquante.',
+  'mockPay.paid': 'Simuler un paiement réussi',
+  'mockPay.partial': 'Simuler un acompte (50 %)',
+  'mockPay.failed': 'Simuler un échec',
+
+  'mockPay.amount': 'Montant :',
+};
+
+const wo = {
+  'shell.subtitle': 'Denc sa terrain synthétique',
+  'shell.myReservation': 'Sama réservation',
+  'shell.fields': 'Sunuy terrain',
+  'shell.logout': 'Génn',
+  'shell.viewSite': 'Seet site bi',
+  'shell.language': 'Làkk',
+  'shell.demo': 'Démo',
+  'shell.demoReset': 'Delloo données démo yi ni ñu tàmbalee ?',
+  'role.admin': 'Admin',
+  'role.gestionnaire': 'Gestionnaire',
+  'idle.title': 'Ngay fi ba tey ?',
+  'idle.body': 'Su dara jëfandikuwul, dinañu la génne ci {seconds} s ngir aar espace gestionnaire bi.',
+  'idle.logout': 'Génn',
+  'idle.stay': 'Des fi',
+
+  'type.choose': 'Tànnal ab xeet',
+  'type.label': 'Terrain bu {type}',
+
+  'booking.title': 'Denc ab waxtu',
+  'booking.subtitle': 'Tànnal bés bi ak xeetu terrain bi. Waxtu yépp yu des dinañu feeñ.',
+  'booking.fieldType': 'Xeetu terrain bi',
+  'booking.date': 'Bés',
+  'booking.duration': 'Diiru match bi',
+  'booking.loadingSlots': 'Nuy yeb waxtu yi des...',
+  'booking.noSlots': 'Amul waxtu bu des ci bés bii ak xeet bii fi mu nekk.',
+  'booking.slotsError': 'Mënuñu yeb waxtu yi des.',
+  'booking.held': 'Am na ku koy denc',
+  'booking.slotPrice': '{price} ({rate} ci waxtu)',
+  'booking.continue': 'Dem ci kanam ak waxtu bii',
+  'booking.holding': 'Nuy denc waxtu bi...',
+  'booking.holdError': 'Mënuñu denc waxtu bii',
+  'booking.holdTaken': 'Keneen jël na waxtu bii. Tànnal beneen.',
+  'booking.holdExpired': 'Jamono ji jeex na : waxtu bi bàyyi nañu ko. Mën nga ko tànnaat.',
+  'booking.slotGone': 'Waxtu bi nga tànnoon, keneen denc na ko. Tànnal beneen.',
+
+  'recap.title': 'Waxtu bi nga tànn',
+  'recap.date': 'Bés',
+  'recap.time': 'Waxtu',
+  'recap.field': 'Terrain',
+  'recap.fieldValue': '{name} (terrain bu {type})',
+  'recap.rate': 'Njëgu waxtu',
+  'recap.rateValue': '{rate} ci waxtu',
+  'recap.loyaltyAuto': 'Bindal sa nimeero: njëg gu mujj gi, ak wàññi ngir kiliyaan bu wóor, dina feeñ fii.',
+  'loyalty.hours': 'lu ëpp {count} waxtu yu nga fo',
+  'loyalty.nth': 'sa {count}eelu réservation',
+  'recap.promo': 'Kood {code}',
+  'recap.amount': 'Njëg',
+  'recap.holdCountdown': 'Waxtu bi yaa ko denc ba {time}',
+  'recap.change': 'Soppi waxtu bi',
+
+  'info.title': 'Say xibaar',
+  'info.subtitle':
+    'Bindal say xibaar, te tànn nan ngay feye (Wave walla Orange Money). Sa réservation dinañu ko bind.',
+  'info.name': 'Sa tur ak sa sant',
+  'info.namePlaceholder': 'Tur ak sant',
+  'info.phone': 'Nimeróo telefon',
+  'info.phoneInvalid': 'Nimeróo bi baaxul. 9 siffar lañuy laaj (ml. 77 123 45 67).',
+  'info.email': 'Email (su la neexee)',
+  'info.address': 'Adrees (su la neexee)',
+  'info.addressPlaceholder': 'Gox, dëkk',
+  'info.promo': 'Kood promo (su la neexee)',
+  'info.promoPlaceholder': 'Ml. RAMADAN',
+  'info.promoApply': 'Jëfandikoo',
+  'info.promoChecking': 'Nuy seet...',
+  'info.promoRemove': 'Dindi',
+  'info.promoInvalid': 'Kood promo bi baaxul',
+  'info.promoApplied': 'Kood {code} bi dugg na : −{value}.',
+  'info.required': 'Bindal sa tur ak sa nimeróo telefon.',
+  'info.choosePayment': 'Tànnal nan ngay feye',
+  'info.sending': 'Nuy yónni...',
+  'info.payWave': 'Fey ak Wave',
+  'info.payOrange': 'Fey ak Orange Money',
+  'info.paymentHint':
+    'Soo bësee Wave walla Orange Money, dinañu bind sa réservation te yóbbu la ci xëtu fey bu wóor bi.',
+  'info.fillToPay': 'Bindal sa tur ak sa nimeróo telefon ngir gis nan ngay feye.',
+  'info.bookingError': 'Njuumte ci réservation bi',
+
+  'hero.title': 'Denc sa terrain synthétique ci ay saa yu néew.',
+  'hero.subtitle':
+    'Tànnal sa waxtu, sa xeetu terrain (5 / 7 / 11) te jëfandikoo ñax mu baax ngir say match ak say xarit, tournoi walla entraînement.',
+  'hero.fields': 'Seet terrain yi',
+  'hero.services': 'Xam sunuy liggéey',
+  'hero.open': 'Ubbi na bés bu nekk',
+  'hero.hours': 'Waxtu yu ñu fo ci at mi',
+  'hero.loyalty': 'Wàññi ngir kiliyaan bu wóor',
+
+  'catalogue.title': 'Sunuy terrain',
+  'catalogue.subtitle': 'Gazon synthétique, leer ak vestiaires : tànnal terrain bi la neex.',
+  'catalogue.allTypes': 'Xeet yépp',
+  'catalogue.loading': 'Terrain yi ñungi yeb…',
+  'catalogue.empty': 'Amul terrain bu ubbeeku léegi.',
+  'catalogue.perHour': '{amount} ci waxtu',
+  'catalogue.details': 'Seet terrain bi',
+  'catalogue.book': 'Denc',
+  'catalogue.back': '← Terrain yépp',
+  'catalogue.notFound': 'Terrain bii gisuñu ko walla dootuñu ko jox.',
+  'catalogue.noPhoto': 'Nataal dina ñëw',
+  'catalogue.hours': 'Ubbi na ci {open} ba {close}',
+  'catalogue.amenities': 'Jumtukaay yi',
+  'catalogue.availability': 'Waxtu yu ñu mën a denc',
+  'catalogue.availabilityHint': 'Waxtu yu {duration} — bësal ab waxtu ngir denc.',
+  'catalogue.noSlots': 'Amul waxtu bu des bés boobu.',
+  'catalogue.retry': 'Jéemaat',
+
+  'amenity.lighting': 'Leer',
+  'amenity.changing_rooms': 'Vestiaires',
+  'amenity.showers': 'Sangukaay',
+  'amenity.parking': 'Parking',
+  'amenity.covered': 'Am na kaw',
+  'amenity.refreshments': 'Buvette',
+  'amenity.editLabel': 'Jumtukaay yi (ñu koy wone ci xëtu terrain bi)',
+
+  'created.title': 'Sa réservation dugg na',
+  'created.body':
+    'Bind nañu sa réservation. Dinañu la yónnee SMS walla WhatsApp ngir wóoral ko, ak fàttali 2i waxtu balaa match bi.',
+  'created.bodyEmail':
+    'Bind nañu sa réservation. Dinañu la yónnee SMS walla WhatsApp ak email ngir wóoral ko, ak fàttali 2i waxtu balaa match bi.',
+  'created.reference': 'Référence :',
+  'created.loyalty': 'Wàññi ngir kiliyaan bu wóor: −{percent} %, nga fey {amount}.',
+  'created.keep':
+    'Denc référence bii : ak sa nimeróo telefon, mën ngaa topp sa réservation ci xët « Sama réservation ».',
+  'created.track': 'Topp sama réservation',
+  'common.ok': 'Waaw',
+
+  'auth.title': 'Espace gestionnaire',
+  'auth.subtitle': 'Duggal ak sa compte administrateur ngir saytu terrain yi ak réservation yi.',
+  'auth.email': 'Email',
+  'auth.password': 'Baatu jàll',
+  'auth.submit': 'Dugg',
+  'auth.submitting': 'Nuy dugg...',
+  'auth.error': 'Njuumte ci dugg bi',
+  'auth.unreachable': 'Mënuñu jot serveur bi. Seetal URL API bi.',
+  'auth.expired': 'Sa session jeex na. Duggaatal.',
+  'auth.idle': 'Génne nañu la ndax yàgg nga te jëfandikoowoo dara.',
+  'auth.seedHint':
+    'Jëfandikoo compte admin bi ñu la jox (ginnaaw npm run seed ci backend bi : admin@samaterrain.sn / admin123).',
+  'auth.demoHint':
+    'Démo : duggal ak admin@samaterrain.sn / admin123 (admin) walla gestionnaire@samaterrain.sn / gestion123 (gestionnaire). Données yi ci navigateur bii lañuy des.',
+
+  'admin.tab.all': 'Lépp',
+  'admin.tab.terrain': 'Saytu terrain yi',
+  'admin.tab.users': 'Saytu jëfandikukat yi',
+  'admin.tab.activity': 'Téereb jëf yi',
+  'admin.tab.promos': 'Promo yi',
+  'admin.tab.notifications': 'Xibaar yi',
+  'admin.tab.clients': 'Kiliyaan yi',
+  'admin.tab.creneaux': 'Saytu waxtu yi',
+  'admin.tab.reservations': 'Réservation yi',
+
+  'status.pending': 'Mu ngi xaar',
+  'status.confirmed': 'Dëggal nañu ko',
+  'status.cancelled': 'Dindi nañu ko',
+  'paymentStatus.pending': 'Fey bi mu ngi xaar',
+  'paymentStatus.partial': 'Fey nañu ab xaaj',
+  'paymentStatus.paid': 'Fey nañu ko',
+  'paymentStatus.cancelled': 'Dindi nañu ko',
+  'paymentStatus.failed': 'Fey bi antuwul',
+  'paymentMethod.wave': 'Wave',
+  'paymentMethod.orange_money': 'Orange Money',
+  'paymentMethod.cash': 'Xaalis loxo / Leneen',
+  'paymentMethod.admin': 'Admin (ci loxo)',
+
+  'audit.action.public-create': 'Denc ci internet',
+  'audit.action.admin-create': 'Denc bu ab gestionnaire def',
+  'audit.action.series-create': 'Seri bi sos nañu ko',
+  'audit.action.update': 'Soppi',
+  'audit.action.confirm': 'Dëggal',
+  'audit.action.payment': 'Fey bi bind nañu ko',
+  'audit.action.payment-method': 'Anam fey bi soppi nañu ko',
+  'audit.action.cancel': 'Dindi',
+  'audit.action.move': 'Toxal',
+  'audit.field.status': 'Statut',
+  'audit.field.paymentStatus': 'Fey',
+  'audit.field.paymentMethod': 'Anam fey',
+  'audit.field.paidAmount': 'Xaalis bi ñu fey',
+  'audit.field.totalPrice': 'Xaalis bi yépp',
+  'audit.field.date': 'Bés',
+  'audit.field.startTime': 'Tàmbali',
+  'audit.field.endTime': 'Jeex',
+  'audit.field.field': 'Terrain',
+
+  'my.subtitle': 'Bindal nimero bi nga jëfandikoo ci réservation bi ak référence bi nga jot ngir xool fi mu tollu.',
+  'my.required': 'Bindal sa nimero (9 siifar) ak référence réservation bi.',
+  'my.notFound': 'Gisuñu réservation bi.',
+  'my.lookupError': 'Mënuñu gis réservation bi.',
+  'my.reference': 'Référence réservation',
+  'my.referencePlaceholder': 'Misaal: A1B2C3',
+  'my.searching': 'Mu ngi seet...',
+  'my.lookup': 'Seet sama réservation',
+  'my.title': 'Réservation {reference}',
+  'my.status': 'Statut',
+  'my.payment': 'Fey',
+  'my.paid': '(fey nañu: {amount})',
+  'my.reschedule': 'Laaj ñu toxal ko',
+  'my.cancel': 'Dindi réservation bi',
+  'my.cancelConfirm': 'Dindi réservation bii? Waxtu bi dina ubbeeku ngir yeneen futbalkat yi.',
+  'my.cancelError': 'Mënuñu dindi réservation bi.',
+  'my.cancelled': 'Sa réservation dindi nañu ko.',
+  'my.changeWindow': 'Mën nga soppi ci internet ba {hours}h laata match bi. Woo nu ci telefon ngir leneen soppi.',
+  'my.paidNoCancel': 'Fey nañu ba noppi: ab gestionnaire rekk mën a dindi réservation bi.',
+  'my.rescheduleWish': 'Waxtu bu bees bi nga bëgg',
+  'my.rescheduleWishPlaceholder': 'Misaal: gaawu bii di ñëw diggante 18h ak 20h',
+  'my.rescheduleSend': 'Yónne laaj bi',
+  'my.rescheduleError': 'Mënuñu yónne laaj bi.',
+  'my.rescheduleSent': 'Laaj bi yónne nañu ko. Ab gestionnaire dina la woo ngir tëral waxtu bu bees bi.',
+
+  'payment.title': 'Fey réservation bi',
+  'payment.unknown': 'Gisuñu benn fey buy dox. Seetal sa réservation ci xët « Sama réservation ».',
+  'payment.checking': 'Nu ngi seet fey bi… Bul tëj xët wii.',
+  'payment.checkingProvider': 'Nu ngi seet fey {provider} bi… Bul tëj xët wii.',
+  'payment.checkError': 'Mënuñu seet fey bi.',
+  'payment.noLink': 'Ki nuy fey jox-ul lien.',
+  'payment.depositReceived': 'Xaaj bi jot nañu ko.',
+  'payment.confirmed': 'Fey bi dëggal nañu ko.',
+  'payment.booked': 'Sa waxtu denc nañu ko.',
+  'payment.bookedOn': 'Sa waxtu denc nañu ko {date} ci {start} ba {end}.',
+  'payment.failed': 'Fey bi antuwul.',
+  'payment.failedHint': 'Sa réservation des na, mën nga jéemaat.',
+  'payment.redirecting': 'Nu ngi la yóbbu...',
+  'payment.retryWith': 'Jéemaat ak {provider}',
+  'payment.timeout': 'Ki nuy fey dëggalagul fey bi. Mën nga seet ko ci kanam walla xool sa réservation ci kanam.',
+  'payment.checkAgain': 'Seetaat',
+  'payment.home': 'Dellu ci xët bu njëkk bi',
+
+  'admin.export.error': 'Mënuñu génne réservation yi',
+  'admin.export.date': 'Bés',
+  'admin.export.time': 'Waxtu',
+  'admin.export.field': 'Terrain',
+  'admin.export.type': 'Xeet',
+  'admin.export.customer': 'Kiliyaan',
+  'admin.export.phone': 'Telefon',
+  'admin.export.status': 'Statut',
+  'admin.export.paymentStatus': 'Statut fey',
+  'admin.export.paymentMethod': 'Anam fey',
+  'admin.export.total': 'Xaalis bi yépp (FCFA)',
+  'admin.export.paid': 'Xaalis bi ñu fey (FCFA)',
+
+  'admin.res.notFound': 'Gisuñu réservation bi',
+  'admin.res.updateError': 'Njuumte ci soppi réservation bi',
+  'admin.fields.createError': 'Njuumte ci sos terrain bi',
+  'admin.fields.updateError': 'Njuumte ci soppi terrain bi',
+  'admin.fields.checkError': 'Mënuñu seet réservation yu terrain bi',
+  'admin.fields.deleteConfirm': 'Far terrain bii? Réservation yi ko aju dinañu des ci base bi.',
+  'admin.fields.deleteError': 'Mënuñu ko far',
+  'admin.users.required': 'Tur, email ak baatu jàll laa soxla.',
+  'admin.users.createError': 'Njuumte ci sos gestionnaire bi.',
+  'admin.users.created': 'Gestionnaire bi sos nañu ko.',
+  'admin.users.updateError': 'Njuumte ci soppi jëfandikukat bi',
+  'admin.users.resetConfirm': 'Yeesal baatu jàll bu {name}?',
+  'admin.users.resetError': 'Njuumte ci yeesal bi',
+  'admin.users.temporaryPassword': 'Baatu jàll bu diir bu {name}: {password} (war na ko soppi bu duggaatee).',
+  'admin.users.resetLinkSent': 'Lien bu yeesal yónne nañu ko {email}.',
+  'admin.users.deleteConfirm': 'Far ba fàww compte bu {name} ({email})? Dootuñu ko mën a delloo.',
+  'admin.users.deleteError': 'Njuumte ci far bi',
+  'admin.users.deleted': 'Compte bu {name} far nañu ko.',
+
+  'admin.payment.error': 'Njuumte ci bind fey bi',
+  'admin.payment.offline': 'Amul réseau: fey bi bind nañu ko ci ordinateur bii, dinañu ko yónne bu réseau bi délloo.',
+  'admin.slots.loadError': 'Njuumte ci yeb waxtu yi',
+  'admin.slots.thisField': 'terrain bii',
+  'admin.slots.notBookable': 'Waxtu {time} ci {field} mënuñu ko denc. Tànnal beneen waxtu ci suuf.',
+  'admin.series.untilRequired': 'Tànnal bésu jeexitalu seri bi.',
+  'admin.series.previewError': 'Njuumte ci wone seri bi',
+  'admin.series.previewRequired': 'Seetal balaa dara bés yu seri bi.',
+  'admin.series.createError': 'Njuumte ci sos seri bi',
+  'admin.series.created': 'Seri bi sos nañu ko: {count} réservation.',
+  'admin.create.slotRequired': 'Tànnal ab waxtu.',
+  'admin.create.customerRequired': 'Bindal lu mu néew néew tur ak telefonu kiliyaan bi.',
+  'admin.create.error': 'Njuumte ci sos réservation bi',
+  'admin.create.offline': 'Amul réseau: réservation bi des na ci ordinateur bii, dinañu ko yónne bu réseau bi délloo.',
+  'admin.create.done': 'Réservation bi sos nañu ko ngir kiliyaan bi.',
+
+  'admin.close': 'Tëj',
+  'admin.cancel': 'Neenal',
+  'admin.loading': 'Mu ngi yeb...',
+  'admin.offline.title': 'Amul réseau',
+  'admin.offline.pending': 'Yónnent yi mu ngi xaar',
+  'admin.offline.syncing': 'Mu ngi yónne...',
+  'admin.offline.sync': 'Yónne léegi',
+  'admin.offline.pendingHint': 'Liggéey yii def nañu leen te amul réseau.',
+  'admin.offline.hint':
+    'Lim yi dañuy wone li ñu mujje xam. Réservation ak fey yi ñu bind dinañu des ci ordinateur bii te ñu yónne leen bu réseau bi délloo.',
+  'admin.offline.booking': 'Réservation',
+  'admin.offline.recordedAt': 'Bind nañu ko {date}',
+  'admin.offline.refused': 'Nanguwuñu ko: {message}',
+  'admin.offline.otherSlot': 'Tànn beneen waxtu',
+  'admin.offline.drop': 'Bàyyi',
+  'admin.planning.loadError': 'Mënuñu yeb planning bi: {message}',
+  'admin.res.paidOf': '{paid} / {total}',
+  'admin.res.move': 'Toxal',
+  'admin.res.confirm': 'Dëggal',
+
+  'admin.refresh': 'Yeesal',
+  'admin.res.title': 'Réservation yépp',
+  'admin.res.subtitle':
+    'Limu réservation yépp (kiliyaan ak waxtu). Jëfandikool filtre yi ngir wàññi: mën nga yónne adressu xët wi sa moroom ngir mu gis li nga gis.',
+  'admin.res.exportCsv': 'Génne CSV',
+  'admin.res.exportXlsx': 'Génne Excel',
+  'admin.res.dailySheet': 'Kayitu bés bi',
+  'admin.res.search': 'Seet',
+  'admin.res.searchPlaceholder': 'Tur walla telefonu kiliyaan bi',
+  'admin.res.from': 'Li dale',
+  'admin.res.to': 'Ba',
+  'admin.res.allFields': 'Terrain yépp',
+  'admin.res.allStatuses': 'Statut yépp',
+  'admin.res.all': 'Yépp',
+  'admin.res.resetFilters': 'Far filtre yi',
+  'admin.res.loadError': 'Mënuñu yeb réservation yi: {message}',
+  'admin.res.countOne': '{shown} ci {total} réservation',
+  'admin.res.countMany': '{shown} ci {total} réservation',
+  'admin.res.noShow': 'Ñëwul',
+  'admin.res.present': 'Ñëw na',
+  'admin.res.noShowTitle': 'Kiliyaan bi ñëwul (dinañu ko bind ci xëtu kiliyaan bi)',
+  'admin.res.series': 'Seri',
+  'admin.res.seriesTitle': 'Toppatoo seri bi yépp',
+  'admin.res.history': 'Jaar-jaar',
+  'admin.res.cancelPaid': 'Mënuñu ko dindi: fey bind nañu ko ba noppi.',
+  'admin.res.moveTitle': 'Toxal ko ci beneen waxtu walla beneen terrain',
+  'admin.res.markPaid': 'Bind ne fey na',
+  'admin.res.balanceLabel': 'Li des · {name}',
+  'admin.res.complete': 'Mottali fey bi',
+  'admin.res.completeTitle': 'Bind ne li des fey nañu ko (yépp)',
+  'admin.res.empty': 'Amul réservation.',
+  'admin.res.emptyFiltered': 'Amul réservation ci filtre yii.',
+  'admin.res.loadMore': 'Yeb yeneen',
+
+  'admin.save': 'Denc',
+  'admin.users.editTitle': 'Soppi compte bi',
+  'admin.users.name': 'Tur',
+  'admin.users.role': 'Wàll',
+  'admin.users.lastAdminRole': 'Mooy administrateur bu mujj bi: mënuñu soppi wàllam.',
+  'admin.fields.gone': 'Terrain bii amatul walla far nañu ko.',
+  'admin.fields.cannotDelete': 'Mënuñu far « {name} »',
+  'admin.fields.cannotDeleteHint':
+    'Terrain bii am na {count} réservation yu ñëwagul. Dinañu ko tëj ci barab far: dootul feeñ ci waxtu yi, waaye réservation yi ci suuf war nañu leen def walla toxal leen.',
+  'admin.fields.deactivate': 'Tëj terrain bi',
+  'admin.payment.title': 'Bind ne réservation bi fey nañu ko',
+  'admin.payment.full': 'Fey bu mat',
+  'admin.payment.half': 'Fey genn-wàll',
+  'admin.payment.amount': 'Xaalis bi ñu jot:',
+  'admin.payment.alreadyPaid': '(fey nañu ba noppi: {amount})',
+  'admin.payment.offlineLabel': 'Fey {amount} · {label}',
+  'admin.payment.submit': 'Dëggal fey bi',
+  'admin.create.title': 'Denc ab waxtu ngir kiliyaan (telefon)',
+  'admin.create.subtitle':
+    'Tànnal terrain, bés ak waxtu bu ubbeeku, te bind xibaaru kiliyaan bi ngir denc réservation bi.',
+
+  'admin.saving': 'Mu ngi denc...',
+  'admin.slots.load': 'Yeb waxtu yu ubbeeku yi',
+  'admin.slots.heldTitle': 'Am kiliyaan buy denc waxtu bii',
+  'admin.create.chosen': 'Waxtu bi ñu tànn: {time} · {field} · Xaalis:',
+  'admin.create.loyalty': '(wàññi ngir kiliyaan bu wóor −{percent} %: {rule})',
+  'admin.create.name': 'Turu kiliyaan bi bu mat',
+  'admin.create.phone': 'Telefonu kiliyaan bi',
+  'admin.create.email': 'Emailu kiliyaan bi (du war)',
+  'admin.create.address': 'Adressu kiliyaan bi (du war)',
+  'admin.create.submit': 'Sos réservation bi ngir kiliyaan bi',
+  'admin.series.recurrence': 'Delloo',
+  'admin.series.none': 'Déet (benn réservation rekk)',
+  'admin.series.weekly': 'Ayubés bu nekk',
+  'admin.series.biweekly': 'Ñaari ayubés yu nekk',
+  'admin.series.end': 'Jeexitalu seri bi',
+  'admin.series.endCount': 'Ginnaaw N yoon',
+  'admin.series.endUntil': 'Ba ab bés',
+  'admin.series.count': 'Yoon yi',
+  'admin.series.lastDate': 'Bés bu mujj',
+  'admin.series.check': 'Seet bés yi',
+  'admin.series.conflictTitle': 'Waxtu bi denc nañu ko ba noppi: bés bii dinañu ko bàyyi',
+  'admin.series.previewCount': '{count} réservation dinañu leen sos.',
+  'admin.series.previewConflicts':
+    '{count} réservation dinañu leen sos, {conflicts} yu ñu denc ba noppi dinañu leen bàyyi.',
+  'admin.series.submit': 'Sos seri bi ngir kiliyaan bi',
+  'admin.fields.title': 'Toppatoo terrain yi (waxtu yi)',
+  'admin.fields.subtitle': 'Yokk, soppi walla far terrain yi. Ñoo tëral waxtu yi ubbeeku ci xët bi ñépp di gis.',
+  'admin.fields.name': 'Turu terrain bi',
+  'admin.fields.description': 'Melo',
+  'admin.fields.price': 'Njëg / waxtu (FCFA)',
+  'admin.fields.add': 'Yokk terrain bi',
+  'admin.fields.loadError': 'Mënuñu yeb terrain yi: {message}',
+  'admin.fields.inactive': 'Tëj nañu ko',
+  'admin.fields.rulesCount': '{count} sàrtu njëg',
+  'admin.fields.photosCount': '{count} nataal',
+
+  'admin.edit': 'Soppi',
+  'admin.delete': 'Far',
+  'admin.fields.deleteTitle': 'Far terrain bi',
+  'admin.fields.empty': 'Amul terrain. Tàmbalil seed bi walla yokk benn ci kaw.',
+  'admin.users.title': 'Toppatoo jëfandikukat yi',
+  'admin.users.subtitle':
+    'Sos compte yu gestionnaire. Gestionnaire yi mën nañu toppatoo waxtu yi te dëggal réservation yi (waaye mënuñu dindi walla toppatoo terrain yi).',
+  'admin.users.new': 'Gestionnaire bu bees',
+  'admin.users.namePlaceholder': 'Turu gestionnaire bi',
+  'admin.users.phone': 'Telefon (du war)',
+  'admin.users.passwordPlaceholder': 'Baatu jàll bu dugg',
+  'admin.users.creating': 'Mu ngi sos…',
+  'admin.users.create': 'Sos gestionnaire bi',
+  'admin.users.listTitle': 'Administrateur ak gestionnaire yi',
+  'admin.users.loadError': 'Mënuñu yeb jëfandikukat yi: {message}',
+  'admin.users.lastLogin': 'Dugg bu mujj: {date}',
+  'admin.users.never': 'mukk',
+  'admin.users.disabled': 'Tëj nañu ko',
+  'admin.users.enable': 'Ubbiwaat',
+  'admin.users.disable': 'Tëj',
+  'admin.users.lastAdminDisable': 'Mënuñu tëj administrateur bu mujj bi.',
+  'admin.users.resetPassword': 'Yeesal baatu jàll bi',
+  'admin.users.lastAdminDelete': 'Mënuñu far administrateur bu mujj bi.',
+  'admin.users.selfDelete': 'Mënoo far sa compte bopp.',
+  'admin.users.empty': 'Amul administrateur walla gestionnaire.',
+
+  'series.title': 'Seriu réservation',
+  'series.loadError': 'Mënuñu yeb seri bi',
+  'series.updateError': 'Njuumte ci soppi seri bi',
+  'series.summary':
+    '{count} réservation yu ñëwagul. Jëf yi ci suuf ñoo jëm ci réservation yu ñëwagul yi; jëfandikool lim bi ngir soppi benn rekk.',
+  'series.field': 'Terrain (seri bi yépp)',
+  'series.applySlot': 'Def ko ci réservation yu ñëwagul yi',
+  'series.paymentMethod': 'Anam fey (seri bi yépp)',
+  'series.choose': 'Tànn…',
+  'series.changeSlot': 'Soppi waxtu bi walla terrain bi',
+  'series.confirm': 'Dëggal seri bi',
+  'series.cancel': 'Dindi seri bi',
+  'series.cancelConfirm': 'Dindi {count} réservation yu ñëwagul yu seri bii?',
+
+  'move.title': 'Toxal réservation bi',
+  'move.error': 'Mënuñu toxal réservation bi',
+  'move.current': 'Léegi: {slot}',
+  'move.date': 'Bés bu bees',
+  'move.oldAmount': 'Xaalis bu njëkk',
+  'move.newAmount': 'Xaalis bu bees',
+  'move.paid': 'Fey nañu ba noppi',
+  'move.extra': 'Yokk',
+  'move.less': 'Wàññi',
+  'move.difference': 'Wuute',
+  'move.refund': 'Li ñu fey ba noppi ëpp na xaalis bu bees bi: {amount} ngir delloo walla denc ko.',
+  'move.moving': 'Mu ngi toxal...',
+
+  'day.1': 'Alt',
+  'day.2': 'Tal',
+  'day.3': 'Àll',
+  'day.4': 'Alx',
+  'day.5': 'Ajm',
+  'day.6': 'Gaa',
+  'day.0': 'Dib',
+  'fieldEdit.title': 'Soppi « {name} »',
+  'fieldEdit.uploadError': 'Njuumte ci yónnee nataal yi',
+  'fieldEdit.inactive': 'Dafa taxaw (feeñul ci créneaux yi)',
+  'fieldEdit.opening': 'Ubbi',
+  'fieldEdit.closing': 'Tëj',
+  'fieldEdit.applyToType': 'Def prix yii ci terrain yépp yu {type}',
+  'fieldEdit.photos': 'Nataal yi',
+  'fieldEdit.removePhoto': 'Dindi nataal bi',
+  'fieldEdit.uploading': 'Mu ngi yónnee...',
+  'fieldEdit.addPhoto': '+ Yokk',
+  'pricing.title': 'Prix ci bés ak waxtu',
+  'pricing.hint':
+    'Bu règle amul, prix bu njëkk bi ({amount} / waxtu) lañuy jël. Règles yi ñu ngi leen di xool ci toftal gi: bu njëkk bi dëppoo mooy jox prix bi.',
+  'pricing.holidays': 'Bési màggal',
+  'pricing.holiday': 'Màggal',
+  'pricing.start': 'Tàmbali',
+  'pricing.end': 'Jeexital',
+  'pricing.pricePlaceholder': 'FCFA / waxtu',
+  'pricing.raise': 'Jiital ko',
+  'pricing.remove': 'Dindi',
+  'pricing.add': '+ Yokk benn règle',
+  'holidays.saveError': 'Njuumte ci denc bési màggal yi',
+  'holidays.hint': 'Règles « Bési màggal » yu terrain yi ñu ngi dox ci bés yii (Tabaski, Korité, añs.).',
+  'holidays.add': 'Yokk',
+  'holidays.empty': 'Amul bésu màggal bu ñu denc.',
+
+  'stats.loadError': 'Mënuñu yeb statistiques yi',
+  'stats.title': 'Statistiques',
+  'stats.subtitle': 'Jëfandikoo terrain yi ak xaalis bi dugg ci diir bi (réservations yu ñu neenal ñoo ci bokkul).',
+  'stats.reservations': 'Réservations',
+  'stats.collectedOf': 'Li dugg ci {amount} yi ñu séentu',
+  'stats.outstanding': 'Li des ci fey yi (avances)',
+  'stats.byField': 'Jëfandikoo ci terrain',
+  'stats.noField': 'Amul terrain ci xeet bii.',
+  'stats.byBand': 'Jëfandikoo ci waxtu',
+  'stats.byMethod': 'Li dugg / li ñu séentu ci anam fey',
+  'stats.noMethod': 'Bindu ñu ko',
+  'stats.methodCount': '{count} résa.',
+  'stats.methodCollected': '{collected} dugg na ci {expected}',
+  'stats.empty': 'Amul réservation ci diir bi.',
+  'stats.partials': 'Avances yu ñu wara mottali',
+  'stats.remaining': 'Des na {amount}',
+  'stats.noPartials': 'Amul avance buy xaar ci diir bi.',
+  'sheet.loadError': 'Mënuñu yeb réservations yu tey',
+  'sheet.print': 'Imprimer',
+  'sheet.title': 'Kayitu bés bi · {date}',
+  'sheet.count': '{count} réservation',
+  'sheet.printedAt': 'Imprimer nañu ko {date}',
+  'sheet.caption': '{name} (terrain bu {type})',
+  'sheet.time': 'Waxtu',
+  'sheet.customer': 'Kiliyaan',
+  'sheet.balance': 'Li des ngir fey',
+  'sheet.check': 'Teew na / fey na',
+  'sheet.empty': 'Amul réservation bés boobu.',
+  'audit.online': 'Kiliyaan (ci internet)',
+  'history.loadError': 'Mënuñu yeb historique bi',
+  'history.title': 'Historique bu réservation bi',
+  'history.empty': 'Amul jëf bu ñu bind.',
+
+  'activity.loadError': 'Mënuñu yeb journal bi',
+  'activity.title': 'Journal bu jëf yi',
+  'activity.subtitle': 'Jëf yépp yu ñu def ci réservations yi: dëggal, fey, neenal ak sos.',
+  'activity.user': 'Jëfandikukat',
+  'activity.allUsers': 'Jëfandikukat yépp',
+  'activity.empty': 'Amul jëf ci filtres yii.',
+  'customers.loadError': 'Mënuñu yeb kiliyaan yi',
+  'customers.subtitle':
+    'Kiliyaan yi ñu boole ci seen nimeero telefon: match yi ñu fo, xaalis bi dugg, li ñu feyagul ak bés yi ñu ñëwul. Colonne fidélité bi day wone ndax réservation bi ci topp dina am wàññi.',
+  'customers.searchPlaceholder': 'Tur walla telefon',
+  'customers.sortBy': 'Toftale ci',
+  'customers.sort.visits': 'Limu ñëw yi',
+  'customers.sort.spent': 'Xaalis bi ñu fey',
+  'customers.sort.unpaid': 'Li des ngir fey',
+  'customers.sort.recent': 'Réservation bu mujj',
+  'customers.noMatch': 'Amul kiliyaan ci seet bii.',
+  'customers.empty': 'Amul kiliyaan.',
+  'customers.visits': 'Ñëw yi',
+  'customers.hours': 'Waxtu yi',
+  'customers.spent': 'Fey na',
+  'customers.unpaid': 'Feyagul',
+  'customers.noShows': 'Bés yi ñu ñëwul',
+  'customers.loyalty': 'Fidélité',
+  'customers.nextDiscount': '−{percent} % ci bi ci topp',
+
+  'promo.codeRequired': 'Code bi war na.',
+  'promo.percentRange': 'Pourcentage bi war na nekk diggante 1 ak 100.',
+  'promo.dateOrder': 'Bésu jeex bi war na gën a mujj bésu tàmbali bi.',
+  'promo.updateError': 'Njuumte ci soppi code bi',
+  'promo.createError': 'Njuumte ci sos code bi',
+  'promo.deleteConfirm': 'Far code {code}?',
+  'promo.deleteError': 'Njuumte ci far code bi',
+  'promo.subtitle':
+    'Codes promo yi kiliyaan yi di bind bu ñuy réserver (Koor, vacances, tournois…). Bàyyil benn champ mu neen ngir bañ a ko digal.',
+  'promo.code': 'Code',
+  'promo.campaign': 'Campagne',
+  'promo.discountType': 'Xeetu wàññi',
+  'promo.percent': 'Pourcentage',
+  'promo.fixed': 'Xaalis bu dëgër (FCFA)',
+  'promo.amountLabel': 'Xaalis (FCFA)',
+  'promo.percentLabel': 'Pourcentage (%)',
+  'promo.validFrom': 'Baax na li dale',
+  'promo.startTime': 'Créneaux yi dale ci',
+  'promo.endTime': 'Ba',
+  'promo.maxUses': 'Limu jëfandikoo bu ëpp (yépp)',
+  'promo.maxUsesPerPhone': 'Limu jëfandikoo bu ëpp ci benn telefon',
+  'promo.unlimited': 'Amul dig',
+  'promo.fieldTypes': 'Xeet yi ci bokk',
+  'promo.allFieldTypes': 'Tànnuloo benn xeet: terrain yépp.',
+  'promo.save': 'Denc code bi',
+  'promo.create': 'Sos code bi',
+  'promo.cancelEdit': 'Neenal coppite bi',
+  'promo.empty': 'Amul code promo léegi.',
+  'promo.period': 'Dale {from} ba {to}',
+  'promo.noDates': 'Amul digu bés',
+  'promo.typeShort': 'bu {type}',
+  'promo.used': 'Jëfandikoo nañu ko {count} yoon',
+  'promo.perPhone': '{count} ci benn telefon lu ëpp',
+  'promo.disabled': 'Dañu ko taxawal',
+  'promo.enable': 'Dooraat',
+  'promo.disable': 'Taxawal',
+
+  'notify.event.created': 'Réservation bi denc nañu ko',
+  'notify.event.confirmed': 'Réservation bi dëggal nañu ko',
+  'notify.event.paid': 'Fey bi denc nañu ko',
+  'notify.event.cancelled': 'Réservation bi neenal nañu ko',
+  'notify.event.reminder': 'Fàttali 2i waxtu laata match bi',
+  'notify.channel.sms': 'SMS',
+  'notify.channel.whatsapp': 'WhatsApp',
+  'notify.channel.email': 'Email',
+  'notify.status.sent': 'Yónne nañu ko',
+  'notify.status.failed': 'Antuwul',
+  'notify.status.pending': 'Mu ngi xaar',
+  'notify.saveError': 'Njuumte ci denc modèle bi',
+  'notify.testError': 'Njuumte ci yónnee test bi',
+  'notify.resendError': 'Njuumte ci yónneewaat bi',
+  'notify.title': 'Xibaari kiliyaan yi',
+  'notify.provider': 'Kiy yónnee: {provider}',
+  'notify.subtitle':
+    'Bataaxal yi ñuy yónnee ci SMS / WhatsApp ci nimeero +221 bu kiliyaan bi, ak ci email bu ko joxee. Variables: {variables}.',
+  'notify.consoleMode':
+    'Mode développement: bataaxal yi yónneeñu leen, ñu ngi leen bind ci console / fichier log bu serveur bi.',
+  'notify.event': 'Xew-xew',
+  'notify.enabled': 'Yónnee bi dox na',
+  'notify.characters': '{count} araf',
+  'notify.whatsappPlaceholder': 'Neen = mbind mi ci SMS bi',
+  'notify.emailSubject': 'Jëmuwaayu email bi',
+  'notify.smsPreview': 'Xool SMS bi',
+  'notify.emailPreview': 'Xool email bi: {subject}',
+  'notify.save': 'Denc modèle bi',
+  'notify.saved': 'Modèle bi denc nañu ko.',
+  'notify.testPhone': 'Telefonu test',
+  'notify.testEmail': 'Emailu test (bu la neexee)',
+  'notify.sending': 'Mu ngi yónnee...',
+  'notify.sendTest': 'Yónnee benn test',
+  'notify.logTitle': 'Journal bu yónnee yi',
+  'notify.channel': 'Yoon',
+  'notify.all': 'Yépp',
+  'notify.logEmpty': 'Amul yónnee ci filtres yii.',
+  'notify.resend': 'Yónneewaat',
+
+  'planning.title': 'Planning bu terrain yi',
+  'planning.day': 'Bés',
+  'planning.week': 'Ayubés',
+  'planning.previous': '‹ Bi weesu',
+  'planning.next': 'Bi ci topp ›',
+  'planning.today': 'Tey',
+  'planning.subtitle':
+    'Bësal ci benn réservation ngir ubbi ko, walla ci benn kàddu bu wéy ngir réserver créneau boobu ngir benn kiliyaan.',
+  'planning.legend.confirmed': 'Dëggal nañu ko, feyagul',
+  'planning.legend.partial': 'Avance',
+  'planning.legend.paid': 'Fey nañu ko',
+  'planning.legend.closed': 'Tëj na',
+  'planning.closed': '{name} tëj na',
+  'planning.book': 'Réserver {name} ci {time}',
+
+  'payment.checkoutError': 'Mënuñu tàmbali fey bi.',
+
+  'catalogue.loadError': 'Mënuñu yeb terrain yi.',
+
+  'recap.loyalty': 'Wàññi ngir kiliyaan bu wóor (−{percent} %)',
+
+  'audit.recordedAt': 'bind nañu ko te amul réseau {date}',
+
+  'mockPay.title': 'Fey bu ñu roy',
+  'mockPay.subtitle': 'Fournisseur bu test ({provider}): duñu jël benn xaalis dëgg.',
+  'mockPay.unknown': 'xamuñu ko',
+  'mockPay.error': 'Njuumte ci fournisseur bu ñu roy bi.',
+  'mockPay.missingIntent': 'Intention de paiement amul.',
+  'mockPay.paid': 'Roy fey bu antu',
+  'mockPay.partial': 'Roy avance (50 %)',
+  'mockPay.failed': 'Roy fey bu antuwul',
+
+  'mockPay.amount': 'Njëg:',
+};
+
+const en = {
+  'shell.subtitle': 'Book your artificial turf pitch',
+  'shell.myReservation': 'My booking',
+  'shell.fields': 'Our pitches',
+  'shell.logout': 'Log out',
+  'shell.viewSite': 'View site',
+  'shell.language': 'Language',
+  'shell.demo': 'Demo mode',
+  'shell.demoReset': 'Reset the demo data?',
+  'role.admin': 'Admin',
+  'role.gestionnaire': 'Manager',
+  'idle.title': 'Are you still there?',
+  'idle.body': 'Without activity you will be logged out in {seconds} s to protect access to the staff area.',
+  'idle.logout': 'Log out',
+  'idle.stay': 'Stay logged in',
+
+  'type.choose': 'Choose a format',
+  'type.label': '{type}-a-side pitch',
+
+  'booking.title': 'Book a slot',
+  'booking.subtitle': 'Pick a date and a pitch format. All available slots will show up automatically.',
+  'booking.fieldType': 'Pitch format',
+  'booking.date': 'Date',
+  'booking.duration': 'Match length',
+  'booking.loadingSlots': 'Loading available slots...',
+  'booking.noSlots': 'No slot available for this date and format at the moment.',
+  'booking.slotsError': 'Unable to load available slots.',
+  'booking.held': 'Being booked',
+  'booking.slotPrice': '{price} ({rate} / hour)',
+  'booking.continue': 'Continue with this slot',
+  'booking.holding': 'Holding the slot...',
+  'booking.holdError': 'Unable to hold this slot',
+  'booking.holdTaken': 'Another player just took this slot. Please choose another one.',
+  'booking.holdExpired': 'Time is up: the slot has been released. You can select it again.',
+  'booking.slotGone': 'The selected slot has just been booked. Please choose another one.',
+
+  'recap.title': 'Selected slot',
+  'recap.date': 'Date',
+  'recap.time': 'Time',
+  'recap.field': 'Pitch',
+  'recap.fieldValue': '{name} ({type}-a-side)',
+  'recap.rate': 'Hourly rate',
+  'recap.rateValue': '{rate} / hour',
+  'recap.loyaltyAuto': 'Enter your number: the final amount, loyalty discount included, is shown here.',
+  'loyalty.hours': 'over {count} h played',
+  'loyalty.nth': 'booking no. {count}',
+  'recap.promo': 'Code {code}',
+  'recap.amount': 'Amount',
+  'recap.holdCountdown': 'Slot held for you for {time}',
+  'recap.change': 'Change slot',
+
+  'info.title': 'Your details',
+  'info.subtitle':
+    'Enter your contact details, then choose how to pay (Wave or Orange Money). Your booking will be recorded.',
+  'info.name': 'Full name',
+  'info.namePlaceholder': 'First and last name',
+  'info.phone': 'Phone number',
+  'info.phoneInvalid': 'Invalid number. 9 digits expected (e.g. 77 123 45 67).',
+  'info.email': 'Email (optional)',
+  'info.address': 'Address (optional)',
+  'info.addressPlaceholder': 'Neighbourhood, city',
+  'info.promo': 'Promo code (optional)',
+  'info.promoPlaceholder': 'E.g. RAMADAN',
+  'info.promoApply': 'Apply',
+  'info.promoChecking': 'Checking...',
+  'info.promoRemove': 'Remove',
+  'info.promoInvalid': 'Invalid promo code',
+  'info.promoApplied': 'Code {code} applied: −{value}.',
+  'info.required': 'Please enter your name and phone number.',
+  'info.choosePayment': 'Choose a payment method',
+  'info.sending': 'Sending...',
+  'info.payWave': 'Pay with Wave',
+  'info.payOrange': 'Pay with Orange Money',
+  'info.paymentHint':
+    'When you click Wave or Orange Money, your booking is recorded and you are redirected to the provider’s secure payment page.',
+  'info.fillToPay': 'Enter at least your name and phone number to see the payment options.',
+  'info.bookingError': 'Booking error',
+
+  'hero.title': 'Book your artificial turf pitch in a few clicks.',
+  'hero.subtitle':
+    'Choose your slot and pitch size (5 / 7 / 11) and enjoy quality turf for friendly games, tournaments or training.',
+  'hero.fields': 'See the pitches',
+  'hero.services': 'Discover our services',
+  'hero.open': 'Open every day',
+  'hero.hours': 'Hours played per year',
+  'hero.loyalty': 'Loyalty discount',
+
+  'catalogue.title': 'Our pitches',
+  'catalogue.subtitle': 'Artificial turf, floodlights and changing rooms: pick the pitch that suits you.',
+  'catalogue.allTypes': 'All formats',
+  'catalogue.loading': 'Loading pitches…',
+  'catalogue.empty': 'No pitch available at the moment.',
+  'catalogue.perHour': '{amount} / hour',
+  'catalogue.details': 'View pitch',
+  'catalogue.book': 'Book',
+  'catalogue.back': '← All pitches',
+  'catalogue.notFound': 'This pitch could not be found or is no longer offered.',
+  'catalogue.noPhoto': 'Photo coming soon',
+  'catalogue.hours': 'Open from {open} to {close}',
+  'catalogue.amenities': 'Amenities',
+  'catalogue.availability': 'Availability',
+  'catalogue.availabilityHint': '{duration} slots — click a time to book it.',
+  'catalogue.noSlots': 'No free slot on that day.',
+  'catalogue.retry': 'Try again',
+
+  'amenity.lighting': 'Floodlights',
+  'amenity.changing_rooms': 'Changing rooms',
+  'amenity.showers': 'Showers',
+  'amenity.parking': 'Parking',
+  'amenity.covered': 'Covered',
+  'amenity.refreshments': 'Refreshments',
+  'amenity.editLabel': 'Amenities (shown on the public page)',
+
+  'created.title': 'Booking received',
+  'created.body':
+    'Your booking has been recorded. A confirmation is sent by SMS or WhatsApp, plus a reminder 2 hours before kick-off.',
+  'created.bodyEmail':
+    'Your booking has been recorded. A confirmation is sent by SMS or WhatsApp and by email, plus a reminder 2 hours before kick-off.',
+  'created.reference': 'Reference:',
+  'created.loyalty': 'Loyalty discount applied: −{percent}%, {amount} to pay.',
+  'created.keep':
+    'Keep this reference: together with your phone number, it lets you track your booking from the “My booking” page.',
+  'created.track': 'Track my booking',
+  'common.ok': 'OK',
+
+  'auth.title': 'Staff area',
+  'auth.subtitle': 'Log in with your administrator account to manage pitches and bookings.',
+  'auth.email': 'Email',
+  'auth.password': 'Password',
+  'auth.submit': 'Log in',
+  'auth.submitting': 'Logging in...',
+  'auth.error': 'Login error',
+  'auth.unreachable': 'Unable to reach the server. Check the API URL.',
+  'auth.expired': 'Your session has expired. Please log in again.',
+  'auth.idle': 'You were logged out after a period of inactivity.',
+  'auth.seedHint':
+    'Use the provided admin account (after running npm run seed in the backend: admin@samaterrain.sn / admin123).',
+  'auth.demoHint':
+    'Demo mode: log in with admin@samaterrain.sn / admin123 (admin) or gestionnaire@samaterrain.sn / gestion123 (manager). Data stays in this browser.',
+
+  'admin.tab.all': 'Overview',
+  'admin.tab.terrain': 'Pitches',
+  'admin.tab.users': 'Users',
+  'admin.tab.activity': 'Activity log',
+  'admin.tab.promos': 'Promotions',
+  'admin.tab.notifications': 'Notifications',
+  'admin.tab.clients': 'Customers',
+  'admin.tab.creneaux': 'Slots',
+  'admin.tab.reservations': 'Bookings',
+
+  'status.pending': 'Pending',
+  'status.confirmed': 'Confirmed',
+  'status.cancelled': 'Cancelled',
+  'paymentStatus.pending': 'Payment pending',
+  'paymentStatus.partial': 'Deposit paid',
+  'paymentStatus.paid': 'Paid',
+  'paymentStatus.cancelled': 'Cancelled',
+  'paymentStatus.failed': 'Payment failed',
+  'paymentMethod.wave': 'Wave',
+  'paymentMethod.orange_money': 'Orange Money',
+  'paymentMethod.cash': 'Cash / Other',
+  'paymentMethod.admin': 'Admin (manual)',
+
+  'audit.action.public-create': 'Online booking',
+  'audit.action.admin-create': 'Booking created by a manager',
+  'audit.action.series-create': 'Series created',
+  'audit.action.update': 'Change',
+  'audit.action.confirm': 'Confirmation',
+  'audit.action.payment': 'Payment recorded',
+  'audit.action.payment-method': 'Payment method changed',
+  'audit.action.cancel': 'Cancellation',
+  'audit.action.move': 'Move',
+  'audit.field.status': 'Status',
+  'audit.field.paymentStatus': 'Payment',
+  'audit.field.paymentMethod': 'Payment method',
+  'audit.field.paidAmount': 'Amount paid',
+  'audit.field.totalPrice': 'Total amount',
+  'audit.field.date': 'Date',
+  'audit.field.startTime': 'Start',
+  'audit.field.endTime': 'End',
+  'audit.field.field': 'Pitch',
+
+  'my.subtitle': 'Enter the phone number used for the booking and the reference you received to check its status.',
+  'my.required': 'Enter your number (9 digits) and the booking reference.',
+  'my.notFound': 'Booking not found.',
+  'my.lookupError': 'Unable to find the booking.',
+  'my.reference': 'Booking reference',
+  'my.referencePlaceholder': 'E.g. A1B2C3',
+  'my.searching': 'Searching...',
+  'my.lookup': 'Find my booking',
+  'my.title': 'Booking {reference}',
+  'my.status': 'Status',
+  'my.payment': 'Payment',
+  'my.paid': '(paid: {amount})',
+  'my.reschedule': 'Request a new time',
+  'my.cancel': 'Cancel the booking',
+  'my.cancelConfirm': 'Cancel this booking? The slot will be released for other players.',
+  'my.cancelError': 'Unable to cancel the booking.',
+  'my.cancelled': 'Your booking has been cancelled.',
+  'my.changeWindow': 'Online changes are possible up to {hours}h before the match. Call us for any other change.',
+  'my.paidNoCancel': 'A payment has already been recorded: cancellation must go through a manager.',
+  'my.rescheduleWish': 'Preferred new slot',
+  'my.rescheduleWishPlaceholder': 'E.g. next Saturday between 6pm and 8pm',
+  'my.rescheduleSend': 'Send the request',
+  'my.rescheduleError': 'Unable to send the request.',
+  'my.rescheduleSent': 'Request sent. A manager will contact you to set the new slot.',
+
+  'payment.title': 'Booking payment',
+  'payment.unknown': 'No payment in progress was found. Find your booking from the “My booking” page.',
+  'payment.checking': 'Checking the payment… Do not close this page.',
+  'payment.checkingProvider': 'Checking the {provider} payment… Do not close this page.',
+  'payment.checkError': 'Unable to check the payment.',
+  'payment.noLink': 'The payment provider did not return a link.',
+  'payment.depositReceived': 'Deposit received.',
+  'payment.confirmed': 'Payment confirmed.',
+  'payment.booked': 'Your slot is booked.',
+  'payment.bookedOn': 'Your slot is booked on {date} from {start} to {end}.',
+  'payment.failed': 'The payment did not go through.',
+  'payment.failedHint': 'Your booking is kept, you can try again.',
+  'payment.redirecting': 'Redirecting...',
+  'payment.retryWith': 'Try again with {provider}',
+  'payment.timeout':
+    'The provider has not confirmed the payment yet. You can check again or look at your booking later.',
+  'payment.checkAgain': 'Check again',
+  'payment.home': 'Back to home',
+
+  'admin.export.error': 'Unable to export the bookings',
+  'admin.export.date': 'Date',
+  'admin.export.time': 'Time',
+  'admin.export.field': 'Pitch',
+  'admin.export.type': 'Type',
+  'admin.export.customer': 'Customer',
+  'admin.export.phone': 'Phone',
+  'admin.export.status': 'Status',
+  'admin.export.paymentStatus': 'Payment status',
+  'admin.export.paymentMethod': 'Payment method',
+  'admin.export.total': 'Total amount (FCFA)',
+  'admin.export.paid': 'Amount paid (FCFA)',
+
+  'admin.res.notFound': 'Booking not found',
+  'admin.res.updateError': 'Error updating the booking',
+  'admin.fields.createError': 'Error creating the pitch',
+  'admin.fields.updateError': 'Error updating the pitch',
+  'admin.fields.checkError': 'Unable to check the pitch’s bookings',
+  'admin.fields.deleteConfirm': 'Delete this pitch? Its bookings will stay in the database.',
+  'admin.fields.deleteError': 'Unable to delete',
+  'admin.users.required': 'Name, email and password are required.',
+  'admin.users.createError': 'Error creating the manager.',
+  'admin.users.created': 'Manager created.',
+  'admin.users.updateError': 'Error updating the user',
+  'admin.users.resetConfirm': 'Reset {name}’s password?',
+  'admin.users.resetError': 'Error resetting the password',
+  'admin.users.temporaryPassword': 'Temporary password for {name}: {password} (to be changed at next sign-in).',
+  'admin.users.resetLinkSent': 'A reset link has been sent to {email}.',
+  'admin.users.deleteConfirm': 'Permanently delete {name}’s account ({email})? This cannot be undone.',
+  'admin.users.deleteError': 'Error deleting the account',
+  'admin.users.deleted': '{name}’s account deleted.',
+
+  'admin.payment.error': 'Error recording the payment',
+  'admin.payment.offline': 'Offline: the payment is saved on this device and will be sent when the network is back.',
+  'admin.slots.loadError': 'Error loading the slots',
+  'admin.slots.thisField': 'this pitch',
+  'admin.slots.notBookable': 'The {time} slot on {field} cannot be booked. Choose another slot below.',
+  'admin.series.untilRequired': 'Choose the series end date.',
+  'admin.series.previewError': 'Error previewing the series',
+  'admin.series.previewRequired': 'Check the series dates first.',
+  'admin.series.createError': 'Error creating the series',
+  'admin.series.created': 'Series created: {count} booking(s).',
+  'admin.create.slotRequired': 'Choose a slot.',
+  'admin.create.customerRequired': 'Enter at least the customer’s name and phone number.',
+  'admin.create.error': 'Error creating the booking',
+  'admin.create.offline': 'Offline: the booking is kept on this device and will be sent when the network is back.',
+  'admin.create.done': 'Booking created for the customer.',
+
+  'admin.close': 'Close',
+  'admin.cancel': 'Cancel',
+  'admin.loading': 'Loading...',
+  'admin.offline.title': 'Offline',
+  'admin.offline.pending': 'Sync pending',
+  'admin.offline.syncing': 'Syncing...',
+  'admin.offline.sync': 'Sync now',
+  'admin.offline.pendingHint': 'These operations were entered without a network.',
+  'admin.offline.hint':
+    'Lists show the last known data. Bookings and payments entered are kept on this device and sent when the network is back.',
+  'admin.offline.booking': 'Booking',
+  'admin.offline.recordedAt': 'Entered on {date}',
+  'admin.offline.refused': 'Refused: {message}',
+  'admin.offline.otherSlot': 'Choose another slot',
+  'admin.offline.drop': 'Discard',
+  'admin.planning.loadError': 'Unable to load the schedule: {message}',
+  'admin.res.paidOf': '{paid} / {total}',
+  'admin.res.move': 'Move',
+  'admin.res.confirm': 'Confirm',
+
+  'admin.refresh': 'Refresh',
+  'admin.res.title': 'All bookings',
+  'admin.res.subtitle':
+    'List of all bookings (customers and slots). Use the filters to narrow it down: the page address can be shared with a colleague for the same view.',
+  'admin.res.exportCsv': 'Export CSV',
+  'admin.res.exportXlsx': 'Export Excel',
+  'admin.res.dailySheet': 'Daily sheet',
+  'admin.res.search': 'Search',
+  'admin.res.searchPlaceholder': 'Customer name or phone',
+  'admin.res.from': 'From',
+  'admin.res.to': 'To',
+  'admin.res.allFields': 'All pitches',
+  'admin.res.allStatuses': 'All statuses',
+  'admin.res.all': 'All',
+  'admin.res.resetFilters': 'Reset filters',
+  'admin.res.loadError': 'Unable to load the bookings: {message}',
+  'admin.res.countOne': '{shown} of {total} booking',
+  'admin.res.countMany': '{shown} of {total} bookings',
+  'admin.res.noShow': 'No-show',
+  'admin.res.present': 'Showed up',
+  'admin.res.noShowTitle': 'The customer did not show up (counted in the customer record)',
+  'admin.res.series': 'Series',
+  'admin.res.seriesTitle': 'Manage the whole series',
+  'admin.res.history': 'History',
+  'admin.res.cancelPaid': 'Cannot cancel: a payment has already been recorded.',
+  'admin.res.moveTitle': 'Move to another slot or pitch',
+  'admin.res.markPaid': 'Mark as paid',
+  'admin.res.balanceLabel': 'Balance · {name}',
+  'admin.res.complete': 'Complete the payment',
+  'admin.res.completeTitle': 'Mark the balance as paid (full)',
+  'admin.res.empty': 'No bookings.',
+  'admin.res.emptyFiltered': 'No bookings for these filters.',
+  'admin.res.loadMore': 'Load more',
+
+  'admin.save': 'Save',
+  'admin.users.editTitle': 'Edit the account',
+  'admin.users.name': 'Name',
+  'admin.users.role': 'Role',
+  'admin.users.lastAdminRole': 'Last active administrator: their role cannot be changed.',
+  'admin.fields.gone': 'This pitch no longer exists or has been deleted.',
+  'admin.fields.cannotDelete': 'Cannot delete “{name}”',
+  'admin.fields.cannotDeleteHint':
+    'This pitch has {count} upcoming booking(s). It will be deactivated instead: it will no longer appear in availability, but the bookings below must still be honoured or moved.',
+  'admin.fields.deactivate': 'Deactivate the pitch',
+  'admin.payment.title': 'Mark the booking as paid',
+  'admin.payment.full': 'Full payment',
+  'admin.payment.half': 'Half payment',
+  'admin.payment.amount': 'Amount received:',
+  'admin.payment.alreadyPaid': '(already paid: {amount})',
+  'admin.payment.offlineLabel': 'Payment {amount} · {label}',
+  'admin.payment.submit': 'Confirm the payment',
+  'admin.create.title': 'Book a slot for a customer (phone)',
+  'admin.create.subtitle':
+    'Choose a pitch, a date and an available slot, then enter the customer’s details to save the booking.',
+
+  'admin.saving': 'Saving...',
+  'admin.slots.load': 'Load available slots',
+  'admin.slots.heldTitle': 'A customer is booking this slot',
+  'admin.create.chosen': 'Chosen slot: {time} · {field} · Amount:',
+  'admin.create.loyalty': '(loyalty discount −{percent}%: {rule})',
+  'admin.create.name': 'Customer’s full name',
+  'admin.create.phone': 'Customer’s phone',
+  'admin.create.email': 'Customer’s email (optional)',
+  'admin.create.address': 'Customer’s address (optional)',
+  'admin.create.submit': 'Create the booking for the customer',
+  'admin.series.recurrence': 'Recurrence',
+  'admin.series.none': 'None (single booking)',
+  'admin.series.weekly': 'Every week',
+  'admin.series.biweekly': 'Every two weeks',
+  'admin.series.end': 'Series end',
+  'admin.series.endCount': 'After N occurrences',
+  'admin.series.endUntil': 'Until a date',
+  'admin.series.count': 'Number of occurrences',
+  'admin.series.lastDate': 'Last date',
+  'admin.series.check': 'Check the dates',
+  'admin.series.conflictTitle': 'Slot already booked: this date will be skipped',
+  'admin.series.previewCount': '{count} occurrence(s) will be created.',
+  'admin.series.previewConflicts': '{count} occurrence(s) will be created, {conflicts} in conflict will be skipped.',
+  'admin.series.submit': 'Create the series for the customer',
+  'admin.fields.title': 'Pitch management (slots)',
+  'admin.fields.subtitle': 'Add, edit or delete pitches. They define the slots available on the public page.',
+  'admin.fields.name': 'Pitch name',
+  'admin.fields.description': 'Description',
+  'admin.fields.price': 'Price / hour (FCFA)',
+  'admin.fields.add': 'Add the pitch',
+  'admin.fields.loadError': 'Unable to load the pitches: {message}',
+  'admin.fields.inactive': 'Inactive',
+  'admin.fields.rulesCount': '{count} pricing rule(s)',
+  'admin.fields.photosCount': '{count} photo(s)',
+
+  'admin.edit': 'Edit',
+  'admin.delete': 'Delete',
+  'admin.fields.deleteTitle': 'Delete the pitch',
+  'admin.fields.empty': 'No pitches. Run the seed or add one above.',
+  'admin.users.title': 'User management',
+  'admin.users.subtitle':
+    'Create manager accounts. Managers can handle slots and confirm bookings (but cannot cancel or manage pitches).',
+  'admin.users.new': 'New manager',
+  'admin.users.namePlaceholder': 'Manager’s name',
+  'admin.users.phone': 'Phone (optional)',
+  'admin.users.passwordPlaceholder': 'Sign-in password',
+  'admin.users.creating': 'Creating…',
+  'admin.users.create': 'Create the manager',
+  'admin.users.listTitle': 'Administrators and managers',
+  'admin.users.loadError': 'Unable to load the users: {message}',
+  'admin.users.lastLogin': 'Last sign-in: {date}',
+  'admin.users.never': 'never',
+  'admin.users.disabled': 'Disabled',
+  'admin.users.enable': 'Enable',
+  'admin.users.disable': 'Disable',
+  'admin.users.lastAdminDisable': 'Cannot disable the last administrator.',
+  'admin.users.resetPassword': 'Reset the password',
+  'admin.users.lastAdminDelete': 'Cannot delete the last administrator.',
+  'admin.users.selfDelete': 'You cannot delete your own account.',
+  'admin.users.empty': 'No administrators or managers.',
+
+  'series.title': 'Booking series',
+  'series.loadError': 'Unable to load the series',
+  'series.updateError': 'Error updating the series',
+  'series.summary':
+    '{count} upcoming occurrence(s). The actions below apply to upcoming occurrences; use the list to change a single one.',
+  'series.field': 'Pitch (whole series)',
+  'series.applySlot': 'Apply to upcoming occurrences',
+  'series.paymentMethod': 'Payment method (whole series)',
+  'series.choose': 'Choose…',
+  'series.changeSlot': 'Change the time or pitch',
+  'series.confirm': 'Confirm the series',
+  'series.cancel': 'Cancel the series',
+  'series.cancelConfirm': 'Cancel the {count} upcoming occurrence(s) of this series?',
+
+  'move.title': 'Move the booking',
+  'move.error': 'Unable to move the booking',
+  'move.current': 'Currently: {slot}',
+  'move.date': 'New date',
+  'move.oldAmount': 'Previous amount',
+  'move.newAmount': 'New amount',
+  'move.paid': 'Already paid',
+  'move.extra': 'Extra',
+  'move.less': 'Less',
+  'move.difference': 'Difference',
+  'move.refund': 'The amount already paid exceeds the new total: {amount} to refund or keep as credit.',
+  'move.moving': 'Moving...',
+
+  'day.1': 'Mon',
+  'day.2': 'Tue',
+  'day.3': 'Wed',
+  'day.4': 'Thu',
+  'day.5': 'Fri',
+  'day.6': 'Sat',
+  'day.0': 'Sun',
+  'fieldEdit.title': 'Edit “{name}”',
+  'fieldEdit.uploadError': 'Error while uploading the photos',
+  'fieldEdit.inactive': 'Inactive (hidden from availability)',
+  'fieldEdit.opening': 'Opening',
+  'fieldEdit.closing': 'Closing',
+  'fieldEdit.applyToType': 'Apply these rates to every {type}-a-side pitch',
+  'fieldEdit.photos': 'Photos',
+  'fieldEdit.removePhoto': 'Remove the photo',
+  'fieldEdit.uploading': 'Uploading...',
+  'fieldEdit.addPhoto': '+ Add',
+  'pricing.title': 'Rates by day and time',
+  'pricing.hint':
+    'Outside any rule, the base price ({amount} / hour) applies. Rules are checked in order: the first match sets the price.',
+  'pricing.holidays': 'Public holidays',
+  'pricing.holiday': 'Holiday',
+  'pricing.start': 'Start',
+  'pricing.end': 'End',
+  'pricing.pricePlaceholder': 'FCFA / hour',
+  'pricing.raise': 'Higher priority',
+  'pricing.remove': 'Remove',
+  'pricing.add': '+ Add a rule',
+  'holidays.saveError': 'Error while saving the public holidays',
+  'holidays.hint': 'The pitches’ “Public holidays” rules apply on these dates (Tabaski, Korité, etc.).',
+  'holidays.add': 'Add',
+  'holidays.empty': 'No public holiday saved.',
+
+  'stats.loadError': 'Unable to load the statistics',
+  'stats.title': 'Statistics',
+  'stats.subtitle': 'Pitch occupancy and revenue over the period (cancelled bookings excluded).',
+  'stats.reservations': 'Bookings',
+  'stats.collectedOf': 'Collected out of {amount} expected',
+  'stats.outstanding': 'Outstanding balances (deposits)',
+  'stats.byField': 'Occupancy by pitch',
+  'stats.noField': 'No pitch for this format.',
+  'stats.byBand': 'Occupancy by time band',
+  'stats.byMethod': 'Collected / expected by payment method',
+  'stats.noMethod': 'Not specified',
+  'stats.methodCount': '{count} bookings',
+  'stats.methodCollected': '{collected} collected out of {expected}',
+  'stats.empty': 'No booking over the period.',
+  'stats.partials': 'Deposits to settle',
+  'stats.remaining': '{amount} left',
+  'stats.noPartials': 'No pending deposit over the period.',
+  'sheet.loadError': 'Unable to load the day’s bookings',
+  'sheet.print': 'Print',
+  'sheet.title': 'Daily sheet · {date}',
+  'sheet.count': '{count} booking(s)',
+  'sheet.printedAt': 'Printed on {date}',
+  'sheet.caption': '{name} ({type}-a-side pitch)',
+  'sheet.time': 'Time',
+  'sheet.customer': 'Customer',
+  'sheet.balance': 'Balance due',
+  'sheet.check': 'Present / paid',
+  'sheet.empty': 'No booking on that day.',
+  'audit.online': 'Customer (online)',
+  'history.loadError': 'Unable to load the history',
+  'history.title': 'Booking history',
+  'history.empty': 'No recorded action.',
+
+  'activity.loadError': 'Unable to load the activity log',
+  'activity.title': 'Activity log',
+  'activity.subtitle': 'Every action taken on bookings: confirmations, payments, cancellations and creations.',
+  'activity.user': 'User',
+  'activity.allUsers': 'All users',
+  'activity.empty': 'No action for these filters.',
+  'customers.loadError': 'Unable to load the customers',
+  'customers.subtitle':
+    'Customers grouped by phone number: matches played, amounts collected, unpaid balances and no-shows. The loyalty column shows whether the next booking gets the discount.',
+  'customers.searchPlaceholder': 'Name or phone',
+  'customers.sortBy': 'Sort by',
+  'customers.sort.visits': 'Number of visits',
+  'customers.sort.spent': 'Amount spent',
+  'customers.sort.unpaid': 'Balance due',
+  'customers.sort.recent': 'Latest booking',
+  'customers.noMatch': 'No customer matches this search.',
+  'customers.empty': 'No customer.',
+  'customers.visits': 'Visits',
+  'customers.hours': 'Hours',
+  'customers.spent': 'Spent',
+  'customers.unpaid': 'Unpaid',
+  'customers.noShows': 'No-shows',
+  'customers.loyalty': 'Loyalty',
+  'customers.nextDiscount': '−{percent} % on the next one',
+
+  'promo.codeRequired': 'The code is required.',
+  'promo.percentRange': 'The percentage must be between 1 and 100.',
+  'promo.dateOrder': 'The end date must be after the start date.',
+  'promo.updateError': 'Error while updating the code',
+  'promo.createError': 'Error while creating the code',
+  'promo.deleteConfirm': 'Delete the code {code}?',
+  'promo.deleteError': 'Error while deleting the code',
+  'promo.subtitle':
+    'Promo codes customers enter when booking (Ramadan, school holidays, tournaments…). Leave a field empty for no restriction.',
+  'promo.code': 'Code',
+  'promo.campaign': 'Campaign',
+  'promo.discountType': 'Discount type',
+  'promo.percent': 'Percentage',
+  'promo.fixed': 'Fixed amount (FCFA)',
+  'promo.amountLabel': 'Amount (FCFA)',
+  'promo.percentLabel': 'Percentage (%)',
+  'promo.validFrom': 'Valid from',
+  'promo.startTime': 'Slots from',
+  'promo.endTime': 'Until',
+  'promo.maxUses': 'Max. uses (total)',
+  'promo.maxUsesPerPhone': 'Max. uses per phone',
+  'promo.unlimited': 'Unlimited',
+  'promo.fieldTypes': 'Eligible formats',
+  'promo.allFieldTypes': 'No format ticked: every pitch.',
+  'promo.save': 'Save the code',
+  'promo.create': 'Create the code',
+  'promo.cancelEdit': 'Cancel editing',
+  'promo.empty': 'No promo code yet.',
+  'promo.period': 'From {from} to {to}',
+  'promo.noDates': 'No date limit',
+  'promo.typeShort': '{type}-a-side',
+  'promo.used': 'Used {count} times',
+  'promo.perPhone': 'max. {count} per phone',
+  'promo.disabled': 'Disabled',
+  'promo.enable': 'Re-enable',
+  'promo.disable': 'Disable',
+
+  'notify.event.created': 'Booking recorded',
+  'notify.event.confirmed': 'Booking confirmed',
+  'notify.event.paid': 'Payment recorded',
+  'notify.event.cancelled': 'Booking cancelled',
+  'notify.event.reminder': 'Reminder 2h before the match',
+  'notify.channel.sms': 'SMS',
+  'notify.channel.whatsapp': 'WhatsApp',
+  'notify.channel.email': 'Email',
+  'notify.status.sent': 'Sent',
+  'notify.status.failed': 'Failed',
+  'notify.status.pending': 'Pending',
+  'notify.saveError': 'Error while saving the template',
+  'notify.testError': 'Error while sending the test',
+  'notify.resendError': 'Error while resending',
+  'notify.title': 'Customer notifications',
+  'notify.provider': 'Provider: {provider}',
+  'notify.subtitle':
+    'Messages sent automatically by SMS / WhatsApp to the customer’s +221 number, and by email when they gave one. Variables: {variables}.',
+  'notify.consoleMode': 'Development mode: messages are not sent, they are written to the server console / log file.',
+  'notify.event': 'Event',
+  'notify.enabled': 'Sending enabled',
+  'notify.characters': '{count} characters',
+  'notify.whatsappPlaceholder': 'Empty = same text as the SMS',
+  'notify.emailSubject': 'Email subject',
+  'notify.smsPreview': 'SMS preview',
+  'notify.emailPreview': 'Email preview: {subject}',
+  'notify.save': 'Save the template',
+  'notify.saved': 'Template saved.',
+  'notify.testPhone': 'Test phone',
+  'notify.testEmail': 'Test email (optional)',
+  'notify.sending': 'Sending...',
+  'notify.sendTest': 'Send a test',
+  'notify.logTitle': 'Sending log',
+  'notify.channel': 'Channel',
+  'notify.all': 'All',
+  'notify.logEmpty': 'Nothing sent for these filters.',
+  'notify.resend': 'Resend',
+
+  'planning.title': 'Pitch schedule',
+  'planning.day': 'Day',
+  'planning.week': 'Week',
+  'planning.previous': '‹ Previous',
+  'planning.next': 'Next ›',
+  'planning.today': 'Today',
+  'planning.subtitle': 'Click a booking to open it, or a free cell to book that slot for a customer.',
+  'planning.legend.confirmed': 'Confirmed, unpaid',
+  'planning.legend.partial': 'Deposit',
+  'planning.legend.paid': 'Paid',
+  'planning.legend.closed': 'Closed',
+  'planning.closed': '{name} closed',
+  'planning.book': 'Book {name} at {time}',
+
+  'payment.checkoutError': 'Unable to start the payment.',
+
+  'catalogue.loadError': 'Unable to load the pitches.',
+
+  'recap.loyalty': 'Loyalty discount (−{percent} %)',
+
+  'audit.recordedAt': 'entered offline on {date}',
+
+  'mockPay.title': 'Simulated payment',
+  'mockPay.subtitle': 'Test provider ({provider}): no real charge is made.',
+  'mockPay.unknown': 'unknown',
+  'mockPay.error': 'Simulated provider error.',
+  'mockPay.missingIntent': 'Missing payment intent.',
+  'mockPay.paid': 'Simulate a successful payment',
+  'mockPay.partial': 'Simulate a deposit (50 %)',
+  'mockPay.failed': 'Simulate a failure',
+
+  'mockPay.amount': 'Amount:',
+};
+
+const CATALOGUES = { fr, wo, en };
+
+const isSupported = (lang) => LANGUAGES.some((l) => l.value === lang);
+
+function initialLanguage() {
+  const stored = localStorage.getItem(LANG_KEY);
+  if (isSupported(stored)) return stored;
+  return navigator.language?.startsWith('en') ? 'en' : 'fr';
+}
+
+let currentLanguage = initialLanguage();
+const listeners = new Set();
+document.documentElement.lang = currentLanguage;
+
+/** Change la langue de toute l'interface et la mémorise pour les prochaines visites. */
+export function setLanguage(lang) {
+  if (!isSupported(lang) || lang === currentLanguage) return;
+  currentLanguage = lang;
+  localStorage.setItem(LANG_KEY, lang);
+  document.documentElement.lang = lang;
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** Traduit une clé ; repli sur le français puis sur la clé. `{param}` est remplacé par `params.param`. */
+export function translate(lang, key, params) {
+  const text = CATALOGUES[lang]?.[key] ?? fr[key] ?? key;
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Langue courante, traduction et formats localisés. Se met à jour quand la langue change ; les fonctions
+ * restent les mêmes d'un rendu à l'autre tant que la langue ne change pas (dépendances de hooks).
+ */
+export function useI18n() {
+  const lang = useSyncExternalStore(subscribe, () => currentLanguage);
+  return useMemo(() => {
+    const locales = INTL_LOCALES[lang];
+    const formatNumber = (value) => new Intl.NumberFormat(locales).format(Math.round(Number(value) || 0));
+    return {
+      lang,
+      setLanguage,
+      t: (key, params) => translate(lang, key, params),
+      // Libellé d'une valeur de l'API (statut, moyen de paiement…) : clé `<groupe>.<valeur>`, sinon la valeur brute
+      label: (group, value) => {
+        if (value === null || value === undefined || value === '') return '';
+        const key = `${group}.${value}`;
+        return CATALOGUES[lang]?.[key] ?? fr[key] ?? String(value);
+      },
+      formatDate: (value, options) => new Date(value).toLocaleDateString(locales, options),
+      formatDateTime: (value) => new Date(value).toLocaleString(locales),
+      formatNumber,
+      formatAmount: (amount) => `${formatNumber(amount)} FCFA`,
+    };
+  }, [lang]);
+}
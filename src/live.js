@@ -0,0 +1,121 @@
+// Mises à jour en direct des réservations : flux SSE de l'API, avec repli sur une simple interrogation périodique.
+
+import { api, API_BASE_URL, DEMO_MODE } from './api.js';
+
+export const RESERVATION_EVENT_TYPES = ['reservation.created', 'reservation.updated', 'reservation.cancelled'];
+
+const POLL_INTERVAL_MS = Number(import.meta.env.VITE_LIVE_POLL_SECONDS || 30) * 1000;
+// Erreurs de connexion consécutives tolérées avant de basculer sur l'interrogation périodique
+const MAX_STREAM_ERRORS = 3;
+const RECONNECT_DELAY_MS = 2000;
+// En mode repli, le flux temps réel est retenté à cet intervalle
+const STREAM_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * Abonne `handler` aux événements de réservation ; en mode repli, `{ type: 'poll' }` est émis à
+ * intervalle régulier et l'appelant recharge ses données.
+ * Sans `auth`, flux public GET /events/slots : `{ type, slot }` avec seulement
+ * `{ fieldId, date, startTime, endTime, status }`, jamais les coordonnées du client.
+ * Avec `auth`, flux admin GET /events/reservations : `{ type, reservation }` complet, ouvert avec un
+ * ticket à usage unique (POST /events/ticket) pour que le jeton admin ne figure jamais dans l'URL.
+ * L'appelant se réabonne quand le jeton change. Renvoie la fonction de désabonnement.
+ */
+export function subscribeReservationEvents(handler, { auth = false } = {}) {
+  if (DEMO_MODE) {
+    let unsubscribe = () => {};
+    let cancelled = false;
+    import('./mock.js').then(({ subscribeMockEvents }) => {
+      if (!cancelled) unsubscribe = subscribeMockEvents(handler, { auth });
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }
+
+  let source = null;
+  let pollTimer = null;
+  let retryTimer = null;
+  let errors = 0;
+  let closed = false;
+
+  const startPolling = () => {
+    if (pollTimer || closed) return;
+    pollTimer = setInterval(() => handler({ type: 'poll' }), POLL_INTERVAL_MS);
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  if (typeof EventSource === 'undefined') {
+    startPolling();
+    return stopPolling;
+  }
+
+  const streamUrl = async () => {
+    if (!auth) return `${API_BASE_URL}/events/slots`;
+    const data = await api.post('/events/ticket');
+    return `${API_BASE_URL}/events/reservations?${new URLSearchParams({ ticket: data?.ticket })}`;
+  };
+
+  // Échec de connexion : quelques nouvelles tentatives rapprochées, puis interrogation périodique
+  // en attendant de retenter le flux plus tard
+  const handleFailure = () => {
+    if (closed) return;
+    errors += 1;
+    if (errors < MAX_STREAM_ERRORS) {
+      retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+      return;
+    }
+    errors = 0;
+    startPolling();
+    retryTimer = setTimeout(connect, STREAM_RETRY_MS);
+  };
+
+  const connect = async () => {
+    retryTimer = null;
+    let url;
+    try {
+      url = await streamUrl();
+    } catch (err) {
+      console.error(err);
+      handleFailure();
+      return;
+    }
+    if (closed) return;
+    source = new EventSource(url);
+
+    RESERVATION_EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (event) => {
+        errors = 0;
+        try {
+          const data = JSON.parse(event.data);
+          handler(auth ? { type, reservation: data?.reservation || data } : { type, slot: data?.slot || data });
+        } catch (err) {
+          console.error(err);
+        }
+      });
+    });
+    source.addEventListener('open', () => {
+      errors = 0;
+      stopPolling();
+    });
+    source.addEventListener('error', () => {
+      // Pas de reconnexion automatique d'EventSource : le ticket ne sert qu'une fois
+      source.close();
+      source = null;
+      handleFailure();
+    });
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    if (source) source.close();
+    clearTimeout(retryTimer);
+    stopPolling();
+  };
+}
@@ -0,0 +1,1507 @@
+// Mode démo : API simulée dans le navigateur (VITE_DEMO_MODE=true). Les appels de l'API (terrains,
+// réservations, tarifs, codes promo, paiements, notifications…) sont servis à partir de données d'exemple
+// conservées dans le localStorage, sans backend. Les paiements passent par la page de paiement simulée.
+
+const DB_KEY = 'gp_demo_db';
+const EVENTS_CHANNEL = 'gp_demo_events';
+const LATENCY_MS = 150;
+const TOKEN_TTL_MS = 8 * 60 * 60 * 1000;
+const HOLD_MINUTES = 5;
+const DEFAULT_DURATION = 60;
+// Fidélité : remise sur chaque N-ième réservation, ou sur toutes au-delà de X heures jouées (0 = règle désactivée)
+const LOYALTY = { discountPercent: 10, everyNBookings: 5, hoursThreshold: 0 };
+// Paiement mobile : redirigé vers la page de paiement simulée (/paiement/mock)
+const MOBILE_PROVIDERS = ['wave', 'orange_money'];
+const NOTIFICATION_EVENTS = ['created', 'confirmed', 'paid', 'cancelled', 'reminder'];
+const NOTIFICATION_TEMPLATES = {
+  created: {
+    enabled: true,
+    sms: 'Bonjour {nom}, votre réservation {reference} du {date} ({heure}) à {terrain} est enregistrée.',
+    emailSubject: 'Réservation {reference} enregistrée',
+  },
+  confirmed: {
+    enabled: true,
+    sms: 'Bonjour {nom}, votre réservation {reference} du {date} ({heure}) est confirmée. À bientôt !',
+    emailSubject: 'Réservation {reference} confirmée',
+  },
+  paid: {
+    enabled: true,
+    sms: 'Paiement de {montant} reçu pour la réservation {reference}. Merci !',
+    emailSubject: 'Paiement reçu',
+  },
+  cancelled: {
+    enabled: true,
+    sms: 'Votre réservation {reference} du {date} ({heure}) a été annulée.',
+    emailSubject: 'Réservation {reference} annulée',
+  },
+  reminder: {
+    enabled: false,
+    sms: 'Rappel : votre match à {terrain} commence demain à {heure}.',
+    emailSubject: 'Rappel de votre réservation',
+  },
+};
+
+const DEMO_ACCOUNTS = [
+  { email: 'admin@samaterrain.sn', password: 'admin123', role: 'admin' },
+  { email: 'gestionnaire@samaterrain.sn', password: 'gestion123', role: 'gestionnaire' },
+];
+
+const CUSTOMERS = [
+  { name: 'Moussa Diop', phone: '+221771234567', email: 'moussa.diop@example.sn' },
+  { name: 'Awa Ndiaye', phone: '+221776543210', email: 'awa.ndiaye@example.sn' },
+  { name: 'Ibrahima Fall', phone: '+221781112233', email: '' },
+  { name: 'Fatou Sarr', phone: '+221709998877', email: 'fatou.sarr@example.sn' },
+  { name: 'Cheikh Ba', phone: '+221765554433', email: '' },
+  { name: 'Aminata Sow', phone: '+221772223344', email: 'aminata.sow@example.sn' },
+  { name: 'ASC Jappo', phone: '+221338201020', email: 'contact@ascjappo.sn' },
+  { name: 'Ousmane Gueye', phone: '+221774445566', email: '' },
+];
+
+class HttpError extends Error {
+  constructor(status, message, data) {
+    super(message);
+    this.status = status;
+    this.data = data;
+  }
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const todayStr = () => new Date().toISOString().slice(0, 10);
+const dayOf = (date) => String(date).slice(0, 10);
+const addDays = (day, n) => {
+  const d = new Date(`${day}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+const toMinutes = (time) => {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + (m || 0);
+};
+const toTime = (minutes) => `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+// Intervalle en minutes ; une fin avant le début passe au lendemain (terrain ouvert après minuit)
+const span = (startTime, endTime) => {
+  const start = toMinutes(startTime);
+  let end = toMinutes(endTime);
+  if (end <= start) end += 24 * 60;
+  return [start, end];
+};
+const overlaps = (a, b) => a[0] < b[1] && b[0] < a[1];
+
+let idCounter = 0;
+const newId = () => {
+  idCounter += 1;
+  return `${Date.now().toString(16)}${pad(idCounter % 100)}${Math.random().toString(16).slice(2, 10)}`;
+};
+const newReference = () =>
+  Array.from({ length: 6 }, () => 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'[Math.floor(Math.random() * 32)]).join('');
+
+// Générateur pseudo-aléatoire déterministe : les mêmes données d'exemple à chaque réinitialisation
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function seedDatabase() {
+  const now = new Date().toISOString();
+  const users = [
+    { _id: newId(), name: 'Admin Démo', phone: '+221770000001', isActive: true, createdAt: now, ...DEMO_ACCOUNTS[0] },
+    {
+      _id: newId(),
+      name: 'Gestionnaire Démo',
+      phone: '+221770000002',
+      isActive: true,
+      createdAt: now,
+      ...DEMO_ACCOUNTS[1],
+    },
+  ];
+  const fields = [
+    {
+      name: 'Terrain Almadies',
+      type: 5,
+      pricePerHour: 20000,
+      description: 'Gazon synthétique dernière génération, éclairage LED, à deux pas de la corniche.',
+      amenities: ['lighting', 'changing_rooms', 'parking'],
+    },
+    {
+      name: 'Terrain Ouakam',
+      type: 5,
+      pricePerHour: 18000,
+      description: 'Terrain couvert, vestiaires et douches.',
+      amenities: ['covered', 'lighting', 'changing_rooms', 'showers'],
+    },
+    {
+      name: 'Terrain Mermoz',
+      type: 7,
+      pricePerHour: 30000,
+      description: 'Idéal pour les matchs entre collègues.',
+      amenities: ['lighting', 'refreshments'],
+    },
+    {
+      name: 'Grand Terrain de Yoff',
+      type: 11,
+      pricePerHour: 60000,
+      description: 'Terrain aux dimensions officielles, tribune de 200 places.',
+      amenities: ['lighting', 'changing_rooms', 'showers', 'parking', 'refreshments'],
+    },
+  ].map((f) => ({
+    _id: newId(),
+    ...f,
+    openingTime: '09:00',
+    closingTime: '23:00',
+    isActive: true,
+    photos: [],
+    pricingRules: [],
+    createdAt: now,
+  }));
+
+  const random = seededRandom(221);
+  const today = todayStr();
+  const reservations = [];
+  for (let offset = -21; offset <= 6; offset += 1) {
+    const day = addDays(today, offset);
+    fields.forEach((field) => {
+      const duration = field.type === 11 ? 120 : 60;
+      [10, 17, 19, 21].forEach((hour) => {
+        if (random() > (hour >= 17 ? 0.55 : 0.25)) return;
+        const customer = CUSTOMERS[Math.floor(random() * CUSTOMERS.length)];
+        const past = offset < 0;
+        const cancelled = random() < 0.08;
+        const totalPrice = Math.round((field.pricePerHour * duration) / 60);
+        let paymentStatus = 'pending';
+        if (cancelled) paymentStatus = 'cancelled';
+        else if (past) paymentStatus = random() < 0.9 ? 'paid' : 'partial';
+        else if (random() < 0.3) paymentStatus = 'partial';
+        const paymentMethod = ['wave', 'orange_money', 'cash'][Math.floor(random() * 3)];
+        reservations.push({
+          _id: newId(),
+          reference: newReference(),
+          field: field._id,
+          date: `${day}T00:00:00.000Z`,
+          startTime: toTime(hour * 60),
+          endTime: toTime(hour * 60 + duration),
+          customerName: customer.name,
+          customerPhone: customer.phone,
+          customerEmail: customer.email,
+          customerAddress: '',
+          status: cancelled ? 'cancelled' : past || random() < 0.6 ? 'confirmed' : 'pending',
+          paymentStatus,
+          paymentMethod,
+          totalPrice,
+          paidAmount: { paid: totalPrice, partial: Math.round(totalPrice / 2) }[paymentStatus] || 0,
+          noShow: past && !cancelled && random() < 0.05,
+          createdAt: `${addDays(day, -2)}T10:00:00.000Z`,
+        });
+      });
+    });
+  }
+
+  return { users, fields, reservations, ...structuredClone(EMPTY_COLLECTIONS) };
+}
+
+// Collections vides à la création, et ajoutées aux données d'une version précédente de la démo
+const EMPTY_COLLECTIONS = {
+  holds: [],
+  audit: [],
+  holidays: [],
+  promoCodes: [],
+  paymentIntents: [],
+  notificationTemplates: NOTIFICATION_TEMPLATES,
+  notificationLogs: [],
+};
+
+function loadDb() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DB_KEY));
+    if (stored?.fields) return { ...structuredClone(EMPTY_COLLECTIONS), ...stored };
+  } catch {
+    // Données illisibles : on repart des données d'exemple
+  }
+  const db = seedDatabase();
+  saveDb(db);
+  return db;
+}
+
+function saveDb(db) {
+  try {
+    localStorage.setItem(DB_KEY, JSON.stringify(db));
+  } catch {
+    throw new HttpError(507, 'Stockage du navigateur plein : réinitialisez les données de démonstration.');
+  }
+}
+
+/** Remet les données d'exemple à zéro (bouton « Réinitialiser la démo »). */
+export function resetDemoData() {
+  localStorage.removeItem(DB_KEY);
+}
+
+// Événements en direct : diffusés aux autres onglets (BroadcastChannel) et à cet onglet
+const eventListeners = new Set(); // { handler, auth }
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(EVENTS_CHANNEL) : null;
+
+// Flux public : le créneau concerné seulement, jamais les coordonnées du client
+const publicSlot = (reservation) =>
+  reservation && {
+    fieldId: reservation.field?._id || reservation.field,
+    date: dayOf(reservation.date),
+    startTime: reservation.startTime,
+    endTime: reservation.endTime,
+    status: reservation.status,
+  };
+
+function dispatch(event) {
+  eventListeners.forEach(({ handler, auth }) =>
+    handler(auth ? event : { type: event.type, slot: publicSlot(event.reservation) })
+  );
+}
+channel?.addEventListener('message', (event) => dispatch(event.data));
+
+function emit(type, reservation) {
+  const event = { type, reservation };
+  channel?.postMessage(event);
+  dispatch(event);
+}
+
+/** Équivalent démo des flux SSE de live.js (public ou admin selon `auth`) ; renvoie le désabonnement. */
+export function subscribeMockEvents(handler, { auth = false } = {}) {
+  const listener = { handler, auth };
+  eventListeners.add(listener);
+  return () => eventListeners.delete(listener);
+}
+
+// Jeton au format JWT (non signé) pour que tokenExpiry() et le renouvellement fonctionnent comme en réel
+const base64Url = (value) => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+function issueToken(user) {
+  const exp = Math.floor((Date.now() + TOKEN_TTL_MS) / 1000);
+  const token = `${base64Url({ alg: 'none', typ: 'JWT' })}.${base64Url({ sub: user._id, role: user.role, exp })}.demo`;
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+function userFromToken(db, token) {
+  if (!token) return null;
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    if (payload.exp * 1000 < Date.now()) return null;
+    const user = db.users.find((u) => u._id === payload.sub);
+    return user && user.isActive !== false ? user : null;
+  } catch {
+    return null;
+  }
+}
+
+const publicUser = (user) => Object.fromEntries(Object.entries(user).filter(([key]) => key !== 'password'));
+
+const findOr404 = (list, id, message) => {
+  const item = list.find((entry) => entry._id === id);
+  if (!item) throw new HttpError(404, message);
+  return item;
+};
+
+const populate = (db, reservation) => {
+  const field = db.fields.find((f) => f._id === reservation.field);
+  return {
+    ...reservation,
+    field: field ? { _id: field._id, name: field.name, type: field.type, pricePerHour: field.pricePerHour } : null,
+  };
+};
+
+const durationOf = (startTime, endTime) => {
+  const [start, end] = span(startTime, endTime);
+  return end - start;
+};
+
+/**
+ * Prix d'un créneau, minute par minute : la première règle tarifaire du terrain qui correspond
+ * ({ days, holiday, startTime, endTime, pricePerHour }) s'applique, sinon le tarif de base. Un jour férié
+ * ne retient que les règles `holiday`. Heures ancrées sur l'ouverture, comme l'écran des tarifs.
+ */
+function priceFor(db, field, { date, startTime, endTime }) {
+  const opening = toMinutes(field.openingTime || '09:00');
+  const anchored = (minutes) => {
+    const time = minutes % (24 * 60);
+    return time < opening ? time + 24 * 60 : time;
+  };
+  const holiday = db.holidays.some((h) => h.date === dayOf(date));
+  const day = new Date(`${dayOf(date)}T00:00:00Z`).getUTCDay();
+  const rules = (field.pricingRules || []).filter((r) =>
+    holiday ? r.holiday : (r.days || []).map(Number).includes(day)
+  );
+  const [start, end] = span(startTime, endTime);
+  let total = 0;
+  for (let minute = start; minute < end; minute += 1) {
+    const at = anchored(minute);
+    const rule = rules.find(
+      (r) =>
+        at >= (r.startTime ? anchored(toMinutes(r.startTime)) : 0) &&
+        at < (r.endTime ? anchored(toMinutes(r.endTime)) : Infinity)
+    );
+    total += (rule ? Number(rule.pricePerHour) || 0 : Number(field.pricePerHour) || 0) / 60;
+  }
+  return Math.round(total);
+}
+
+const activeHolds = (db) => db.holds.filter((h) => new Date(h.expiresAt).getTime() > Date.now());
+
+/** Réservations (et blocages) qui chevauchent le créneau demandé sur ce terrain. */
+function conflicts(db, slot, { excludeReservation, excludeHold, includeHolds = true } = {}) {
+  const { fieldId, date, startTime, endTime } = slot;
+  const wanted = span(startTime, endTime);
+  const taken = db.reservations.some(
+    (r) =>
+      r._id !== excludeReservation &&
+      r.status !== 'cancelled' &&
+      r.field === fieldId &&
+      dayOf(r.date) === dayOf(date) &&
+      overlaps(span(r.startTime, r.endTime), wanted)
+  );
+  if (taken || !includeHolds) return taken;
+  return activeHolds(db).some(
+    (h) =>
+      h._id !== excludeHold &&
+      h.fieldId === fieldId &&
+      dayOf(h.date) === dayOf(date) &&
+      overlaps(span(h.startTime, h.endTime), wanted)
+  );
+}
+
+function assertBookable(db, slot, options) {
+  const field = db.fields.find((f) => f._id === slot.fieldId);
+  if (!field) throw new HttpError(404, 'Terrain introuvable.');
+  if (!slot.date || !slot.startTime || !slot.endTime) throw new HttpError(400, 'Créneau incomplet.');
+  if (conflicts(db, slot, options)) {
+    throw new HttpError(409, "Ce créneau vient d'être réservé. Choisissez-en un autre.");
+  }
+  return field;
+}
+
+// Terrain tel qu'il apparaît dans l'historique : { _id, name } pour un affichage lisible
+function fieldRef(db, id) {
+  const field = db.fields.find((f) => f._id === id);
+  return field ? { _id: field._id, name: field.name } : id;
+}
+
+/**
+ * Entrée d'historique. L'auteur vient toujours du jeton ; `recordedAt` (heure de saisie d'une écriture
+ * rejouée depuis la file hors ligne) n'est qu'une indication du client, gardée à côté de l'heure réelle.
+ */
+function audit(db, reservation, action, user, before = {}, after = {}, recordedAt = null) {
+  db.audit.push({
+    _id: newId(),
+    reservation: reservation._id,
+    action,
+    user: user ? { _id: user._id, name: user.name } : null,
+    before,
+    after,
+    createdAt: new Date().toISOString(),
+    ...(recordedAt && !Number.isNaN(new Date(recordedAt).getTime()) ? { recordedAt } : {}),
+  });
+}
+
+function createReservation(db, { field, slot, customer, user, action, extra, recordedAt }) {
+  const reservation = {
+    _id: newId(),
+    reference: newReference(),
+    field: field._id,
+    date: `${dayOf(slot.date)}T00:00:00.000Z`,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    customerName: customer.name || '',
+    customerPhone: customer.phone || '',
+    customerEmail: customer.email || '',
+    customerAddress: customer.address || '',
+    status: 'pending',
+    paymentStatus: 'pending',
+    paymentMethod: 'cash',
+    totalPrice: priceFor(db, field, slot),
+    paidAmount: 0,
+    noShow: false,
+    createdAt: new Date().toISOString(),
+    ...extra,
+  };
+  db.reservations.push(reservation);
+  audit(
+    db,
+    reservation,
+    action,
+    user,
+    {},
+    { status: reservation.status, totalPrice: reservation.totalPrice },
+    recordedAt
+  );
+  return reservation;
+}
+
+const customerKey = (phone) => String(phone || '').replace(/\D/g, '').slice(-9);
+const startOf = (r) => new Date(`${dayOf(r.date)}T${r.startTime}:00`);
+
+/**
+ * Historique fidélité d'un numéro : les matchs joués et les réservations confirmées à venir comptent
+ * comme visites (on ne peut pas cumuler la remise de la N-ième en réservant d'avance), les heures
+ * seulement pour les matchs joués.
+ */
+function customerStats(db, phone) {
+  const key = customerKey(phone);
+  const now = Date.now();
+  const active = db.reservations.filter(
+    (r) => key && customerKey(r.customerPhone) === key && r.status !== 'cancelled' && !r.noShow
+  );
+  const played = active.filter((r) => startOf(r).getTime() < now);
+  const upcoming = active.filter((r) => startOf(r).getTime() >= now && r.status === 'confirmed');
+  return {
+    visits: played.length + upcoming.length,
+    hoursPlayed: played.reduce((sum, r) => sum + durationOf(r.startTime, r.endTime) / 60, 0),
+  };
+}
+
+/** Remise de la prochaine réservation : { percent, rule ('hours' | 'nth'), count } ou null. */
+function nextLoyaltyDiscount({ visits, hoursPlayed }) {
+  if (LOYALTY.hoursThreshold > 0 && hoursPlayed >= LOYALTY.hoursThreshold) {
+    return { percent: LOYALTY.discountPercent, rule: 'hours', count: LOYALTY.hoursThreshold };
+  }
+  const next = visits + 1;
+  if (LOYALTY.everyNBookings > 0 && next % LOYALTY.everyNBookings === 0) {
+    return { percent: LOYALTY.discountPercent, rule: 'nth', count: next };
+  }
+  return null;
+}
+
+/** Utilisations d'un code promo (réservations non annulées), au total ou pour un numéro. */
+function promoUses(db, code, phone) {
+  const key = phone && customerKey(phone);
+  return db.reservations.filter(
+    (r) => r.promoCode === code && r.status !== 'cancelled' && (!key || customerKey(r.customerPhone) === key)
+  ).length;
+}
+
+/** Code promo applicable au créneau et au numéro, sinon erreur 400 avec la raison du refus. */
+function validPromo(db, code, field, slot, phone) {
+  const promo = db.promoCodes.find((p) => p.code === String(code || '').trim().toUpperCase());
+  if (!promo || promo.active === false) throw new HttpError(400, 'Code promo inconnu ou désactivé.');
+  const day = dayOf(slot.date);
+  if ((promo.startDate && day < dayOf(promo.startDate)) || (promo.endDate && day > dayOf(promo.endDate))) {
+    throw new HttpError(400, "Ce code promo n'est pas valable à cette date.");
+  }
+  if (promo.fieldTypes?.length && !promo.fieldTypes.map(String).includes(String(field.type))) {
+    throw new HttpError(400, "Ce code promo ne s'applique pas à ce format de terrain.");
+  }
+  if ((promo.startTime && slot.startTime < promo.startTime) || (promo.endTime && slot.endTime > promo.endTime)) {
+    throw new HttpError(400, "Ce code promo n'est pas valable sur cet horaire.");
+  }
+  if (promo.maxUses && promoUses(db, promo.code) >= promo.maxUses) {
+    throw new HttpError(400, "Ce code promo a atteint son nombre maximal d'utilisations.");
+  }
+  if (promo.maxUsesPerPhone && phone && promoUses(db, promo.code, phone) >= promo.maxUsesPerPhone) {
+    throw new HttpError(400, 'Ce code promo a déjà été utilisé avec ce numéro.');
+  }
+  return promo;
+}
+
+/** Champs d'un code promo saisis dans le formulaire ; vides = pas de restriction. */
+function promoFields(db, body, id = null) {
+  const code = String(body?.code || '').trim().toUpperCase();
+  if (!code) throw new HttpError(400, 'Le code est requis.');
+  if (db.promoCodes.some((p) => p.code === code && p._id !== id)) throw new HttpError(409, 'Ce code existe déjà.');
+  const value = Number(body.value) || 0;
+  const discountType = body.discountType === 'fixed' ? 'fixed' : 'percent';
+  if (value <= 0 || (discountType === 'percent' && value > 100)) throw new HttpError(400, 'Remise invalide.');
+  const count = (v) => (v === null || v === undefined || v === '' ? null : Number(v));
+  return {
+    code,
+    label: String(body.label || ''),
+    discountType,
+    value,
+    startDate: body.startDate || null,
+    endDate: body.endDate || null,
+    fieldTypes: (body.fieldTypes || []).map(String),
+    startTime: body.startTime || null,
+    endTime: body.endTime || null,
+    maxUses: count(body.maxUses),
+    maxUsesPerPhone: count(body.maxUsesPerPhone),
+  };
+}
+
+/**
+ * Prix appliqué à l'enregistrement d'une réservation : tarif du créneau, code promo éventuel
+ * (pourcentage ou montant fixe), puis remise fidélité sur le reste.
+ */
+function bookingPricing(db, field, slot, { phone, promoCode } = {}) {
+  const basePrice = priceFor(db, field, slot);
+  const promo = promoCode ? validPromo(db, promoCode, field, slot, phone) : null;
+  const value = Number(promo?.value) || 0;
+  const promoDiscount = promo
+    ? Math.min(basePrice, Math.round(promo.discountType === 'fixed' ? value : (basePrice * value) / 100))
+    : 0;
+  const loyaltyDiscountPercent = nextLoyaltyDiscount(customerStats(db, phone))?.percent || 0;
+  const loyaltyDiscount = Math.round(((basePrice - promoDiscount) * loyaltyDiscountPercent) / 100);
+  return {
+    basePrice,
+    promoCode: promo?.code || null,
+    promoDiscount,
+    loyaltyDiscountPercent,
+    loyaltyDiscount,
+    totalPrice: basePrice - promoDiscount - loyaltyDiscount,
+  };
+}
+
+/** Envoi simulé (fournisseur « console ») : le message est écrit dans la console et journalisé. */
+function sendNotification(db, { event, channel, to }) {
+  const template = db.notificationTemplates[event] || {};
+  const text = channel === 'email' ? template.email || template.sms : template.sms;
+  console.info(`[notification démo] ${channel} → ${to} : ${text || '(modèle vide)'}`);
+  const log = { _id: newId(), event, channel, to, status: 'sent', createdAt: new Date().toISOString() };
+  db.notificationLogs.unshift(log);
+  db.notificationLogs.length = Math.min(db.notificationLogs.length, 200);
+  return log;
+}
+
+// Tranches horaires des statistiques, en heures depuis minuit (26 = 02h le lendemain)
+const STATS_HOUR_BANDS = [
+  [9, 12],
+  [12, 15],
+  [15, 18],
+  [18, 21],
+  [21, 24],
+  [24, 26],
+];
+
+/** Statistiques d'une période (hors annulations) : occupation, encaissements, acomptes à solder. */
+function reservationStats(db, { from, to, type }) {
+  if (!from || !to) throw new HttpError(400, 'Période requise.');
+  const days = Math.round((new Date(`${to}T12:00:00Z`) - new Date(`${from}T12:00:00Z`)) / 86400000) + 1;
+  const fields = db.fields.filter((f) => !type || String(f.type) === String(type));
+  const rows = db.reservations.filter(
+    (r) =>
+      r.status !== 'cancelled' &&
+      dayOf(r.date) >= from &&
+      dayOf(r.date) <= to &&
+      fields.some((f) => f._id === r.field)
+  );
+  // Les réservations avant 09h appartiennent à la nuit de la veille, comme dans le planning
+  const range = (r) => {
+    const [start, end] = span(r.startTime, r.endTime);
+    return start < 9 * 60 ? [start + 24 * 60, end + 24 * 60] : [start, end];
+  };
+  const byMethod = {};
+  rows.forEach((r) => {
+    const key = r.paymentMethod || 'none';
+    byMethod[key] = byMethod[key] || { method: r.paymentMethod || null, expected: 0, collected: 0, count: 0 };
+    byMethod[key].expected += r.totalPrice || 0;
+    byMethod[key].collected += r.paidAmount || 0;
+    byMethod[key].count += 1;
+  });
+  const partials = rows.filter((r) => r.paymentStatus === 'partial').sort((a, b) => startOf(a) - startOf(b));
+  return {
+    count: rows.length,
+    totalExpected: rows.reduce((sum, r) => sum + (r.totalPrice || 0), 0),
+    totalCollected: rows.reduce((sum, r) => sum + (r.paidAmount || 0), 0),
+    outstanding: partials.reduce((sum, r) => sum + (r.totalPrice || 0) - (r.paidAmount || 0), 0),
+    byField: fields.map((f) => {
+      const [open, close] = span(f.openingTime || '09:00', f.closingTime || '02:00');
+      return {
+        fieldId: f._id,
+        name: f.name,
+        booked: rows.filter((r) => r.field === f._id).reduce((sum, r) => sum + durationOf(r.startTime, r.endTime) / 60, 0),
+        capacity: ((close - open) / 60) * days,
+      };
+    }),
+    byBand: STATS_HOUR_BANDS.map(([start, end]) => ({
+      start,
+      end,
+      booked: rows.reduce((sum, r) => {
+        const [rStart, rEnd] = range(r);
+        return sum + Math.max(0, Math.min(rEnd, end * 60) - Math.max(rStart, start * 60)) / 60;
+      }, 0),
+      capacity: (end - start) * days * fields.length,
+    })),
+    byMethod: Object.values(byMethod),
+    partials: partials.map((r) => populate(db, r)),
+  };
+}
+
+/** Annuaire clients : un client par numéro, agrégé sur toutes ses réservations. */
+function listCustomers(db) {
+  const groups = {};
+  db.reservations.forEach((r) => {
+    const key = customerKey(r.customerPhone);
+    if (!key) return;
+    groups[key] = groups[key] || { key, phone: r.customerPhone, reservations: [] };
+    groups[key].reservations.push(r);
+  });
+  return Object.values(groups).map(({ reservations, ...customer }) => {
+    const sorted = [...reservations].sort((a, b) => startOf(b) - startOf(a));
+    const active = sorted.filter((r) => r.status !== 'cancelled');
+    const stats = customerStats(db, customer.phone);
+    return {
+      ...customer,
+      name: sorted.find((r) => r.customerName)?.customerName || '',
+      ...stats,
+      spent: active.reduce((sum, r) => sum + (r.paidAmount || 0), 0),
+      unpaid: active
+        .filter((r) => r.paymentStatus !== 'paid')
+        .reduce((sum, r) => sum + Math.max(0, (r.totalPrice || 0) - (r.paidAmount || 0)), 0),
+      noShows: sorted.filter((r) => r.noShow).length,
+      lastDate: sorted[0] ? startOf(sorted[0]).toISOString() : null,
+      nextDiscount: nextLoyaltyDiscount(stats),
+    };
+  });
+}
+
+/** Créneaux libres : tous les débuts à l'heure pile entre ouverture et fermeture, pour la durée demandée. */
+function availability(db, { date, type, duration, excludeReservation }, { staff }) {
+  if (!date || !type) throw new HttpError(400, 'Date et type de terrain requis.');
+  const minutes = Number(duration) || DEFAULT_DURATION;
+  const isToday = dayOf(date) === todayStr();
+  const now = new Date();
+  const nowMinutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+  const holds = activeHolds(db);
+  const slots = [];
+  db.fields
+    .filter((f) => String(f.type) === String(type) && (staff || f.isActive !== false))
+    .forEach((field) => {
+      const [open, close] = span(field.openingTime || '09:00', field.closingTime || '02:00');
+      for (let start = open; start + minutes <= close; start += 60) {
+        if (isToday && start <= nowMinutes) continue;
+        const slot = { fieldId: field._id, date, startTime: toTime(start), endTime: toTime(start + minutes) };
+        if (conflicts(db, slot, { excludeReservation, includeHolds: false })) continue;
+        const wanted = [start, start + minutes];
+        slots.push({
+          fieldId: field._id,
+          fieldName: field.name,
+          type: field.type,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          pricePerHour: field.pricePerHour,
+          price: priceFor(db, field, slot),
+          held: holds.some(
+            (h) =>
+              h.fieldId === field._id && dayOf(h.date) === dayOf(date) && overlaps(span(h.startTime, h.endTime), wanted)
+          ),
+        });
+      }
+    });
+  return slots.sort(
+    (a, b) => toMinutes(a.startTime) - toMinutes(b.startTime) || a.fieldName.localeCompare(b.fieldName)
+  );
+}
+
+function listReservations(db, query) {
+  const q = (query.q || '').trim().toLowerCase();
+  let items = db.reservations
+    .map((r) => populate(db, r))
+    .filter((r) => {
+      const searchable = [r.customerName, r.customerPhone, r.customerEmail, r.reference];
+      if (q && !searchable.some((v) => v?.toLowerCase().includes(q))) return false;
+      if (query.status && r.status !== query.status) return false;
+      if (query.paymentStatus && r.paymentStatus !== query.paymentStatus) return false;
+      if (query.paymentMethod && r.paymentMethod !== query.paymentMethod) return false;
+      if (query.field && r.field?._id !== query.field) return false;
+      if (query.type && String(r.field?.type) !== String(query.type)) return false;
+      if (query.from && dayOf(r.date) < query.from) return false;
+      if (query.to && dayOf(r.date) > query.to) return false;
+      return true;
+    })
+    .sort((a, b) => dayOf(b.date).localeCompare(dayOf(a.date)) || b.startTime.localeCompare(a.startTime));
+  // Sans pagination demandée, l'API renvoie la liste complète (statistiques, planning)
+  if (query.offset === undefined && query.limit === undefined) return items;
+  const total = items.length;
+  const offset = Number(query.offset) || 0;
+  items = items.slice(offset, offset + (Number(query.limit) || total));
+  return { items, total };
+}
+
+function seriesDates({ startDate, frequency, count, until }) {
+  const step = frequency === 'biweekly' ? 14 : 7;
+  const dates = [];
+  for (let day = startDate; dates.length < 52; day = addDays(day, step)) {
+    if (until ? day > until : dates.length >= (Number(count) || 1)) break;
+    dates.push(day);
+  }
+  return dates;
+}
+
+function findPublicReservation(db, { phone, reference }) {
+  const reservation = db.reservations.find(
+    (r) => r.customerPhone === phone && r.reference === String(reference || '').toUpperCase()
+  );
+  if (!reservation) throw new HttpError(404, 'Réservation introuvable.');
+  return reservation;
+}
+
+function applyPatch(db, reservation, patch, user) {
+  const keys = Object.keys(patch).filter((key) => JSON.stringify(reservation[key]) !== JSON.stringify(patch[key]));
+  if (!keys.length) return;
+  const before = Object.fromEntries(keys.map((key) => [key, reservation[key]]));
+  Object.assign(reservation, Object.fromEntries(keys.map((key) => [key, patch[key]])));
+  let action = 'update';
+  if (patch.status === 'cancelled') action = 'cancel';
+  else if (patch.status === 'confirmed') action = 'confirm';
+  else if ('paymentStatus' in patch || 'paidAmount' in patch) action = 'payment';
+  else if (keys.length === 1 && keys[0] === 'paymentMethod') action = 'payment-method';
+  audit(db, reservation, action, user, before, Object.fromEntries(keys.map((key) => [key, reservation[key]])));
+}
+
+const FIELD_PATCH_KEYS = [
+  'name',
+  'description',
+  'pricePerHour',
+  'openingTime',
+  'closingTime',
+  'isActive',
+  'photos',
+  'pricingRules',
+  'amenities',
+];
+const RESERVATION_PATCH_KEYS = ['status', 'paymentStatus', 'paymentMethod', 'paidAmount', 'totalPrice', 'noShow'];
+const pick = (source, keys) => Object.fromEntries(keys.filter((key) => key in source).map((key) => [key, source[key]]));
+
+const readFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// Table de routage : [méthode, chemin, accès ('public' | 'staff' | 'admin'), traitement]
+const routes = [
+  [
+    'POST',
+    '/auth/login',
+    'public',
+    ({ db, body }) => {
+      const user = db.users.find(
+        (u) => u.email.toLowerCase() === String(body?.email || '').trim().toLowerCase() && u.password === body?.password
+      );
+      if (!user) throw new HttpError(401, 'Email ou mot de passe incorrect.');
+      if (user.isActive === false) throw new HttpError(403, 'Ce compte est désactivé.');
+      return { ...issueToken(user), user: publicUser(user) };
+    },
+  ],
+  ['GET', '/auth/me', 'staff', ({ user }) => ({ user: publicUser(user) })],
+  ['POST', '/auth/refresh', 'staff', ({ user }) => issueToken(user)],
+  ['GET', '/auth/users', 'admin', ({ db }) => db.users.map(publicUser)],
+  [
+    'POST',
+    '/auth/create-gestionnaire',
+    'admin',
+    ({ db, body }) => {
+      const email = String(body?.email || '').trim().toLowerCase();
+      if (db.users.some((u) => u.email.toLowerCase() === email)) {
+        throw new HttpError(409, 'Un compte existe déjà avec cet email.');
+      }
+      const user = {
+        _id: newId(),
+        name: body.name,
+        email,
+        phone: body.phone || '',
+        password: body.password,
+        role: 'gestionnaire',
+        isActive: true,
+        createdAt: new Date().toISOString(),
+      };
+      db.users.push(user);
+      return { user: publicUser(user) };
+    },
+  ],
+  [
+    'PATCH',
+    '/auth/users/:id',
+    'admin',
+    ({ db, params, body }) => {
+      const user = findOr404(db.users, params.id, 'Utilisateur introuvable.');
+      Object.assign(user, pick(body || {}, ['name', 'email', 'phone', 'role', 'isActive']));
+      return { user: publicUser(user) };
+    },
+  ],
+  [
+    'DELETE',
+    '/auth/users/:id',
+    'admin',
+    ({ db, params, user }) => {
+      if (params.id === user._id) throw new HttpError(400, 'Vous ne pouvez pas supprimer votre propre compte.');
+      findOr404(db.users, params.id, 'Utilisateur introuvable.');
+      db.users = db.users.filter((u) => u._id !== params.id);
+      return { ok: true };
+    },
+  ],
+  [
+    'POST',
+    '/auth/users/:id/reset-password',
+    'admin',
+    ({ db, params }) => {
+      const user = findOr404(db.users, params.id, 'Utilisateur introuvable.');
+      user.password = Math.random().toString(36).slice(2, 10);
+      return { temporaryPassword: user.password };
+    },
+  ],
+
+  [
+    'GET',
+    '/fields',
+    'public',
+    ({ db, user }) => (user ? db.fields : db.fields.filter((f) => f.isActive !== false)),
+  ],
+  [
+    'POST',
+    '/fields',
+    'admin',
+    ({ db, body }) => {
+      if (!body?.name?.trim()) throw new HttpError(400, 'Le nom du terrain est requis.');
+      const field = {
+        _id: newId(),
+        name: body.name.trim(),
+        description: body.description || '',
+        type: Number(body.type) || 5,
+        pricePerHour: Number(body.pricePerHour) || 0,
+        amenities: [],
+        openingTime: '09:00',
+        closingTime: '23:00',
+        isActive: true,
+        photos: [],
+        pricingRules: [],
+        createdAt: new Date().toISOString(),
+      };
+      db.fields.push(field);
+      return field;
+    },
+  ],
+  [
+    'PATCH',
+    '/fields/:id',
+    'admin',
+    ({ db, params, body }) => {
+      const field = findOr404(db.fields, params.id, 'Terrain introuvable.');
+      const { applyPricingToType, ...patch } = body || {};
+      Object.assign(field, pick(patch, FIELD_PATCH_KEYS));
+      if (applyPricingToType) {
+        db.fields
+          .filter((f) => f.type === field.type)
+          .forEach((f) => {
+            f.pricingRules = field.pricingRules;
+          });
+      }
+      return field;
+    },
+  ],
+  [
+    'DELETE',
+    '/fields/:id',
+    'admin',
+    ({ db, params }) => {
+      findOr404(db.fields, params.id, 'Terrain introuvable.');
+      const upcoming = db.reservations.some(
+        (r) => r.field === params.id && r.status !== 'cancelled' && dayOf(r.date) >= todayStr()
+      );
+      if (upcoming) throw new HttpError(409, 'Ce terrain a des réservations à venir.');
+      db.fields = db.fields.filter((f) => f._id !== params.id);
+      return { ok: true };
+    },
+  ],
+  [
+    'POST',
+    '/fields/:id/photos',
+    'admin',
+    async ({ db, params, body }) => {
+      const field = findOr404(db.fields, params.id, 'Terrain introuvable.');
+      const files = body instanceof FormData ? body.getAll('photos') : [];
+      const urls = await Promise.all(files.map(readFile));
+      field.photos = [...(field.photos || []), ...urls];
+      return { photos: field.photos };
+    },
+  ],
+
+  ['GET', '/pricing/holidays', 'staff', ({ db }) => db.holidays],
+  [
+    'PUT',
+    '/pricing/holidays',
+    'admin',
+    ({ db, body }) => {
+      db.holidays = (Array.isArray(body) ? body : [])
+        .filter((h) => /^\d{4}-\d{2}-\d{2}$/.test(h?.date || ''))
+        .map((h) => ({ date: h.date, label: String(h.label || '') }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+      return db.holidays;
+    },
+  ],
+
+  [
+    'GET',
+    '/promo-codes',
+    'admin',
+    ({ db }) => db.promoCodes.map((promo) => ({ ...promo, usedCount: promoUses(db, promo.code) })),
+  ],
+  [
+    'POST',
+    '/promo-codes',
+    'admin',
+    ({ db, body }) => {
+      const promo = { _id: newId(), active: true, createdAt: new Date().toISOString(), ...promoFields(db, body) };
+      db.promoCodes.push(promo);
+      return promo;
+    },
+  ],
+  [
+    'PATCH',
+    '/promo-codes/:id',
+    'admin',
+    ({ db, params, body }) => {
+      const promo = findOr404(db.promoCodes, params.id, 'Code promo introuvable.');
+      // Activation seule, ou modification complète depuis le formulaire
+      const keys = Object.keys(body || {});
+      if (keys.length === 1 && keys[0] === 'active') promo.active = body.active !== false;
+      else Object.assign(promo, promoFields(db, body, promo._id));
+      return promo;
+    },
+  ],
+  [
+    'DELETE',
+    '/promo-codes/:id',
+    'admin',
+    ({ db, params }) => {
+      findOr404(db.promoCodes, params.id, 'Code promo introuvable.');
+      db.promoCodes = db.promoCodes.filter((p) => p._id !== params.id);
+      return { ok: true };
+    },
+  ],
+  [
+    'POST',
+    '/promo-codes/validate',
+    'public',
+    ({ db, body }) => {
+      const field = findOr404(db.fields, body?.fieldId, 'Terrain introuvable.');
+      const slot = { ...body, date: dayOf(body?.date || '') };
+      const { _id, code, label, discountType, value } = validPromo(db, body.code, field, slot, body.phone);
+      return { _id, code, label, discountType, value };
+    },
+  ],
+
+  [
+    'GET',
+    '/reservations/availability',
+    'public',
+    ({ db, query, user }) => availability(db, query, { staff: Boolean(user) }),
+  ],
+  [
+    'POST',
+    '/reservations/holds',
+    'public',
+    ({ db, body }) => {
+      assertBookable(db, body || {});
+      const hold = {
+        _id: newId(),
+        fieldId: body.fieldId,
+        date: dayOf(body.date),
+        startTime: body.startTime,
+        endTime: body.endTime,
+        expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000).toISOString(),
+      };
+      db.holds = [...activeHolds(db), hold];
+      emit('reservation.updated', null);
+      return hold;
+    },
+  ],
+  [
+    'DELETE',
+    '/reservations/holds/:id',
+    'public',
+    ({ db, params }) => {
+      db.holds = activeHolds(db).filter((h) => h._id !== params.id);
+      emit('reservation.updated', null);
+      return { ok: true };
+    },
+  ],
+  [
+    'POST',
+    '/reservations/holds/:id/quote',
+    'public',
+    ({ db, params, body }) => {
+      // Devis lié à un blocage en cours : l'éligibilité fidélité d'un numéro n'est pas exposée autrement
+      const hold = findOr404(activeHolds(db), params.id, 'Blocage expiré, choisissez à nouveau un créneau.');
+      const field = findOr404(db.fields, hold.fieldId, 'Terrain introuvable.');
+      return bookingPricing(db, field, hold, { phone: body?.phone, promoCode: body?.promoCode });
+    },
+  ],
+  [
+    'POST',
+    '/reservations/public',
+    'public',
+    ({ db, body }) => {
+      const slot = { ...body, date: dayOf(body?.date || '') };
+      const field = assertBookable(db, slot, { excludeHold: body?.holdId });
+      if (!body.name?.trim() || !body.phone) throw new HttpError(400, 'Nom et téléphone requis.');
+      db.holds = activeHolds(db).filter((h) => h._id !== body.holdId);
+      const reservation = createReservation(db, {
+        field,
+        slot,
+        customer: body,
+        user: null,
+        action: 'public-create',
+        extra: {
+          paymentMethod: body.paymentMethod || 'cash',
+          ...pick(bookingPricing(db, field, slot, body), ['totalPrice', 'loyaltyDiscountPercent', 'promoCode']),
+        },
+      });
+      emit('reservation.created', populate(db, reservation));
+      return { reservation: populate(db, reservation) };
+    },
+  ],
+  [
+    'GET',
+    '/reservations/public/lookup',
+    'public',
+    ({ db, query }) => ({ reservation: populate(db, findPublicReservation(db, query)) }),
+  ],
+  [
+    'GET',
+    '/reservations/public/:id/payment-status',
+    'public',
+    ({ db, params }) => ({
+      reservation: populate(db, findOr404(db.reservations, params.id, 'Réservation introuvable.')),
+    }),
+  ],
+  [
+    'POST',
+    '/reservations/public/:id/cancel',
+    'public',
+    ({ db, params, body }) => {
+      const reservation = findPublicReservation(db, body || {});
+      if (reservation._id !== params.id) throw new HttpError(404, 'Réservation introuvable.');
+      applyPatch(db, reservation, { status: 'cancelled', paymentStatus: 'cancelled' }, null);
+      emit('reservation.cancelled', populate(db, reservation));
+      return { reservation: populate(db, reservation) };
+    },
+  ],
+  [
+    'POST',
+    '/reservations/public/:id/reschedule-request',
+    'public',
+    ({ db, params, body }) => {
+      const reservation = findPublicReservation(db, body || {});
+      if (reservation._id !== params.id) throw new HttpError(404, 'Réservation introuvable.');
+      reservation.rescheduleRequest = { message: body.message || '', createdAt: new Date().toISOString() };
+      return { ok: true };
+    },
+  ],
+
+  [
+    'POST',
+    '/payments/checkout',
+    'public',
+    ({ db, body }) => {
+      const reservation = findPublicReservation(db, body || {});
+      if (reservation._id !== body.reservationId) throw new HttpError(404, 'Réservation introuvable.');
+      // Paiement sur place : pas de page de paiement, le client règle au terrain
+      if (!MOBILE_PROVIDERS.includes(body.provider)) return {};
+      const intent = {
+        _id: newId(),
+        reservation: reservation._id,
+        provider: body.provider,
+        amount: Math.max(0, (reservation.totalPrice || 0) - (reservation.paidAmount || 0)),
+        returnUrl: body.returnUrl || '/paiement/retour',
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+      };
+      db.paymentIntents.push(intent);
+      const query = new URLSearchParams({ intent: intent._id, amount: intent.amount, provider: intent.provider });
+      return { intentId: intent._id, checkoutUrl: `/paiement/mock?${query}` };
+    },
+  ],
+  [
+    'POST',
+    '/payments/mock/:id/complete',
+    'public',
+    ({ db, params, body }) => {
+      const intent = findOr404(db.paymentIntents, params.id, 'Paiement introuvable.');
+      if (intent.status !== 'pending') throw new HttpError(409, 'Ce paiement a déjà été traité.');
+      const outcome = ['paid', 'partial', 'failed'].includes(body?.outcome) ? body.outcome : 'failed';
+      const reservation = findOr404(db.reservations, intent.reservation, 'Réservation introuvable.');
+      const before = pick(reservation, ['status', 'paymentStatus', 'paymentMethod', 'paidAmount']);
+      intent.status = outcome;
+      if (outcome === 'failed') {
+        // Un échec ne remet pas en cause un acompte déjà versé
+        if (!reservation.paidAmount) reservation.paymentStatus = 'failed';
+      } else {
+        // Issue « partielle » : la moitié du montant, comme un acompte
+        const received = outcome === 'paid' ? intent.amount : Math.round(intent.amount / 2);
+        const paidAmount = (reservation.paidAmount || 0) + received;
+        Object.assign(reservation, {
+          paidAmount,
+          paymentMethod: intent.provider,
+          paymentStatus: paidAmount >= reservation.totalPrice ? 'paid' : 'partial',
+          status: reservation.status === 'pending' ? 'confirmed' : reservation.status,
+        });
+      }
+      audit(db, reservation, 'payment', null, before, pick(reservation, Object.keys(before)));
+      emit('reservation.updated', populate(db, reservation));
+      return { returnUrl: intent.returnUrl };
+    },
+  ],
+
+  ['GET', '/reservations', 'staff', ({ db, query }) => listReservations(db, query)],
+  ['GET', '/reservations/stats', 'staff', ({ db, query }) => reservationStats(db, query)],
+  ['GET', '/loyalty/program', 'public', () => ({ ...LOYALTY })],
+  [
+    'GET',
+    '/customers/loyalty',
+    'staff',
+    ({ db, query }) => {
+      const stats = customerStats(db, query.phone);
+      return { ...stats, nextDiscount: nextLoyaltyDiscount(stats) };
+    },
+  ],
+  ['GET', '/customers', 'staff', ({ db }) => listCustomers(db)],
+  [
+    'GET',
+    '/customers/:key/reservations',
+    'staff',
+    ({ db, params }) =>
+      db.reservations
+        .filter((r) => customerKey(r.customerPhone) === params.key)
+        .sort((a, b) => startOf(b) - startOf(a))
+        .map((r) => populate(db, r)),
+  ],
+  [
+    'POST',
+    '/reservations/admin-create',
+    'staff',
+    ({ db, body, user }) => {
+      const slot = { ...body, date: dayOf(body?.date || '') };
+      const field = assertBookable(db, slot);
+      const reservation = createReservation(db, {
+        field,
+        slot,
+        customer: body,
+        user,
+        action: 'admin-create',
+        recordedAt: body.recordedAt,
+        extra: {
+          status: 'confirmed',
+          ...pick(bookingPricing(db, field, slot, { phone: body.phone }), ['totalPrice', 'loyaltyDiscountPercent']),
+        },
+      });
+      emit('reservation.created', populate(db, reservation));
+      return { reservation: populate(db, reservation) };
+    },
+  ],
+  [
+    'POST',
+    '/reservations/series/preview',
+    'staff',
+    ({ db, body }) => ({
+      occurrences: seriesDates(body || {}).map((date) => ({
+        date,
+        conflict: conflicts(db, { ...body, date }),
+      })),
+    }),
+  ],
+  [
+    'POST',
+    '/reservations/series',
+    'staff',
+    ({ db, body, user }) => {
+      const field = findOr404(db.fields, body?.fieldId, 'Terrain introuvable.');
+      const skip = new Set(body.skipDates || []);
+      const seriesId = newId();
+      const created = seriesDates(body)
+        .filter((date) => !skip.has(date) && !conflicts(db, { ...body, date }))
+        .map((date) =>
+          createReservation(db, {
+            field,
+            slot: { ...body, date },
+            customer: body,
+            user,
+            action: 'series-create',
+            extra: { status: 'confirmed', seriesId },
+          })
+        );
+      if (!created.length) throw new HttpError(409, 'Aucune date de la série n’est disponible.');
+      created.forEach((r) => emit('reservation.created', populate(db, r)));
+      return { seriesId, reservations: created.map((r) => populate(db, r)) };
+    },
+  ],
+  [
+    'GET',
+    '/reservations/series/:id',
+    'staff',
+    ({ db, params }) => {
+      const occurrences = db.reservations.filter((r) => r.seriesId === params.id);
+      if (!occurrences.length) throw new HttpError(404, 'Série introuvable.');
+      return { seriesId: params.id, reservations: occurrences.map((r) => populate(db, r)) };
+    },
+  ],
+  [
+    'PATCH',
+    '/reservations/series/:id',
+    'staff',
+    ({ db, params, body, user }) => {
+      const upcoming = db.reservations.filter(
+        (r) => r.seriesId === params.id && r.status !== 'cancelled' && dayOf(r.date) >= todayStr()
+      );
+      if (!upcoming.length) throw new HttpError(404, 'Série introuvable ou terminée.');
+      const slotChange = pick(body || {}, ['fieldId', 'startTime', 'endTime']);
+      if (Object.keys(slotChange).length) {
+        // Changement d'horaire ou de terrain : tout ou rien, refusé si une occurrence est en conflit
+        const moves = upcoming.map((r) => ({
+          reservation: r,
+          slot: { fieldId: r.field, startTime: r.startTime, endTime: r.endTime, ...slotChange, date: dayOf(r.date) },
+        }));
+        const field = findOr404(db.fields, moves[0].slot.fieldId, 'Terrain introuvable.');
+        const blocked = moves.filter(({ reservation, slot }) =>
+          conflicts(db, slot, { excludeReservation: reservation._id })
+        );
+        if (blocked.length) {
+          throw new HttpError(
+            409,
+            `Créneau déjà pris le ${blocked.map(({ slot }) => slot.date).join(', ')} : série non modifiée.`,
+            { conflicts: blocked.map(({ slot }) => slot.date) }
+          );
+        }
+        moves.forEach(({ reservation, slot }) => {
+          const snapshot = () => ({
+            ...pick(reservation, ['startTime', 'endTime', 'totalPrice']),
+            field: fieldRef(db, reservation.field),
+          });
+          const before = snapshot();
+          Object.assign(reservation, {
+            field: field._id,
+            startTime: slot.startTime,
+            endTime: slot.endTime,
+            totalPrice: priceFor(db, field, slot),
+          });
+          audit(db, reservation, 'move', user, before, snapshot());
+        });
+      }
+      upcoming.forEach((r) => {
+        applyPatch(db, r, pick(body || {}, RESERVATION_PATCH_KEYS), user);
+        emit(r.status === 'cancelled' ? 'reservation.cancelled' : 'reservation.updated', populate(db, r));
+      });
+      return { updated: upcoming.length };
+    },
+  ],
+  [
+    'GET',
+    '/reservations/:id',
+    'staff',
+    ({ db, params }) => populate(db, findOr404(db.reservations, params.id, 'Réservation introuvable.')),
+  ],
+  [
+    'GET',
+    '/reservations/:id/history',
+    'staff',
+    ({ db, params }) => {
+      findOr404(db.reservations, params.id, 'Réservation introuvable.');
+      return db.audit.filter((entry) => entry.reservation === params.id);
+    },
+  ],
+  [
+    'PATCH',
+    '/reservations/:id',
+    'staff',
+    ({ db, params, body, user }) => {
+      const reservation = findOr404(db.reservations, params.id, 'Réservation introuvable.');
+      applyPatch(db, reservation, pick(body || {}, RESERVATION_PATCH_KEYS), user);
+      const populated = populate(db, reservation);
+      emit(reservation.status === 'cancelled' ? 'reservation.cancelled' : 'reservation.updated', populated);
+      return { reservation: populated };
+    },
+  ],
+  [
+    'POST',
+    '/reservations/:id/payments',
+    'staff',
+    ({ db, params, body, user }) => {
+      const reservation = findOr404(db.reservations, params.id, 'Réservation introuvable.');
+      const amount = Number(body?.amount) || 0;
+      if (amount <= 0) throw new HttpError(400, 'Montant invalide.');
+      // Versement calculé sur un montant payé qui a changé entre-temps : refusé plutôt qu'additionné à l'aveugle
+      const alreadyPaid = reservation.paidAmount || 0;
+      if (body.expectedPaidAmount !== undefined && Number(body.expectedPaidAmount) !== alreadyPaid) {
+        throw new HttpError(
+          409,
+          `Un autre paiement a été enregistré entre-temps (déjà payé : ${alreadyPaid} FCFA).`
+        );
+      }
+      const before = pick(reservation, ['paymentStatus', 'paymentMethod', 'paidAmount']);
+      const paidAmount = alreadyPaid + amount;
+      Object.assign(reservation, {
+        paidAmount,
+        paymentMethod: body.paymentMethod || reservation.paymentMethod,
+        paymentStatus: paidAmount >= reservation.totalPrice ? 'paid' : 'partial',
+      });
+      audit(
+        db,
+        reservation,
+        'payment',
+        user,
+        before,
+        pick(reservation, ['paymentStatus', 'paymentMethod', 'paidAmount']),
+        body.recordedAt
+      );
+      const populated = populate(db, reservation);
+      emit('reservation.updated', populated);
+      return { reservation: populated };
+    },
+  ],
+  [
+    'POST',
+    '/reservations/:id/move',
+    'staff',
+    ({ db, params, body, user }) => {
+      const reservation = findOr404(db.reservations, params.id, 'Réservation introuvable.');
+      const slot = { ...body, date: dayOf(body?.date || '') };
+      const field = assertBookable(db, slot, { excludeReservation: reservation._id });
+      const before = {
+        field: fieldRef(db, reservation.field),
+        date: reservation.date,
+        startTime: reservation.startTime,
+        endTime: reservation.endTime,
+        totalPrice: reservation.totalPrice,
+      };
+      Object.assign(reservation, {
+        field: field._id,
+        date: `${slot.date}T00:00:00.000Z`,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        totalPrice: priceFor(db, field, slot),
+      });
+      audit(db, reservation, 'move', user, before, {
+        field: fieldRef(db, field._id),
+        date: reservation.date,
+        startTime: reservation.startTime,
+        endTime: reservation.endTime,
+        totalPrice: reservation.totalPrice,
+      });
+      const populated = populate(db, reservation);
+      emit('reservation.updated', populated);
+      return { reservation: populated };
+    },
+  ],
+
+  [
+    'GET',
+    '/audit-logs',
+    'admin',
+    ({ db, query }) =>
+      db.audit
+        .filter(
+          (entry) =>
+            (!query.userId || entry.user?._id === query.userId) &&
+            (!query.from || dayOf(entry.createdAt) >= query.from) &&
+            (!query.to || dayOf(entry.createdAt) <= query.to)
+        )
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, 200)
+        .map((entry) => {
+          const reservation = db.reservations.find((r) => r._id === entry.reservation);
+          return {
+            ...entry,
+            reservation: reservation && pick(reservation, ['_id', 'date', 'startTime', 'endTime', 'customerName']),
+          };
+        }),
+  ],
+  // Le flux admin de démo passe par subscribeMockEvents : le ticket n'est là que pour l'interface d'api.js
+  ['POST', '/events/ticket', 'staff', () => ({ ticket: newId() })],
+
+  [
+    'GET',
+    '/notifications/templates',
+    'admin',
+    ({ db }) => ({ templates: db.notificationTemplates, provider: 'console' }),
+  ],
+  [
+    'PUT',
+    '/notifications/templates/:event',
+    'admin',
+    ({ db, params, body }) => {
+      if (!NOTIFICATION_EVENTS.includes(params.event)) throw new HttpError(404, 'Événement inconnu.');
+      db.notificationTemplates[params.event] = pick(body || {}, [
+        'enabled',
+        'sms',
+        'whatsapp',
+        'emailSubject',
+        'email',
+      ]);
+      return db.notificationTemplates[params.event];
+    },
+  ],
+  [
+    'POST',
+    '/notifications/test',
+    'admin',
+    ({ db, body }) => {
+      if (!NOTIFICATION_EVENTS.includes(body?.event)) throw new HttpError(400, 'Événement inconnu.');
+      if (!body.phone) throw new HttpError(400, 'Téléphone de test requis.');
+      const targets = [
+        ['sms', body.phone],
+        ...(body.email ? [['email', body.email]] : []),
+      ];
+      return { logs: targets.map(([channel, to]) => sendNotification(db, { event: body.event, channel, to })) };
+    },
+  ],
+  [
+    'GET',
+    '/notifications/logs',
+    'admin',
+    ({ db, query }) =>
+      db.notificationLogs.filter(
+        (log) => (!query.channel || log.channel === query.channel) && (!query.status || log.status === query.status)
+      ),
+  ],
+  [
+    'POST',
+    '/notifications/logs/:id/resend',
+    'admin',
+    ({ db, params }) => {
+      const log = findOr404(db.notificationLogs, params.id, 'Envoi introuvable.');
+      return sendNotification(db, pick(log, ['event', 'channel', 'to']));
+    },
+  ],
+].map(([method, pattern, access, handler]) => ({
+  method,
+  access,
+  handler,
+  keys: [...pattern.matchAll(/:(\w+)/g)].map((m) => m[1]),
+  regex: new RegExp(`^${pattern.replace(/:\w+/g, '([^/]+)')}$`),
+}));
+
+const json = (data, status = 200) =>
+  new Response(JSON.stringify(data ?? null), { status, headers: { 'Content-Type': 'application/json' } });
+
+/**
+ * Remplace `fetch` en mode démo (appelé par api.js). Renvoie une vraie `Response` pour que le
+ * traitement des erreurs et du 401 reste celui de l'API réelle.
+ */
+export async function mockFetch(path, { method = 'GET', params, body, token }) {
+  await new Promise((resolve) => setTimeout(resolve, LATENCY_MS));
+  const route = routes.find((r) => r.method === method && r.regex.test(path));
+  if (!route) return json({ message: 'Fonction non disponible en mode démo.' }, 404);
+
+  const db = loadDb();
+  const user = userFromToken(db, token);
+  if (route.access !== 'public') {
+    if (!user) return json({ message: 'Session expirée. Veuillez vous reconnecter.' }, 401);
+    if (route.access === 'admin' && user.role !== 'admin') {
+      return json({ message: "Vous n'avez pas les droits pour cette action." }, 403);
+    }
+  }
+
+  const values = path.match(route.regex).slice(1).map(decodeURIComponent);
+  try {
+    const data = await route.handler({
+      db,
+      user,
+      body,
+      params: Object.fromEntries(route.keys.map((key, i) => [key, values[i]])),
+      query: Object.fromEntries(params || []),
+    });
+    if (method !== 'GET') saveDb(db);
+    return json(data);
+  } catch (err) {
+    if (err instanceof HttpError) return json({ message: err.message, ...err.data }, err.status);
+    console.error(err);
+    return json({ message: 'Erreur interne du serveur de démonstration.' }, 500);
+  }
+}
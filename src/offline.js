@@ -0,0 +1,105 @@
+// Mode hors ligne de l'accueil : file locale des écritures (réservations téléphoniques, paiements)
+// rejouée au retour du réseau ; les conflits (créneau déjà pris, paiement enregistré entre-temps)
+// restent en file pour traitement manuel. Chaque écriture garde son auteur et son heure de saisie.
+
+import { apiRequest, ApiError } from './api.js';
+
+const QUEUE_KEY = 'gp_offline_queue';
+const API_CACHE = 'gp-api-v2';
+
+const listeners = new Set();
+
+/** Entrées en attente : { id, kind, method, path, body, label, createdAt, conflict? }. */
+export function listQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveQueue(queue) {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  listeners.forEach((listener) => listener(queue));
+}
+
+/** Notifie `listener(queue)` à chaque changement de la file ; renvoie le désabonnement. */
+export function onQueueChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** Met une écriture en file. `kind` : 'admin-create' | 'payment'. */
+export function enqueue({ kind, method, path, body, label }) {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    method,
+    path,
+    body,
+    label,
+    createdAt: new Date().toISOString(),
+  };
+  saveQueue([...listQueue(), entry]);
+  return entry;
+}
+
+export function removeFromQueue(id) {
+  saveQueue(listQueue().filter((entry) => entry.id !== id));
+}
+
+let replaying = null;
+
+/**
+ * Rejoue la file dans l'ordre. Succès : entrée retirée. Refus du serveur (409, 400…) : entrée gardée
+ * avec `conflict`. Réseau toujours absent : arrêt, on réessaiera plus tard. Renvoie { sent, conflicts }.
+ */
+export function replayQueue() {
+  if (replaying) return replaying;
+  replaying = (async () => {
+    let sent = 0;
+    for (const entry of listQueue()) {
+      if (entry.conflict) continue;
+      try {
+        await apiRequest(entry.path, { method: entry.method, body: entry.body, retries: 0 });
+        removeFromQueue(entry.id);
+        sent += 1;
+      } catch (err) {
+        if (err instanceof ApiError && err.isNetworkError) break;
+        saveQueue(
+          listQueue().map((e) =>
+            e.id === entry.id ? { ...e, conflict: { status: err.status ?? 0, message: err.message } } : e
+          )
+        );
+      }
+    }
+    return { sent, conflicts: listQueue().filter((e) => e.conflict).length };
+  })().finally(() => {
+    replaying = null;
+  });
+  return replaying;
+}
+
+/** Relance une entrée en conflit (ex. après avoir libéré le créneau). */
+export function retryEntry(id) {
+  saveQueue(listQueue().map((e) => (e.id === id ? { ...e, conflict: undefined } : e)));
+  return replayQueue();
+}
+
+/** Enregistre le service worker (build de production uniquement). */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => console.error(err));
+  });
+}
+
+/**
+ * Vide les réponses API mises en cache (déconnexion sur un poste partagé). La file est conservée.
+ * Renvoie une promesse résolue une fois le cache supprimé, à attendre avant de quitter la page.
+ */
+export function clearOfflineCache() {
+  navigator.serviceWorker?.controller?.postMessage({ type: 'clear-api-cache' });
+  if (!('caches' in window)) return Promise.resolve();
+  return caches.delete(API_CACHE).catch((err) => console.error(err));
+}